@@ -0,0 +1,320 @@
+/**
+ * Interactive account screen: the account's users, their roles and which
+ * installs they can reach, with inviting, role changes and removal.
+ */
+import chalk from "chalk";
+import {
+  ACCOUNT_USER_ROLES,
+  isPartialRole,
+  fetchAccountUsers,
+  fetchInstallsByAccount,
+  inviteAccountUser,
+  updateAccountUser,
+  removeAccountUser,
+  invalidateCache,
+} from "./utils.js";
+import {
+  clearScreen,
+  displayWelcome,
+  displayLoading,
+  createMenu,
+  createMultiSelectMenu,
+  MENU_REFRESH,
+  showMessage,
+  confirmByTyping,
+  runAction,
+} from "./ui.js";
+import { withAuditContext } from "./audit.js";
+import { runForm } from "./form.js";
+import { validateEmail } from "./validators.js";
+
+const ROLE_LABELS = {
+  owner: "Owner",
+  full: "Full",
+  "full,billing": "Full + billing",
+  partial: "Partial",
+  "partial,billing": "Partial + billing",
+};
+
+const ROLE_DESCRIPTIONS = {
+  full: "every install, plus users and account settings",
+  "full,billing": "as Full, plus invoices and payment details",
+  partial: "only the installs you choose",
+  "partial,billing": "only the installs you choose, plus invoices",
+};
+
+function describeRole(roles) {
+  return ROLE_LABELS[roles] || roles || "Unknown";
+}
+
+function getUserName(user) {
+  return `${user.first_name || ""} ${user.last_name || ""}`.trim();
+}
+
+/**
+ * Lists the installs a user can reach, e.g. "All installs" or "acme, acmestg"
+ */
+function describeAccess(user) {
+  if (!isPartialRole(user.roles)) return "All installs";
+  const installs = user.installs || [];
+  return installs.length
+    ? installs.map((install) => install.name).join(", ")
+    : "No installs";
+}
+
+function getUserLabel(user) {
+  const name = getUserName(user);
+  return `${name ? `${name} <${user.email}>` : user.email} - ${describeRole(
+    user.roles
+  )}, ${describeAccess(user)}${user.invite_accepted ? "" : " (invited)"}`;
+}
+
+function displayAccountUser(account, user) {
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.green(`User of "${account.name}":`));
+  console.log(chalk.white("\n" + "=".repeat(50)));
+  console.log(chalk.cyan(`Name: ${getUserName(user) || "N/A"}`));
+  console.log(chalk.white(`Email: ${user.email}`));
+  console.log(chalk.white(`Role: ${describeRole(user.roles)}`));
+  console.log(
+    chalk.white(
+      `Invitation: ${user.invite_accepted ? "Accepted" : "Not accepted yet"}`
+    )
+  );
+  console.log(
+    chalk.white(`Two-factor authentication: ${user.mfa_enabled ? "On" : "Off"}`)
+  );
+  console.log(chalk.white(`Install access: ${describeAccess(user)}`));
+  console.log(chalk.white("=".repeat(50) + "\n"));
+}
+
+/**
+ * Asks which installs a partial user may reach
+ * @param {Object} account
+ * @param {string} userLabel - Who the installs are for, e.g. an email address
+ * @param {string[]} [currentIds] - Installs to tick to begin with
+ * @returns {Promise<string[]|null>} Install IDs, or null if cancelled
+ */
+async function chooseInstalls(account, userLabel, currentIds = []) {
+  displayLoading(`Loading installs for account: ${account.name}...`);
+  let installs;
+  try {
+    installs = await fetchInstallsByAccount(account.id);
+  } catch (error) {
+    await showMessage(chalk.red(`Failed to load installs: ${error.message}`));
+    return null;
+  }
+  if (!installs.length) {
+    await showMessage(
+      chalk.yellow(
+        `${account.name} has no installs, so a partial role would give no access.`
+      )
+    );
+    return null;
+  }
+  const indexes = await createMultiSelectMenu(
+    `Installs ${userLabel} can access:`,
+    installs.map((install) => `${install.name} (${install.environment})`),
+    false,
+    installs
+      .map((install, index) => (currentIds.includes(install.id) ? index : -1))
+      .filter((index) => index !== -1)
+  );
+  if (indexes === -1) return null;
+  return indexes.map((index) => installs[index].id);
+}
+
+/**
+ * Asks for a new user's details and role, then sends the invitation
+ * @param {Object} account
+ * @param {Array<Object>} users - The account's current users, to catch duplicates
+ */
+async function inviteUserFlow(account, users) {
+  const values = await runForm(`Invite a user to "${account.name}"`, [
+    {
+      name: "first_name",
+      label: "First name",
+      validate: (name) => (name ? null : "A first name is required."),
+    },
+    {
+      name: "last_name",
+      label: "Last name",
+      validate: (name) => (name ? null : "A last name is required."),
+    },
+    {
+      name: "email",
+      label: "Email",
+      validate: (email) =>
+        validateEmail(email) ||
+        (users.some((user) => user.email.toLowerCase() === email.toLowerCase())
+          ? `${email} is already a user of this account.`
+          : null),
+    },
+    {
+      name: "roles",
+      label: "Role",
+      type: "choice",
+      choices: ACCOUNT_USER_ROLES.map((roles) => ({
+        label: `${describeRole(roles)}: ${ROLE_DESCRIPTIONS[roles]}`,
+        value: roles,
+      })),
+    },
+  ]);
+  if (!values) return;
+
+  let installIds;
+  if (isPartialRole(values.roles)) {
+    installIds = await chooseInstalls(account, values.email);
+    if (!installIds) return;
+  }
+  await runAction(
+    "Sending invitation...",
+    `Invitation sent to ${values.email}.`,
+    "Failed to invite user",
+    () =>
+      inviteAccountUser(account.id, {
+        ...values,
+        ...(installIds && { install_ids: installIds }),
+      })
+  );
+}
+
+/**
+ * @returns {Promise<boolean>} true if the role was changed
+ */
+async function changeRoleFlow(account, user) {
+  if (user.roles === "owner") {
+    await showMessage(
+      chalk.yellow(
+        "Account owners can only be changed in the WP Engine User Portal."
+      )
+    );
+    return false;
+  }
+
+  const roleIndex = await createMenu(
+    `New role for ${user.email} (currently ${describeRole(user.roles)}):`,
+    ACCOUNT_USER_ROLES.map(
+      (roles) => `${describeRole(roles)}: ${ROLE_DESCRIPTIONS[roles]}`
+    )
+  );
+  if (roleIndex === -1) return false;
+  const roles = ACCOUNT_USER_ROLES[roleIndex];
+
+  let installIds;
+  if (isPartialRole(roles)) {
+    installIds = await chooseInstalls(
+      account,
+      user.email,
+      (user.installs || []).map((install) => install.id)
+    );
+    if (!installIds) return false;
+  } else if (roles === user.roles) {
+    await showMessage(
+      chalk.yellow(`${user.email} already has the ${describeRole(roles)} role.`)
+    );
+    return false;
+  }
+
+  displayAccountUser(account, user);
+  const confirmIndex = await createMenu(
+    `Change ${user.email} from ${describeRole(user.roles)} to ${describeRole(
+      roles
+    )}${installIds ? ` with access to ${installIds.length} install(s)` : ""}?`,
+    ["Cancel", "Change role"],
+    true
+  );
+  if (confirmIndex !== 1) return false;
+  return runAction(
+    "Changing role...",
+    `${user.email} now has the ${describeRole(roles)} role.`,
+    "Failed to change role",
+    () =>
+      withAuditContext({ targetName: user.email }, () =>
+        updateAccountUser(account.id, user.user_id, {
+          roles,
+          ...(installIds && { install_ids: installIds }),
+        })
+      )
+  );
+}
+
+/**
+ * @returns {Promise<boolean>} true if the user was removed
+ */
+async function removeUserFlow(account, user) {
+  if (user.last_owner) {
+    await showMessage(
+      chalk.yellow(
+        `${user.email} is the account's only owner and cannot be removed.`
+      )
+    );
+    return false;
+  }
+  const confirmed = await confirmByTyping(
+    `WARNING: ${user.email} will lose access to "${account.name}" and all of its installs.`,
+    user.email,
+    "email address"
+  );
+  if (!confirmed) return false;
+  return runAction(
+    "Removing user...",
+    `${user.email} was removed from ${account.name}.`,
+    "Failed to remove user",
+    () =>
+      withAuditContext(
+        { targetName: user.email, confirmation: user.email },
+        () => removeAccountUser(account.id, user.user_id)
+      )
+  );
+}
+
+async function manageAccountUserFlow(account, user) {
+  displayAccountUser(account, user);
+  const options = ["Change role", "Remove from account", "← Back to users"];
+  const index = await createMenu("What would you like to do?", options, true);
+  if (index === 0) {
+    await changeRoleFlow(account, user);
+  } else if (index === 1) {
+    await removeUserFlow(account, user);
+  }
+}
+
+/**
+ * Lists an account's users until the user goes back
+ * @param {Object} account
+ */
+export async function manageAccountUsersFlow(account) {
+  while (true) {
+    displayLoading(`Loading users for account: ${account.name}...`);
+    let users;
+    try {
+      users = await fetchAccountUsers(account.id);
+    } catch (error) {
+      await showMessage(chalk.red(`Failed to load users: ${error.message}`));
+      return;
+    }
+    const options = users
+      .map(getUserLabel)
+      .concat(["+ Invite a user", "← Back to account"]);
+    const index = await createMenu(
+      `Users of ${account.name}:`,
+      options,
+      false,
+      {
+        refreshable: true,
+      }
+    );
+    if (index === MENU_REFRESH) {
+      invalidateCache();
+      continue;
+    }
+    if (index === -1 || index === options.length - 1) return;
+    if (index === options.length - 2) {
+      await inviteUserFlow(account, users);
+    } else {
+      await manageAccountUserFlow(account, users[index]);
+    }
+  }
+}
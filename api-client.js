@@ -0,0 +1,407 @@
+/**
+ * HTTP client for the WP Engine API.
+ * Handles the base URL, auth, JSON parsing, typed errors, retries and timeouts
+ * so the helpers in utils.js only describe which endpoint they call.
+ */
+
+export const DEFAULT_BASE_URL = "https://api.wpengineapi.com/v1";
+
+/**
+ * Default number of items requested per page. The API allows up to 100.
+ */
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Methods that are safe to repeat when the server fails part-way through.
+ * A POST is only retried when the API has refused it outright with a 429.
+ */
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Methods that never change anything, so they still run in dry-run mode
+ */
+const READ_ONLY_METHODS = ["GET", "HEAD"];
+
+/**
+ * Thrown when the API responds with a non-2xx status
+ */
+export class WpeApiError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.method - The HTTP method of the request
+   * @param {string} details.url - The full URL of the request
+   * @param {number} details.status - The HTTP status code
+   * @param {string} details.statusText - The HTTP status text
+   * @param {*} details.body - The parsed error body, or the raw text if it was not JSON
+   */
+  constructor({ method, url, status, statusText, body }) {
+    const detail = body && typeof body === "object" ? body.message : body;
+    super(`${status} ${statusText}${detail ? ` - ${detail}` : ""}`);
+    this.name = "WpeApiError";
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+  }
+}
+
+/**
+ * Thrown when a request takes longer than the client's timeout
+ */
+export class WpeTimeoutError extends Error {
+  constructor(method, url, timeoutMs) {
+    super(`${method} ${url} timed out after ${timeoutMs}ms`);
+    this.name = "WpeTimeoutError";
+    this.method = method;
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads a Retry-After header, which is either a number of seconds or an HTTP date
+ * @returns {number|null} The delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+export class WpeApiClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API root, without a trailing slash
+   * @param {() => string} [options.getAuthHeader] - Returns the Authorization header value.
+   *   Called per request so credentials are only required once a request is made.
+   * @param {number} [options.retries=3] - How many times to retry a failed request
+   * @param {number} [options.backoffMs=500] - Delay before the first retry, doubled each time
+   * @param {number} [options.maxBackoffMs=10000] - Upper bound for a single retry delay
+   * @param {number} [options.timeoutMs=30000] - Abort a request after this long
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+   * @param {(ms: number) => Promise<void>} [options.sleep] - Used to wait between retries
+   * @param {boolean} [options.dryRun=false] - Record mutating requests instead of sending them
+   * @param {import("./cache.js").ResponseCache} [options.cache] - Caches GET responses.
+   *   Any successful mutating request clears the namespace it was made in.
+   * @param {() => string} [options.getCacheNamespace] - Keeps different credentials' responses apart
+   * @param {(request: { method: string, url: string, body: *, status: number|null, error: string|null, response?: * }) => void} [options.onMutation]
+   *   Called once each mutating request has finished, after any retries, whether it succeeded or not.
+   *   response is the parsed body of a request that succeeded.
+   */
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    getAuthHeader = null,
+    retries = 3,
+    backoffMs = 500,
+    maxBackoffMs = 10000,
+    timeoutMs = 30000,
+    fetch = globalThis.fetch,
+    sleep = defaultSleep,
+    dryRun = false,
+    cache = null,
+    getCacheNamespace = () => "default",
+    onMutation = null,
+  } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.getAuthHeader = getAuthHeader;
+    this.retries = retries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetch;
+    this.sleep = sleep;
+    this.dryRun = dryRun;
+    this.dryRunRequests = [];
+    this.cache = cache;
+    this.getCacheNamespace = getCacheNamespace;
+    // Turned off by --no-cache: responses are still stored, just never read
+    this.readFromCache = true;
+    this.onMutation = onMutation;
+  }
+
+  /**
+   * Whether a URL points at the same scheme, host and port as the base URL
+   * @param {string} url - An absolute URL, or a path relative to the base URL
+   * @returns {boolean}
+   */
+  isSameOrigin(url) {
+    const { origin } = new URL(this.baseUrl);
+    return new URL(url, `${this.baseUrl}/`).origin === origin;
+  }
+
+  /**
+   * Builds a full URL from a path and optional query parameters.
+   * Absolute URLs (such as the API's `next` links) are used as they are.
+   * @param {string} path - Endpoint path, e.g. "/sites", or an absolute URL
+   * @param {Object} [params] - Query parameters; null and undefined values are skipped
+   * @returns {string}
+   */
+  buildUrl(path, params = {}) {
+    const url = new URL(
+      /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`
+    );
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+    return url.toString();
+  }
+
+  /**
+   * Works out how long to wait before the next attempt
+   * @param {number} attempt - Zero-based number of the attempt that just failed
+   * @param {Response} [response] - The failed response, if there was one
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = response
+      ? parseRetryAfter(response.headers.get("retry-after"))
+      : null;
+    if (retryAfter !== null) return retryAfter;
+    const exponential = this.backoffMs * 2 ** attempt;
+    // Full jitter keeps parallel callers from retrying in lockstep
+    return Math.min(this.maxBackoffMs, Math.random() * exponential);
+  }
+
+  buildHeaders(body) {
+    const headers = { Accept: "application/json" };
+    if (this.getAuthHeader) headers.Authorization = this.getAuthHeader();
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    return headers;
+  }
+
+  /**
+   * Records a mutating request in dry-run mode instead of sending it, with
+   * the credentials redacted
+   * @param {string} method
+   * @param {string} url - Used as given, so a placeholder in it stays readable
+   * @param {Object} [body]
+   */
+  recordDryRunRequest(method, url, body) {
+    const headers = this.buildHeaders(body);
+    if (headers.Authorization) {
+      headers.Authorization = `${
+        headers.Authorization.split(" ")[0]
+      } [REDACTED]`;
+    }
+    this.dryRunRequests.push({ method, url, headers, body: body ?? null });
+  }
+
+  /**
+   * Returns the mutating requests recorded in dry-run mode and forgets them
+   * @returns {Array<{ method: string, url: string, headers: Object, body: * }>}
+   */
+  takeDryRunRequests() {
+    const requests = this.dryRunRequests;
+    this.dryRunRequests = [];
+    return requests;
+  }
+
+  /**
+   * Sends a single request and reads its body, both within the timeout
+   * @returns {Promise<{ response: Response, data: * }>} data is the parsed body
+   */
+  async send(method, url, body) {
+    const headers = this.buildHeaders(body);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await this.fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal,
+      });
+      // A body can stall after the headers arrive, so it is read before the timer stops
+      return { response, data: await parseBody(response) };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new WpeTimeoutError(method, url, this.timeoutMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Sends a request, retrying rate limits, server errors and network failures
+   * @param {string} method - HTTP method
+   * @param {string} path - Endpoint path or absolute URL
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Query parameters
+   * @param {Object} [options.body] - JSON request body
+   * @param {boolean} [options.fresh=false] - Skip the cache for this request, e.g. when polling
+   * @returns {Promise<*>} The parsed response body, or null for an empty response.
+   *   In dry-run mode a mutating request is only recorded and returns `{ dryRun: true }`.
+   * @throws {WpeApiError|WpeTimeoutError}
+   */
+  async request(method, path, { params, body, fresh = false } = {}) {
+    const url = this.buildUrl(path, params);
+
+    if (this.dryRun && !READ_ONLY_METHODS.includes(method)) {
+      this.recordDryRunRequest(method, url, body);
+      return { dryRun: true };
+    }
+
+    const cacheable = method === "GET" && this.cache;
+    if (cacheable && this.readFromCache && !fresh) {
+      const cached = this.cache.get(this.getCacheNamespace(), url);
+      if (cached !== undefined) return cached;
+    }
+
+    const mutating = !READ_ONLY_METHODS.includes(method);
+    let response;
+    let data;
+    try {
+      ({ response, data } = await this.sendWithRetries(method, url, body));
+    } catch (error) {
+      if (mutating && this.onMutation) {
+        this.onMutation({
+          method,
+          url,
+          body: body ?? null,
+          status: error.status ?? null,
+          error: error.message,
+        });
+      }
+      throw error;
+    }
+
+    if (cacheable) {
+      this.cache.set(this.getCacheNamespace(), url, data);
+    } else if (mutating && this.cache) {
+      this.cache.clear(this.getCacheNamespace());
+    }
+    if (mutating && this.onMutation) {
+      this.onMutation({
+        method,
+        url,
+        body: body ?? null,
+        status: response.status,
+        error: null,
+        response: data,
+      });
+    }
+    return data;
+  }
+
+  /**
+   * Sends a request until it succeeds or can no longer be retried
+   * @returns {Promise<{ response: Response, data: * }>} The successful response and its parsed body
+   * @throws {WpeApiError|WpeTimeoutError}
+   */
+  async sendWithRetries(method, url, body) {
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < this.retries;
+      let result;
+      try {
+        result = await this.send(method, url, body);
+      } catch (error) {
+        // The request may have reached the server, so only repeat safe methods
+        if (canRetry && idempotent) {
+          await this.sleep(this.getRetryDelay(attempt));
+          continue;
+        }
+        throw error;
+      }
+
+      const { response, data } = result;
+      if (response.ok) return result;
+
+      const retryable =
+        response.status === 429 ||
+        (idempotent && RETRYABLE_STATUSES.includes(response.status));
+      if (canRetry && retryable) {
+        await this.sleep(this.getRetryDelay(attempt, response));
+        continue;
+      }
+
+      throw new WpeApiError({
+        method,
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        body: data,
+      });
+    }
+  }
+
+  get(path, params, { fresh } = {}) {
+    return this.request("GET", path, { params, fresh });
+  }
+
+  post(path, body) {
+    return this.request("POST", path, { body });
+  }
+
+  patch(path, body) {
+    return this.request("PATCH", path, { body });
+  }
+
+  delete(path) {
+    return this.request("DELETE", path);
+  }
+
+  /**
+   * Fetches every page of a paginated list endpoint by following the API's `next` links
+   * @param {string} path - The endpoint path, e.g. "/sites"
+   * @param {Object} [params] - Query parameters used to filter the list on the server
+   * @param {Object} [options]
+   * @param {number} [options.pageSize=DEFAULT_PAGE_SIZE] - Number of items to request per page
+   * @param {number} [options.maxItems] - Stop once this many items have been collected
+   * @returns {Promise<Array>} The combined results of every page
+   * @throws {Error} If a `next` link leads away from the base URL's origin
+   */
+  async getAllPages(
+    path,
+    params,
+    { pageSize = DEFAULT_PAGE_SIZE, maxItems } = {}
+  ) {
+    const results = [];
+    let url = this.buildUrl(path, { ...params, limit: pageSize, offset: 0 });
+
+    while (url) {
+      const data = await this.get(url);
+      const page = (data && data.results) || [];
+      results.push(...page);
+
+      if (maxItems && results.length >= maxItems) {
+        return results.slice(0, maxItems);
+      }
+
+      // An empty page means the API has nothing more, whatever `next` says
+      url = page.length ? data.next : null;
+      // Every page is sent with the credentials, so only follow links back to the API
+      if (url && !this.isSameOrigin(url)) {
+        throw new Error(
+          `Refusing to follow a next link outside ${this.baseUrl}: ${url}`
+        );
+      }
+    }
+
+    return results;
+  }
+}
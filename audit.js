@@ -0,0 +1,115 @@
+/**
+ * Append-only audit log of every change the tool makes, one JSON object per
+ * line in ~/.wpe-cli/audit.jsonl. Nothing in the tool rewrites or trims it.
+ */
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import path from "path";
+import { getConfigDir } from "./config.js";
+
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * Where the audit log is written. Override with WPE_AUDIT_LOG.
+ * @returns {string}
+ */
+export function getAuditLogPath() {
+  return process.env.WPE_AUDIT_LOG || path.join(getConfigDir(), "audit.jsonl");
+}
+
+/**
+ * Runs a function with extra details attached to every audit entry it causes.
+ * Calls nest: inner details are merged over outer ones, so a command can set
+ * the source and confirmation while each helper sets its own action and target.
+ * @param {Object} details - e.g. { action: "delete-install", target: { id, name } }
+ * @param {() => Promise<*>} fn
+ * @returns {Promise<*>} Whatever fn returns
+ */
+export function withAuditContext(details, fn) {
+  return auditContext.run({ ...auditContext.getStore(), ...details }, fn);
+}
+
+/**
+ * The details set by the enclosing withAuditContext calls
+ * @returns {Object}
+ */
+export function getAuditContext() {
+  return auditContext.getStore() || {};
+}
+
+/**
+ * Appends one entry to the audit log. A log that cannot be written is
+ * reported but does not undo or block the change it describes.
+ * @param {Object} entry
+ */
+export function appendAuditEntry(entry) {
+  const logPath = getAuditLogPath();
+  try {
+    fs.mkdirSync(path.dirname(logPath), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(
+      logPath,
+      JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + "\n",
+      { mode: 0o600 }
+    );
+  } catch (error) {
+    console.error(`Could not write the audit log ${logPath}:`, error.message);
+  }
+}
+
+/**
+ * Reads the audit log, newest entries last
+ * @param {Object} [filters]
+ * @param {string} [filters.action] - Only entries for this action, e.g. "delete-install"
+ * @param {string} [filters.target] - Only entries whose target ID or name contains this text
+ * @param {string} [filters.profile] - Only entries made with this profile
+ * @param {Date} [filters.since] - Only entries at or after this time
+ * @param {boolean} [filters.failed] - Only entries whose request failed
+ * @param {number} [filters.limit] - Only the newest this many entries
+ * @returns {Array<Object>}
+ */
+export function readAuditLog({
+  action,
+  target,
+  profile,
+  since,
+  failed,
+  limit,
+} = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(getAuditLogPath(), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const entries = text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // Keep a damaged line visible rather than hiding it from reviewers
+        return { timestamp: null, action: "unreadable", error: line };
+      }
+    })
+    .filter((entry) => {
+      if (action && entry.action !== action) return false;
+      if (profile && entry.profile !== profile) return false;
+      if (since && !(new Date(entry.timestamp) >= since)) return false;
+      if (failed && !entry.error) return false;
+      if (target) {
+        const values = [
+          entry.target && entry.target.id,
+          entry.target && entry.target.name,
+          entry.url,
+        ];
+        if (!values.some((value) => value && String(value).includes(target))) {
+          return false;
+        }
+      }
+      return true;
+    });
+  return limit ? entries.slice(-limit) : entries;
+}
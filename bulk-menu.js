@@ -0,0 +1,277 @@
+/**
+ * Interactive bulk operations: pick several sites or installs at once, then
+ * delete installs or add a staging install to each site.
+ */
+import chalk from "chalk";
+import {
+  createInstall,
+  deleteInstall,
+  runBulk,
+  takeDryRunRequests,
+} from "./utils.js";
+import {
+  clearScreen,
+  displayWelcome,
+  displayLoading,
+  createMenu,
+  createMultiSelectMenu,
+  promptForField,
+  showMessage,
+  confirmByTyping,
+  confirmDeletePolicy,
+} from "./ui.js";
+import { formatDryRunRequests } from "./format.js";
+import { withAuditContext } from "./audit.js";
+import {
+  INSTALL_NAME_MAX_LENGTH,
+  validateInstallName,
+  checkInstallNameAvailable,
+} from "./validators.js";
+
+function getInstallLabel(install, site) {
+  return `${site ? `${site.name} / ` : ""}${install.name} (${
+    install.environment
+  })`;
+}
+
+/**
+ * Shows how each item of a bulk operation went. In dry-run mode it lists
+ * the requests that would have been sent instead.
+ * @param {string} title - e.g. "Deleted installs"
+ * @param {Array<Object>} results - As returned by runBulk
+ * @param {(item: *) => string} getLabel
+ */
+async function showBulkSummary(title, results, getLabel) {
+  const dryRunRequests = takeDryRunRequests();
+  if (dryRunRequests.length) {
+    await showMessage(
+      `${chalk.cyan(
+        `Would do: ${title} (${results.length})`
+      )}\n\n${formatDryRunRequests(dryRunRequests)}\n`
+    );
+    return;
+  }
+
+  const failed = results.filter((result) => result.status === "failed");
+  const lines = results.map((result) =>
+    result.status === "done"
+      ? chalk.green(`  ✔ ${getLabel(result.item)}`)
+      : chalk.red(`  ✖ ${getLabel(result.item)}: ${result.error.message}`)
+  );
+  const heading = failed.length
+    ? chalk.yellow(
+        `${title}: ${results.length - failed.length} succeeded, ${
+          failed.length
+        } failed.`
+      )
+    : chalk.green(`${title}: all ${results.length} succeeded.`);
+  await showMessage(`${heading}\n\n${lines.join("\n")}\n`);
+}
+
+/**
+ * Deletes several installs after a typed confirmation
+ * @param {Array<{ install: Object, site?: Object }>} targets - The installs, with their site when they span several
+ */
+export async function bulkDeleteInstallsFlow(targets) {
+  const { allowed, reason } = await confirmDeletePolicy(
+    targets.map(({ install }) => ({
+      action: "delete-install",
+      target: install,
+      installs: [install],
+    }))
+  );
+  if (!allowed) return;
+  const expected = `delete ${targets.length} installs`;
+  const confirmed = await confirmByTyping(
+    `WARNING: These ${
+      targets.length
+    } environments will be deleted. Deleted environments are not recoverable, and their names will no longer be available.\n\n${targets
+      .map(({ install, site }) => `  ${getInstallLabel(install, site)}`)
+      .join("\n")}\n`,
+    expected,
+    "confirmation"
+  );
+  if (!confirmed) return;
+
+  displayLoading(`Deleting ${targets.length} installs...`);
+  const results = await runBulk(targets, ({ install }) =>
+    withAuditContext(
+      { targetName: install.name, confirmation: expected, reason },
+      () => deleteInstall(install.id)
+    )
+  );
+  await showBulkSummary("Deleted installs", results, ({ install, site }) =>
+    getInstallLabel(install, site)
+  );
+}
+
+/**
+ * Works out a staging install name from the site's existing installs,
+ * e.g. "acme" plus the suffix "stg" gives "acmestg"
+ */
+function getStagingInstallName(site, suffix) {
+  const production = site.installs.find(
+    (install) => install.environment === "production"
+  );
+  const base = (production || site.installs[0] || site).name
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return `${base.slice(0, INSTALL_NAME_MAX_LENGTH - suffix.length)}${suffix}`;
+}
+
+/**
+ * Works out the staging install name for each site and checks it before
+ * anything is created: against the install name rules, the account's
+ * existing installs and the other names in the same batch
+ * @param {Object} account - The account the sites belong to
+ * @param {Array<Object>} sites - Sites without a staging install
+ * @param {string} suffix
+ * @returns {Promise<{ targets: Array<Object>, clashes: Array<Object> }>} Each
+ *   `{ site, name, error }`, split by whether the name can be used
+ */
+export async function planStagingInstalls(account, sites, suffix) {
+  const targets = [];
+  const clashes = [];
+  const names = new Set();
+  for (const site of sites) {
+    const name = getStagingInstallName(site, suffix);
+    const error =
+      validateInstallName(name) ||
+      (names.has(name)
+        ? `The install name "${name}" is already used by another selected site.`
+        : await checkInstallNameAvailable(name, account.id));
+    names.add(name);
+    (error ? clashes : targets).push({ site, name, error });
+  }
+  return { targets, clashes };
+}
+
+/**
+ * Creates a staging install on each site that does not have one yet
+ * @param {Object} account - The account the sites belong to
+ * @param {Array<Object>} sites - Sites, including their install summaries
+ */
+export async function addStagingInstallsFlow(account, sites) {
+  const withoutStaging = sites.filter(
+    (site) =>
+      !site.installs.some((install) => install.environment === "staging")
+  );
+  if (!withoutStaging.length) {
+    await showMessage(
+      chalk.yellow("Every selected site already has a staging install.")
+    );
+    return;
+  }
+
+  const suffix =
+    (
+      await promptForField(
+        "a suffix for the staging install names",
+        '(default "stg", so "acme" becomes "acmestg")'
+      )
+    )
+      .trim()
+      .toLowerCase() || "stg";
+  if (!/^[a-z0-9]{1,10}$/.test(suffix)) {
+    await showMessage(
+      chalk.red(
+        `"${suffix}" cannot be used. The suffix may only contain letters and digits.`
+      )
+    );
+    return;
+  }
+
+  displayLoading("Checking the install names...");
+  const { targets, clashes } = await planStagingInstalls(
+    account,
+    withoutStaging,
+    suffix
+  );
+  const skipped = sites.length - withoutStaging.length;
+  const clashList = clashes
+    .map(({ site, error }) => chalk.red(`  ${site.name.padEnd(30)} ${error}`))
+    .join("\n");
+  if (!targets.length) {
+    await showMessage(
+      `${chalk.yellow(
+        "None of the staging install names can be used:"
+      )}\n\n${clashList}\n`
+    );
+    return;
+  }
+  clearScreen();
+  displayWelcome();
+  if (clashes.length) {
+    console.log(chalk.red("These sites will be left out:\n"));
+    console.log(`${clashList}\n`);
+  }
+  console.log(chalk.green("These staging installs will be created:\n"));
+  targets.forEach(({ site, name }) =>
+    console.log(chalk.white(`  ${site.name.padEnd(30)} ${name}`))
+  );
+  if (skipped) {
+    console.log(
+      chalk.gray(`\n${skipped} site(s) already have a staging install.`)
+    );
+  }
+  console.log("");
+  const confirmIndex = await createMenu(
+    `Create ${targets.length} staging install(s)?`,
+    ["Cancel", "Create them"],
+    true
+  );
+  if (confirmIndex !== 1) return;
+
+  displayLoading(`Creating ${targets.length} staging installs...`);
+  const results = await runBulk(targets, ({ site, name }) =>
+    createInstall(site.id, account.id, { name, environment: "staging" })
+  );
+  await showBulkSummary(
+    "Created staging installs",
+    results,
+    ({ site, name }) => `${site.name} / ${name}`
+  );
+}
+
+/**
+ * Lets the user pick several sites of an account, then act on all of them
+ * @param {Object} account
+ * @param {Array<Object>} sites - The account's sites, including their install summaries
+ */
+export async function manageSitesInBulkFlow(account, sites) {
+  const siteIndexes = await createMultiSelectMenu(
+    `Select sites in ${account.name}:`,
+    sites.map((site) => `${site.name} (${site.installs.length} installs)`)
+  );
+  if (siteIndexes === -1) return;
+  const selectedSites = siteIndexes.map((index) => sites[index]);
+
+  const options = [
+    "Add a staging install to each site",
+    "Choose installs to delete",
+    "Cancel",
+  ];
+  const actionIndex = await createMenu(
+    `${selectedSites.length} site(s) selected. What would you like to do?`,
+    options
+  );
+  if (actionIndex === 0) {
+    await addStagingInstallsFlow(account, selectedSites);
+  } else if (actionIndex === 1) {
+    const candidates = selectedSites.flatMap((site) =>
+      site.installs.map((install) => ({ install, site }))
+    );
+    if (!candidates.length) {
+      await showMessage(chalk.yellow("The selected sites have no installs."));
+      return;
+    }
+    const installIndexes = await createMultiSelectMenu(
+      "Select installs to delete:",
+      candidates.map(({ install, site }) => getInstallLabel(install, site))
+    );
+    if (installIndexes === -1) return;
+    await bulkDeleteInstallsFlow(
+      installIndexes.map((index) => candidates[index])
+    );
+  }
+}
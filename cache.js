@@ -0,0 +1,103 @@
+/**
+ * Response cache for GET requests, kept in memory and on disk so repeated
+ * navigation (and repeated commands) skip the network while entries are fresh.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_CACHE_TTL_SECONDS = 300;
+
+export class ResponseCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for the cache files, one per namespace
+   * @param {number} [options.ttlMs] - How long an entry stays fresh
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({
+    dir,
+    ttlMs = DEFAULT_CACHE_TTL_SECONDS * 1000,
+    now = Date.now,
+  }) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.now = now;
+    this.namespaces = new Map();
+  }
+
+  getFilePath(namespace) {
+    // Namespaces contain API user IDs, so keep them out of file names
+    const hash = crypto.createHash("sha256").update(namespace).digest("hex");
+    return path.join(this.dir, `${hash.slice(0, 16)}.json`);
+  }
+
+  /**
+   * Returns a namespace's entries, reading them from disk the first time
+   * @returns {Object<string, { storedAt: number, value: * }>}
+   */
+  load(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      let entries = {};
+      try {
+        entries = JSON.parse(
+          fs.readFileSync(this.getFilePath(namespace), "utf8")
+        );
+      } catch {
+        // A missing or corrupt cache file just means nothing is cached
+      }
+      this.namespaces.set(namespace, entries);
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  save(namespace) {
+    const filePath = this.getFilePath(namespace);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(tempPath, JSON.stringify(this.load(namespace)), {
+        mode: 0o600,
+      });
+      fs.renameSync(tempPath, filePath);
+    } catch {
+      // The disk cache is an optimisation; the in-memory copy still works
+    }
+  }
+
+  /**
+   * @param {string} namespace - Usually identifies the credentials, e.g. "work:abc123"
+   * @param {string} key - Usually the request URL
+   * @returns {*} The cached value, or undefined if missing or expired
+   */
+  get(namespace, key) {
+    const entry = this.load(namespace)[key];
+    if (!entry || this.now() - entry.storedAt > this.ttlMs) return undefined;
+    return entry.value;
+  }
+
+  set(namespace, key, value) {
+    const entries = this.load(namespace);
+    // Drop expired entries while we are writing anyway
+    Object.keys(entries).forEach((existingKey) => {
+      if (this.now() - entries[existingKey].storedAt > this.ttlMs) {
+        delete entries[existingKey];
+      }
+    });
+    entries[key] = { storedAt: this.now(), value };
+    this.save(namespace);
+  }
+
+  /**
+   * Forgets everything cached for a namespace
+   * @param {string} namespace
+   */
+  clear(namespace) {
+    this.namespaces.set(namespace, {});
+    try {
+      fs.rmSync(this.getFilePath(namespace), { force: true });
+    } catch {
+      // Nothing to remove
+    }
+  }
+}
@@ -0,0 +1,1553 @@
+/**
+ * Non-interactive command tree for the WP Engine Site Management CLI.
+ * Lets CI jobs and shell scripts run the same operations as the menu UI.
+ */
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import readline from "readline/promises";
+import chalk from "chalk";
+import {
+  fetchAccounts,
+  fetchSitesByAccount,
+  fetchInstallsBySite,
+  fetchInstall,
+  deleteInstall,
+  createInstall,
+  createSite,
+  fetchSite,
+  updateSite,
+  deleteSite,
+  CACHE_TYPES,
+  fetchDomains,
+  addDomain,
+  setPrimaryDomain,
+  deleteDomain,
+  fetchBackups,
+  createBackup,
+  purgeCache,
+  fetchSftpUsers,
+  setActiveProfile,
+  setDryRun,
+  setCacheEnabled,
+  takeDryRunRequests,
+  waitForInstall,
+  COPY_SCOPES,
+  checkCopySource,
+  recordDryRunCopyToNewInstall,
+  copyEnvironment,
+  verifyCredentials,
+} from "./utils.js";
+import { WpeApiError } from "./api-client.js";
+import {
+  OUTPUT_FORMATS,
+  formatOutput,
+  formatDryRunRequests,
+  formatDuration,
+} from "./format.js";
+import {
+  ManifestError,
+  loadManifest,
+  planManifest,
+  applyPlan,
+} from "./manifest.js";
+import {
+  DEFAULT_PROFILE,
+  MissingCredentialsError,
+  listProfiles,
+  loadConfig,
+  removeProfile,
+  saveProfile,
+  setCurrentProfile,
+} from "./config.js";
+import { withAuditContext, readAuditLog } from "./audit.js";
+import { PolicyError, PolicyViolationError } from "./policy.js";
+import {
+  DEFAULT_MIN_PHP_VERSION,
+  buildFleetReport,
+  summarizeReport,
+  formatHtmlReport,
+} from "./report.js";
+import {
+  createNodeDns,
+  createNodeHttp,
+  checkInstallHealthById,
+  checkAccountHealth,
+  flattenHealthResults,
+} from "./doctor.js";
+import {
+  USAGE_METRICS,
+  DEFAULT_USAGE_DAYS,
+  getRecentDateRange,
+  loadUsageThresholds,
+  buildUsageReport,
+  sparkline,
+  formatMetric,
+  flattenUsageSeries,
+} from "./usage.js";
+import {
+  DEFAULT_WATCH_INTERVAL_SECONDS,
+  createTerminalNotifier,
+  createFileNotifier,
+  createWebhookNotifier,
+  loadSnapshot,
+  saveSnapshot,
+  watchFleet,
+} from "./watch.js";
+import {
+  RecipeError,
+  getRecipesDir,
+  findRecipeFile,
+  loadRecipe,
+  listSavedRecipes,
+  describeParams,
+  resolveParams,
+  describeStep,
+  runRecipe,
+} from "./recipe.js";
+import {
+  validateInstallName,
+  validateEnvironment,
+  validateSiteName,
+  validateGroupName,
+  validateTags,
+  validateEmail,
+  validateDate,
+  validateDateRange,
+  validateSize,
+  parseSize,
+  validateUrl,
+  checkInstallNameAvailable,
+} from "./validators.js";
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  AUTH: 3,
+  NOT_FOUND: 4,
+  POLICY: 5,
+};
+
+/**
+ * Thrown when the command line itself is invalid (unknown command, missing flag, etc.)
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// ------------------- OUTPUT HELPERS ------------------- //
+
+/**
+ * Works out the output format from --format or its --json/--yaml/--csv shorthands
+ * @param {Object} globals - As returned by extractGlobalOptions
+ * @returns {string} One of OUTPUT_FORMATS
+ */
+function getOutputFormat(globals) {
+  const shorthands = OUTPUT_FORMATS.filter((format) => globals[format]);
+  if (globals.format) shorthands.push(globals.format);
+  const formats = [...new Set(shorthands)];
+  if (formats.length > 1) {
+    throw new UsageError(
+      `Choose one output format, not ${formats.join(" and ")}`
+    );
+  }
+  const format = formats[0] || "table";
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new UsageError(
+      `Invalid --format "${format}". Expected one of: ${OUTPUT_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+  return format;
+}
+
+function getOutputFields(globals) {
+  if (!globals.fields) return undefined;
+  const fields = globals.fields
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  if (!fields.length) throw new UsageError("--fields needs at least one field");
+  return fields;
+}
+
+/**
+ * Reads --from, --to and --days into a usage date range. Without --from the
+ * range is the --days (default 30) up to --to or today.
+ * @returns {{ firstDate: string, lastDate: string }}
+ */
+function getUsageDateRange(values) {
+  ["from", "to"].forEach((name) => {
+    if (values[name] !== undefined)
+      checkOption(name, validateDate(values[name]));
+  });
+  if (values.from && values.days) {
+    throw new UsageError("Give --from or --days, not both");
+  }
+  const lastDate = values.to || getRecentDateRange(1).lastDate;
+  const firstDate =
+    values.from ||
+    getRecentDateRange(
+      parsePositiveInteger(values, "days") || DEFAULT_USAGE_DAYS,
+      new Date(`${lastDate}T00:00:00Z`)
+    ).firstDate;
+  const error = validateDateRange(firstDate, lastDate);
+  if (error) throw new UsageError(error);
+  return { firstDate, lastDate };
+}
+
+/**
+ * Columns of `usage --series`, one row per install and day
+ */
+const USAGE_SERIES_FIELDS = [
+  "install",
+  "environment",
+  "date",
+  "visits",
+  "bandwidth_bytes",
+  "storage_bytes",
+];
+
+/**
+ * The saved usage thresholds, overridden by any --max-* options
+ */
+function getUsageThresholds(values) {
+  const thresholds = loadUsageThresholds();
+  if (values["max-visits"] !== undefined) {
+    thresholds.visits = parsePositiveInteger(values, "max-visits");
+  }
+  ["bandwidth", "storage"].forEach((name) => {
+    const option = `max-${name}`;
+    if (values[option] === undefined) return;
+    checkOption(option, validateSize(values[option]));
+    thresholds[name] = parseSize(values[option]);
+  });
+  return thresholds;
+}
+
+/**
+ * Columns of `run --list`
+ */
+const RECIPE_LIST_FIELDS = ["name", "title", "params", "description", "error"];
+
+/**
+ * Formats `report --output` can infer from the file extension
+ */
+const REPORT_FILE_FORMATS = {
+  ".csv": "csv",
+  ".json": "json",
+  ".yaml": "yaml",
+  ".yml": "yaml",
+  ".html": "html",
+  ".htm": "html",
+};
+
+/**
+ * Works out the report format: --html, then an explicit output format, then
+ * the --output file's extension, then the usual table
+ */
+function getReportFormat(values, globals) {
+  const explicit =
+    globals.format || OUTPUT_FORMATS.some((format) => globals[format]);
+  if (values.html) {
+    if (explicit)
+      throw new UsageError("Choose one output format, not --html and another");
+    return "html";
+  }
+  if (explicit || !values.output) return getOutputFormat(globals);
+  const format = REPORT_FILE_FORMATS[path.extname(values.output).toLowerCase()];
+  if (!format) {
+    throw new UsageError(
+      `Cannot tell the format of "${values.output}" from its extension. Use .csv, .json, .yaml or .html, or pass --csv, --json, --yaml or --html.`
+    );
+  }
+  return format;
+}
+
+/**
+ * Pagination flags shared by every list command
+ */
+const PAGINATION_OPTIONS = {
+  "page-size": { type: "string" },
+  "max-items": { type: "string" },
+};
+
+function parsePositiveInteger(values, name) {
+  if (values[name] === undefined) return undefined;
+  const number = Number(values[name]);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Reads --since as a date ("2024-05-01") or an age ("90m", "24h", "7d")
+ * @returns {Date|undefined}
+ */
+function parseSince(value) {
+  if (value === undefined) return undefined;
+  const age = /^(\d+)([mhd])$/.exec(value);
+  if (age) {
+    const unitMs = { m: 60000, h: 3600000, d: 86400000 }[age[2]];
+    return new Date(Date.now() - Number(age[1]) * unitMs);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UsageError(
+      `--since must be a date or an age such as 24h or 7d, not "${value}"`
+    );
+  }
+  return date;
+}
+
+function getPaginationOptions(values) {
+  const pageSize = parsePositiveInteger(values, "page-size");
+  if (pageSize > 100) {
+    throw new UsageError("--page-size cannot be more than 100");
+  }
+  return { pageSize, maxItems: parsePositiveInteger(values, "max-items") };
+}
+
+/**
+ * Flags accepted before or after any command, including the interactive mode
+ */
+const GLOBAL_OPTIONS = {
+  profile: { type: "string" },
+  format: { type: "string" },
+  json: { type: "boolean" },
+  yaml: { type: "boolean" },
+  csv: { type: "boolean" },
+  table: { type: "boolean" },
+  fields: { type: "string" },
+  "no-color": { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  "no-cache": { type: "boolean" },
+};
+
+/**
+ * Pulls the global flags out of argv so the rest can be parsed per command
+ * @param {string[]} argv
+ * @returns {{ globals: Object, args: string[] }}
+ */
+export function extractGlobalOptions(argv) {
+  const globals = {};
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const name = flag.replace(/^--/, "");
+    if (!flag.startsWith("--") || !GLOBAL_OPTIONS[name]) {
+      args.push(argv[i]);
+    } else if (GLOBAL_OPTIONS[name].type === "boolean") {
+      globals[name] = true;
+    } else {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined) {
+        throw new UsageError(`Option --${name} needs a value`);
+      }
+      globals[name] = value;
+    }
+  }
+  return { globals, args };
+}
+
+/**
+ * Applies the global flags to the shared helpers
+ * @param {Object} globals - As returned by extractGlobalOptions
+ */
+export function applyGlobalOptions(globals) {
+  setActiveProfile(globals.profile);
+  setDryRun(globals["dry-run"]);
+  setCacheEnabled(!globals["no-cache"]);
+  // Keep escape codes out of pipes and files, and honour the NO_COLOR convention
+  if (
+    globals["no-color"] ||
+    "NO_COLOR" in process.env ||
+    !process.stdout.isTTY
+  ) {
+    chalk.level = 0;
+  }
+}
+
+/**
+ * Reports progress while waiting on stderr, keeping stdout for the result.
+ * A terminal gets one updating line; logs get a line per status change.
+ * @param {string} name - What is being waited for, e.g. the install name
+ * @returns {(resource: Object, elapsedMs: number) => void}
+ */
+function createWaitReporter(name) {
+  let lastStatus;
+  return (resource, elapsedMs) => {
+    const line = `Waiting for ${name}: ${
+      resource.status || "unknown"
+    } (${formatDuration(elapsedMs)})`;
+    if (process.stderr.isTTY) {
+      process.stderr.write(`\r\u001B[2K${line}`);
+    } else if (resource.status !== lastStatus) {
+      process.stderr.write(`${line}\n`);
+    }
+    lastStatus = resource.status;
+  };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8").trim();
+}
+
+/**
+ * Asks a yes/no question on the terminal. Only usable when stdin is a TTY.
+ * @param {string} question
+ * @returns {Promise<boolean>} true if the user answered "yes"
+ */
+async function askConfirmation(question) {
+  const prompt = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+  });
+  try {
+    const answer = await prompt.question(
+      `${question} Type "yes" to continue: `
+    );
+    return answer.trim().toLowerCase() === "yes";
+  } finally {
+    prompt.close();
+  }
+}
+
+function requireOption(values, name) {
+  if (!values[name]) {
+    throw new UsageError(`Missing required option --${name}`);
+  }
+  return values[name];
+}
+
+/**
+ * Reports a validator's error message as a usage error for an option
+ * @param {string} name - The option, without dashes
+ * @param {string|null} error - As returned by a function in validators.js
+ */
+function checkOption(name, error) {
+  if (error) throw new UsageError(`--${name}: ${error}`);
+}
+
+// ------------------- COMMANDS ------------------- //
+
+const COMMANDS = {
+  login: {
+    usage: "login [--profile <name>] --user-id <id> [--password <password>]",
+    description:
+      "Save API credentials as a profile. The password is read from stdin if not given",
+    options: { "user-id": { type: "string" }, password: { type: "string" } },
+    fields: ["profile", "userId"],
+    async run(values, globals) {
+      const name = globals.profile || DEFAULT_PROFILE;
+      const userId = requireOption(values, "user-id");
+      let password = values.password;
+      if (!password) {
+        if (process.stdin.isTTY) {
+          throw new UsageError(
+            "Missing --password. Pass it as a flag or pipe it on stdin."
+          );
+        }
+        password = await readStdin();
+      }
+      await verifyCredentials({ userId, password });
+      saveProfile(name, { userId, password });
+      return { profile: name, userId };
+    },
+  },
+  logout: {
+    usage: "logout [--profile <name>]",
+    description: "Remove a saved profile (the current one by default)",
+    options: {},
+    fields: ["profile", "removed"],
+    async run(values, globals) {
+      const name = globals.profile || loadConfig().currentProfile;
+      if (!name || !removeProfile(name)) {
+        throw new UsageError(
+          name ? `No profile named "${name}"` : "No profile to log out of"
+        );
+      }
+      return { profile: name, removed: true };
+    },
+  },
+  profiles: {
+    usage: "profiles [--use <name>]",
+    description: "List saved profiles, or make one the default with --use",
+    options: { use: { type: "string" } },
+    fields: ["name", "userId", "current"],
+    async run(values) {
+      if (values.use) {
+        if (!listProfiles().some((profile) => profile.name === values.use)) {
+          throw new UsageError(`No profile named "${values.use}"`);
+        }
+        setCurrentProfile(values.use);
+      }
+      return listProfiles();
+    },
+  },
+  history: {
+    usage:
+      "history [--action <action>] [--target <id-or-name>] [--for-profile <name>] [--since <date|24h|7d>] [--failed] [--limit <n>]",
+    description:
+      "List the changes recorded in the audit log, oldest first. --for-profile shows one profile's changes",
+    options: {
+      action: { type: "string" },
+      "for-profile": { type: "string" },
+      target: { type: "string" },
+      since: { type: "string" },
+      failed: { type: "boolean" },
+      limit: { type: "string" },
+    },
+    fields: [
+      "timestamp",
+      "profile",
+      "action",
+      "target.name",
+      "target.id",
+      "status",
+      "confirmation",
+    ],
+    async run(values) {
+      return readAuditLog({
+        action: values.action,
+        target: values.target,
+        profile: values["for-profile"],
+        since: parseSince(values.since),
+        failed: values.failed,
+        limit: parsePositiveInteger(values, "limit"),
+      });
+    },
+  },
+  report: {
+    usage:
+      "report [--account <id>] [--output <file>] [--html] [--min-php <version>] [--anomalies-only]",
+    description:
+      "List every account, site and install with anomalies flagged. --output writes CSV, JSON, YAML or HTML by file extension",
+    options: {
+      account: { type: "string" },
+      output: { type: "string" },
+      html: { type: "boolean" },
+      "min-php": { type: "string" },
+      "anomalies-only": { type: "boolean" },
+    },
+    fields: [
+      "account",
+      "site",
+      "install",
+      "environment",
+      "primary_domain",
+      "cname",
+      "php_version",
+      "is_multisite",
+      "anomalies",
+    ],
+    async run(values, globals) {
+      const minPhpVersion = values["min-php"] || DEFAULT_MIN_PHP_VERSION;
+      if (!/^\d+(\.\d+)*$/.test(minPhpVersion)) {
+        throw new UsageError(
+          `Invalid --min-php "${minPhpVersion}". Expected a version such as 8.2`
+        );
+      }
+      const format = getReportFormat(values, globals);
+      let rows = await buildFleetReport({
+        accountId: values.account,
+        minPhpVersion,
+      });
+      if (values["anomalies-only"]) {
+        rows = rows.filter((row) => row.anomalies.length);
+      }
+      if (!values.output && format !== "html") return rows;
+
+      const text =
+        format === "html"
+          ? formatHtmlReport(rows, { minPhpVersion })
+          : `${formatOutput(rows, {
+              format,
+              fields: getOutputFields(globals),
+              defaultFields: COMMANDS.report.fields,
+            })}\n`;
+      if (!values.output) {
+        process.stdout.write(text);
+        return undefined;
+      }
+      fs.writeFileSync(values.output, text);
+      const summary = summarizeReport(rows);
+      const flagged = Object.entries(summary.anomalies)
+        .filter(([, count]) => count)
+        .map(([key, count]) => `${count} ${key}`);
+      console.error(
+        `Wrote ${summary.installs} install(s) across ${
+          summary.sites
+        } site(s) to ${values.output}${
+          flagged.length ? `. Flagged: ${flagged.join(", ")}` : ""
+        }`
+      );
+      return undefined;
+    },
+  },
+  doctor: {
+    usage:
+      "doctor (--install <id> | --account <id>) [--timeout <seconds>] [--problems-only]",
+    description:
+      "Check DNS, HTTPS, redirects, response time and certificate expiry of an install, or every install of an account. Exits 1 if any check fails",
+    options: {
+      install: { type: "string" },
+      account: { type: "string" },
+      timeout: { type: "string" },
+      "problems-only": { type: "boolean" },
+    },
+    fields: ["install", "domain", "check", "status", "detail"],
+    async run(values, globals) {
+      if (Boolean(values.install) === Boolean(values.account)) {
+        throw new UsageError("Give either --install or --account");
+      }
+      const timeoutMs = (parsePositiveInteger(values, "timeout") || 10) * 1000;
+      const network = {
+        dns: createNodeDns({ timeoutMs }),
+        http: createNodeHttp({ timeoutMs }),
+      };
+      const results = values.install
+        ? [await checkInstallHealthById(values.install, network)]
+        : await checkAccountHealth(values.account, {
+            ...network,
+            onProgress: (done, total) => {
+              if (process.stderr.isTTY) {
+                process.stderr.write(`\rChecked ${done} of ${total} installs`);
+                if (done === total) process.stderr.write("\n");
+              }
+            },
+          });
+      let rows = flattenHealthResults(results);
+      if (values["problems-only"]) {
+        rows = rows.filter((row) => row.status !== "pass");
+      }
+      const failed = results.filter((result) => result.status === "fail");
+      if (!failed.length) return rows;
+
+      // Show the checklist, then fail so scripts can tell something is wrong
+      console.log(
+        formatOutput(rows, {
+          format: getOutputFormat(globals),
+          fields: getOutputFields(globals),
+          defaultFields: COMMANDS.doctor.fields,
+        })
+      );
+      throw new Error(
+        `${failed.length} of ${
+          results.length
+        } install(s) failed a health check: ${failed
+          .map((result) => result.install)
+          .join(", ")}`
+      );
+    },
+  },
+  usage: {
+    usage:
+      "usage (--install <id> | --account <id>) [--days <n> | --from <date>] [--to <date>] [--max-visits <n>] [--max-bandwidth <size>] [--max-storage <size>] [--series] [--output <file>]",
+    description:
+      "Show visits, bandwidth and storage per install over a date range, flagging installs over a threshold. --series or --output gives the daily figures",
+    options: {
+      install: { type: "string" },
+      account: { type: "string" },
+      days: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      "max-visits": { type: "string" },
+      "max-bandwidth": { type: "string" },
+      "max-storage": { type: "string" },
+      series: { type: "boolean" },
+      output: { type: "string" },
+    },
+    fields: [
+      "install",
+      "environment",
+      "visits",
+      "bandwidth",
+      "storage",
+      "trend",
+      "over",
+    ],
+    async run(values, globals) {
+      if (Boolean(values.install) === Boolean(values.account)) {
+        throw new UsageError("Give either --install or --account");
+      }
+      const range = getUsageDateRange(values);
+      const format = getReportFormat(values, globals);
+      if (format === "html") {
+        throw new UsageError(
+          "Usage can be written as CSV, JSON or YAML, not HTML"
+        );
+      }
+      const summaries = await buildUsageReport({
+        installId: values.install,
+        accountId: values.account,
+        ...range,
+        thresholds: getUsageThresholds(values),
+      });
+      const flagged = summaries.filter((summary) => summary.over.length);
+      if (flagged.length) {
+        console.error(
+          `Over a threshold between ${range.firstDate} and ${
+            range.lastDate
+          }: ${flagged
+            .map((summary) => `${summary.install} (${summary.over.join(", ")})`)
+            .join(", ")}`
+        );
+      }
+
+      if (values.series || values.output) {
+        const text = formatOutput(flattenUsageSeries(summaries), {
+          format,
+          fields: getOutputFields(globals),
+          defaultFields: USAGE_SERIES_FIELDS,
+        });
+        if (!values.output) {
+          console.log(text);
+          return undefined;
+        }
+        fs.writeFileSync(values.output, `${text}\n`);
+        console.error(
+          `Wrote the daily usage of ${summaries.length} install(s) from ${range.firstDate} to ${range.lastDate} to ${values.output}`
+        );
+        return undefined;
+      }
+      // Tables show readable totals; other formats keep the raw numbers
+      const readable = format === "table";
+      return summaries.map((summary) => ({
+        install: summary.install,
+        installId: summary.installId,
+        environment: summary.environment,
+        ...Object.fromEntries(
+          Object.keys(USAGE_METRICS).map((name) => [
+            name,
+            readable
+              ? formatMetric(name, summary.totals[name])
+              : summary.totals[name],
+          ])
+        ),
+        trend: sparkline(summary.series.visits),
+        over: summary.over,
+      }));
+    },
+  },
+  watch: {
+    usage:
+      "watch [--account <id>]... [--interval <seconds>] [--domains] [--file <path>] [--webhook <url>] [--state <file>] [--once]",
+    description:
+      "Poll accounts for added or deleted sites and installs and changed domains or PHP versions, reporting each change to the terminal, --file (JSON lines) and/or --webhook. Watches every account unless --account is given",
+    options: {
+      account: { type: "string", multiple: true },
+      interval: { type: "string" },
+      domains: { type: "boolean" },
+      file: { type: "string" },
+      webhook: { type: "string" },
+      state: { type: "string" },
+      once: { type: "boolean" },
+    },
+    fields: ["detectedAt", "type", "message"],
+    async run(values) {
+      const intervalSeconds =
+        parsePositiveInteger(values, "interval") ||
+        DEFAULT_WATCH_INTERVAL_SECONDS;
+      if (values.webhook) checkOption("webhook", validateUrl(values.webhook));
+      if (values.once && !values.state) {
+        throw new UsageError(
+          "--once needs --state, to have something to compare with"
+        );
+      }
+
+      const found = [];
+      const notifiers = [];
+      if (values.once) {
+        // Returned as the command's output, so --json and --fields apply
+        notifiers.push((changes, detectedAt) =>
+          found.push(...changes.map((change) => ({ detectedAt, ...change })))
+        );
+      } else {
+        notifiers.push(createTerminalNotifier());
+      }
+      if (values.file) notifiers.push(createFileNotifier(values.file));
+      if (values.webhook) {
+        notifiers.push(
+          createWebhookNotifier(values.webhook, {
+            secret: process.env.WPE_WEBHOOK_SECRET,
+          })
+        );
+      }
+
+      const previous = values.state ? loadSnapshot(values.state) : null;
+      const errors = [];
+      const controller = new AbortController();
+      const stop = () => controller.abort();
+      if (!values.once) {
+        process.once("SIGINT", stop);
+        console.error(
+          `Watching ${
+            values.account ? values.account.join(", ") : "all accounts"
+          } every ${intervalSeconds}s. Press Ctrl+C to stop.`
+        );
+      }
+      try {
+        await watchFleet({
+          accountIds: values.account,
+          includeDomains: values.domains,
+          intervalMs: intervalSeconds * 1000,
+          notifiers,
+          previous,
+          onSnapshot: (snapshot) => {
+            if (values.state) saveSnapshot(values.state, snapshot);
+          },
+          onError: (message) => {
+            errors.push(message);
+            // A single poll reports its errors when it ends, below
+            if (!values.once) console.error(chalk.red(message));
+          },
+          once: values.once,
+          signal: controller.signal,
+        });
+      } finally {
+        process.removeListener("SIGINT", stop);
+      }
+
+      if (!values.once) return undefined;
+      if (errors.length) throw new Error(errors.join("; "));
+      if (!previous) {
+        console.error(
+          `No earlier snapshot in ${values.state}; saved one to compare with next time`
+        );
+      }
+      return found;
+    },
+  },
+  accounts: {
+    list: {
+      usage: "accounts list [--page-size <n>] [--max-items <n>]",
+      description: "List the accounts you have access to",
+      options: { ...PAGINATION_OPTIONS },
+      fields: ["id", "name"],
+      async run(values) {
+        return fetchAccounts(getPaginationOptions(values));
+      },
+    },
+  },
+  sites: {
+    list: {
+      usage: "sites list --account <id> [--page-size <n>] [--max-items <n>]",
+      description: "List the sites in an account",
+      options: { account: { type: "string" }, ...PAGINATION_OPTIONS },
+      fields: ["id", "name", "group_name", "installs"],
+      async run(values) {
+        const accountId = requireOption(values, "account");
+        return fetchSitesByAccount(accountId, getPaginationOptions(values));
+      },
+    },
+    create: {
+      usage:
+        "sites create --account <id> --name <name> [--group <name>] [--tag <tag>...]",
+      description: "Create a site in an account",
+      options: {
+        account: { type: "string" },
+        name: { type: "string" },
+        group: { type: "string" },
+        tag: { type: "string", multiple: true },
+      },
+      fields: ["id", "name", "group_name", "tags"],
+      async run(values) {
+        const accountId = requireOption(values, "account");
+        const name = requireOption(values, "name");
+        const tags = values.tag || [];
+        checkOption("name", validateSiteName(name));
+        checkOption("group", validateGroupName(values.group));
+        checkOption("tag", validateTags(tags));
+        return createSite(accountId, {
+          name,
+          ...(values.group && { group_name: values.group }),
+          ...(tags.length && { tags }),
+        });
+      },
+    },
+    get: {
+      usage: "sites get --site <id>",
+      description: "Show a site and its installs",
+      options: { site: { type: "string" } },
+      fields: ["id", "name", "accountId", "group_name", "tags", "installs"],
+      async run(values) {
+        return fetchSite(requireOption(values, "site"));
+      },
+    },
+    rename: {
+      usage: "sites rename --site <id> --name <name>",
+      description: "Rename a site",
+      options: { site: { type: "string" }, name: { type: "string" } },
+      fields: ["id", "name"],
+      async run(values) {
+        const name = requireOption(values, "name");
+        checkOption("name", validateSiteName(name));
+        return updateSite(requireOption(values, "site"), { name });
+      },
+    },
+    delete: {
+      usage: "sites delete --site <id> --yes [--cascade] [--reason <text>]",
+      description:
+        "Delete a site. A site with installs needs --cascade, which deletes them too",
+      options: {
+        site: { type: "string" },
+        yes: { type: "boolean" },
+        cascade: { type: "boolean" },
+        reason: { type: "string" },
+      },
+      fields: ["id", "deleted", "deletedInstalls"],
+      async run(values) {
+        const siteId = requireOption(values, "site");
+        if (!values.yes) {
+          throw new UsageError(
+            "Refusing to delete a site without --yes. A deleted site is not recoverable."
+          );
+        }
+        const result = await deleteSite(siteId, {
+          cascade: Boolean(values.cascade),
+        });
+        return {
+          id: siteId,
+          deleted: true,
+          deletedInstalls: result.deletedInstalls,
+        };
+      },
+    },
+  },
+  installs: {
+    list: {
+      usage: "installs list --site <id> [--max-items <n>]",
+      description: "List the installs of a site",
+      options: { site: { type: "string" }, ...PAGINATION_OPTIONS },
+      fields: ["id", "name", "environment", "cname", "php_version"],
+      async run(values) {
+        const siteId = requireOption(values, "site");
+        // Parsed rather than left unknown, so scripts get a reason instead of a bare parse error
+        if (values["page-size"] !== undefined) {
+          throw new UsageError(
+            "--page-size is not supported by installs list: a site's installs come in one response. Use --max-items to limit them."
+          );
+        }
+        return fetchInstallsBySite(siteId, getPaginationOptions(values));
+      },
+    },
+    get: {
+      usage: "installs get --install <id>",
+      description: "Show an install's details",
+      options: { install: { type: "string" } },
+      fields: [
+        "id",
+        "name",
+        "environment",
+        "status",
+        "primary_domain",
+        "cname",
+        "php_version",
+        "is_multisite",
+        "siteId",
+        "accountId",
+      ],
+      async run(values) {
+        return fetchInstall(requireOption(values, "install"));
+      },
+    },
+    create: {
+      usage:
+        "installs create --account <id> --site <id> --name <name> --environment <env> [--copy-from <id>] [--wait] [--wait-timeout <seconds>]",
+      description:
+        "Create an install (environment) on a site. --wait polls until it is active and fails if it errors or times out (default 900s). --copy-from then copies another install's files and database into it",
+      options: {
+        account: { type: "string" },
+        site: { type: "string" },
+        name: { type: "string" },
+        environment: { type: "string" },
+        "copy-from": { type: "string" },
+        wait: { type: "boolean" },
+        "wait-timeout": { type: "string" },
+      },
+      fields: ["id", "name", "environment", "status"],
+      async run(values) {
+        const accountId = requireOption(values, "account");
+        const siteId = requireOption(values, "site");
+        const name = requireOption(values, "name");
+        const environment = requireOption(values, "environment");
+        const copyFrom = values["copy-from"];
+        checkOption("name", validateInstallName(name));
+        checkOption("environment", validateEnvironment(environment));
+        checkOption("name", await checkInstallNameAvailable(name, accountId));
+        const waitTimeout = parsePositiveInteger(values, "wait-timeout");
+        if (copyFrom) await checkCopySource(copyFrom, siteId);
+        const install = await createInstall(siteId, accountId, {
+          name,
+          environment,
+        });
+        if (!install.id) {
+          // In dry-run mode nothing was created, so there is nothing to wait
+          // for; still show the copy the new install would get
+          if (copyFrom) recordDryRunCopyToNewInstall(copyFrom, name, "both");
+          return install;
+        }
+        if (!(values.wait || copyFrom)) return install;
+        try {
+          const ready = await waitForInstall(install.id, {
+            timeoutMs: waitTimeout ? waitTimeout * 1000 : undefined,
+            onPoll: createWaitReporter(name),
+          });
+          if (!copyFrom) return ready;
+          const reportCopy = createWaitReporter(`copy to ${name}`);
+          const { destination } = await copyEnvironment({
+            sourceId: copyFrom,
+            destinationId: ready.id,
+            scope: "both",
+            // A brand-new install has nothing worth backing up
+            backup: false,
+            onProgress: (step, resource, elapsedMs) =>
+              reportCopy(resource, elapsedMs),
+          });
+          return destination;
+        } finally {
+          // End the progress line before the result or error is printed
+          if (process.stderr.isTTY) process.stderr.write("\n");
+        }
+      },
+    },
+    delete: {
+      usage: "installs delete --install <id> --yes [--reason <text>]",
+      description: "Delete an install. Not recoverable, so --yes is required",
+      options: {
+        install: { type: "string" },
+        yes: { type: "boolean" },
+        reason: { type: "string" },
+      },
+      fields: ["id", "deleted"],
+      async run(values) {
+        const installId = requireOption(values, "install");
+        if (!values.yes) {
+          throw new UsageError(
+            "Refusing to delete an install without --yes. A deleted environment is not recoverable."
+          );
+        }
+        await deleteInstall(installId);
+        return { id: installId, deleted: true };
+      },
+    },
+    copy: {
+      usage:
+        "installs copy --from <id> --to <id> --scope <files|database|both> --email <address> --yes",
+      description:
+        "Copy one install of a site over another, e.g. staging to production. Backs up the destination first and waits for both steps",
+      options: {
+        from: { type: "string" },
+        to: { type: "string" },
+        scope: { type: "string" },
+        email: { type: "string", multiple: true },
+        yes: { type: "boolean" },
+      },
+      fields: ["source", "destination", "scope", "backup", "status"],
+      async run(values) {
+        const sourceId = requireOption(values, "from");
+        const destinationId = requireOption(values, "to");
+        const scope = requireOption(values, "scope");
+        const notificationEmails = requireOption(values, "email");
+        notificationEmails.forEach((email) =>
+          checkOption("email", validateEmail(email))
+        );
+        if (!COPY_SCOPES.includes(scope)) {
+          throw new UsageError(
+            `Invalid --scope "${scope}". Expected one of: ${COPY_SCOPES.join(
+              ", "
+            )}`
+          );
+        }
+        if (!values.yes) {
+          throw new UsageError(
+            "Refusing to overwrite an install without --yes. The destination is backed up first, but the copy cannot be undone."
+          );
+        }
+        const reporters = {
+          backup: createWaitReporter(`backup of ${destinationId}`),
+          copy: createWaitReporter(`copy to ${destinationId}`),
+        };
+        try {
+          const { source, destination, backup } = await copyEnvironment({
+            sourceId,
+            destinationId,
+            scope,
+            notificationEmails,
+            onProgress: (step, resource, elapsedMs) =>
+              reporters[step](resource, elapsedMs),
+          });
+          return {
+            source: source.name,
+            destination: destination.name,
+            scope,
+            backup: (backup && backup.id) || null,
+            status: destination.status,
+          };
+        } finally {
+          if (process.stderr.isTTY) process.stderr.write("\n");
+        }
+      },
+    },
+  },
+  domains: {
+    list: {
+      usage: "domains list --install <id>",
+      description: "List the domains of an install",
+      options: { install: { type: "string" } },
+      fields: ["id", "name", "primary"],
+      async run(values) {
+        return fetchDomains(requireOption(values, "install"));
+      },
+    },
+    add: {
+      usage: "domains add --install <id> --name <domain> [--primary]",
+      description: "Add a domain to an install",
+      options: {
+        install: { type: "string" },
+        name: { type: "string" },
+        primary: { type: "boolean" },
+      },
+      fields: ["id", "name", "primary"],
+      async run(values) {
+        return addDomain(requireOption(values, "install"), {
+          name: requireOption(values, "name"),
+          primary: Boolean(values.primary),
+        });
+      },
+    },
+    "set-primary": {
+      usage: "domains set-primary --install <id> --domain <id>",
+      description: "Make a domain the install's primary domain",
+      options: { install: { type: "string" }, domain: { type: "string" } },
+      fields: ["id", "name", "primary"],
+      async run(values) {
+        return setPrimaryDomain(
+          requireOption(values, "install"),
+          requireOption(values, "domain")
+        );
+      },
+    },
+    remove: {
+      usage: "domains remove --install <id> --domain <id> --yes",
+      description: "Remove a domain from an install",
+      options: {
+        install: { type: "string" },
+        domain: { type: "string" },
+        yes: { type: "boolean" },
+      },
+      fields: ["id", "deleted"],
+      async run(values) {
+        const installId = requireOption(values, "install");
+        const domainId = requireOption(values, "domain");
+        if (!values.yes) {
+          throw new UsageError("Refusing to remove a domain without --yes.");
+        }
+        await deleteDomain(installId, domainId);
+        return { id: domainId, deleted: true };
+      },
+    },
+  },
+  backups: {
+    list: {
+      usage: "backups list --install <id>",
+      description: "List the backups of an install",
+      options: { install: { type: "string" } },
+      fields: ["id", "status", "created_at", "description"],
+      async run(values) {
+        return fetchBackups(requireOption(values, "install"));
+      },
+    },
+    create: {
+      usage:
+        "backups create --install <id> --email <address> [--description <text>]",
+      description: "Start a backup, emailing the address when it completes",
+      options: {
+        install: { type: "string" },
+        email: { type: "string", multiple: true },
+        description: { type: "string" },
+      },
+      fields: ["id", "status"],
+      async run(values) {
+        const installId = requireOption(values, "install");
+        const notificationEmails = requireOption(values, "email");
+        notificationEmails.forEach((email) =>
+          checkOption("email", validateEmail(email))
+        );
+        return createBackup(installId, {
+          description:
+            values.description || "Backup from WP Engine API CLI Tool",
+          notificationEmails,
+        });
+      },
+    },
+  },
+  cache: {
+    purge: {
+      usage: `cache purge --install <id> --type <${CACHE_TYPES.join("|")}>`,
+      description: "Purge one of an install's cache layers",
+      options: { install: { type: "string" }, type: { type: "string" } },
+      fields: ["installId", "type", "purged"],
+      async run(values) {
+        const installId = requireOption(values, "install");
+        const type = requireOption(values, "type");
+        if (!CACHE_TYPES.includes(type)) {
+          throw new UsageError(
+            `Invalid --type "${type}". Expected one of: ${CACHE_TYPES.join(
+              ", "
+            )}`
+          );
+        }
+        await purgeCache(installId, type);
+        return { installId, type, purged: true };
+      },
+    },
+  },
+  "sftp-users": {
+    list: {
+      usage: "sftp-users list --install <id>",
+      description: "List the SSH/SFTP users of an install",
+      options: { install: { type: "string" } },
+      fields: ["username", "description"],
+      async run(values) {
+        return fetchSftpUsers(requireOption(values, "install"));
+      },
+    },
+  },
+  plan: {
+    usage: "plan --file <manifest>",
+    description:
+      "Show the sites and installs a YAML/JSON manifest would create or delete",
+    options: { file: { type: "string" } },
+    fields: ["action", "site", "environment", "install", "accountId"],
+    async run(values) {
+      return planManifest(loadManifest(requireOption(values, "file")));
+    },
+  },
+  apply: {
+    usage: "apply --file <manifest> [--yes] [--reason <text>]",
+    description:
+      "Create and delete sites and installs to match a manifest, after confirmation",
+    options: {
+      file: { type: "string" },
+      yes: { type: "boolean" },
+      reason: { type: "string" },
+    },
+    fields: ["action", "site", "environment", "install", "status", "error"],
+    async run(values, globals) {
+      const actions = await planManifest(
+        loadManifest(requireOption(values, "file"))
+      );
+      if (!actions.length) return [];
+
+      let confirmation = values.yes ? "--yes" : null;
+      if (!values.yes && !globals["dry-run"]) {
+        if (!process.stdin.isTTY) {
+          throw new UsageError(
+            "Refusing to apply changes without --yes when not running in a terminal."
+          );
+        }
+        console.error(
+          formatOutput(actions, { defaultFields: COMMANDS.plan.fields })
+        );
+        if (!(await askConfirmation(`\nApply ${actions.length} change(s)?`))) {
+          throw new Error("Apply cancelled");
+        }
+        confirmation = "yes";
+      }
+
+      const results = await withAuditContext({ confirmation }, () =>
+        applyPlan(actions)
+      );
+      const failure = results.find((result) => result.status === "failed");
+      if (failure) {
+        console.error(
+          formatOutput(results, { defaultFields: COMMANDS.apply.fields })
+        );
+        throw new Error(
+          `Failed to ${failure.action} "${failure.install || failure.site}": ${
+            failure.error
+          }`
+        );
+      }
+      return results;
+    },
+  },
+  run: {
+    usage:
+      "run <recipe> [--account <id>] [--param <name=value>]... [--yes] | run --list",
+    description:
+      "Run the steps of a recipe file, or of a recipe saved in ~/.wpe-cli/recipes, after confirmation. --list shows the saved recipes",
+    allowPositionals: true,
+    options: {
+      account: { type: "string" },
+      param: { type: "string", multiple: true },
+      yes: { type: "boolean" },
+      list: { type: "boolean" },
+    },
+    fields: ["step", "status", "error"],
+    async run(values, globals, positionals) {
+      if (values.list) {
+        const saved = listSavedRecipes();
+        if (!saved.length) {
+          console.error(`No recipes saved in ${getRecipesDir()}`);
+          return undefined;
+        }
+        // Printed here, as the default columns differ from a recipe run's
+        console.log(
+          formatOutput(
+            saved.map((entry) => ({
+              name: entry.name,
+              title: entry.recipe ? entry.recipe.name : null,
+              description: entry.recipe ? entry.recipe.description || "" : "",
+              params: entry.recipe
+                ? describeParams(entry.recipe).map((param) => param.name)
+                : [],
+              error: entry.error,
+            })),
+            {
+              format: getOutputFormat(globals),
+              fields: getOutputFields(globals),
+              defaultFields: RECIPE_LIST_FIELDS,
+            }
+          )
+        );
+        return undefined;
+      }
+      if (positionals.length !== 1) {
+        throw new UsageError(
+          "Give one recipe: a file, or the name of a saved recipe"
+        );
+      }
+      const recipe = loadRecipe(findRecipeFile(positionals[0]));
+      const given = {};
+      (values.param || []).forEach((pair) => {
+        const separator = pair.indexOf("=");
+        if (separator < 1) {
+          throw new UsageError(
+            `Invalid --param "${pair}". Expected name=value`
+          );
+        }
+        given[pair.slice(0, separator)] = pair.slice(separator + 1);
+      });
+      const params = resolveParams(recipe, given);
+      let account = null;
+      if (values.account) {
+        account = (await fetchAccounts()).find(
+          (candidate) => candidate.id === values.account
+        );
+        if (!account) {
+          throw new UsageError(`No access to account ${values.account}`);
+        }
+      }
+
+      let confirmation = values.yes ? "--yes" : null;
+      if (!values.yes && !globals["dry-run"]) {
+        if (!process.stdin.isTTY) {
+          throw new UsageError(
+            "Refusing to run a recipe without --yes when not running in a terminal."
+          );
+        }
+        console.error(
+          `${recipe.name}${
+            account ? ` for ${account.name}` : ""
+          }:\n${recipe.steps
+            .map(
+              (step, index) =>
+                `  ${index + 1}. ${describeStep(step)}${
+                  step.if !== undefined ? ` if ${step.if}` : ""
+                }${step.unless !== undefined ? ` unless ${step.unless}` : ""}`
+            )
+            .join("\n")}`
+        );
+        if (!(await askConfirmation(`\nRun ${recipe.steps.length} step(s)?`))) {
+          throw new Error("Recipe cancelled");
+        }
+        confirmation = "yes";
+      }
+
+      const results = await withAuditContext({ confirmation }, () =>
+        runRecipe(recipe, {
+          params,
+          account,
+          onStep: (result, index) => {
+            if (process.stderr.isTTY && result.status === "running") {
+              console.error(
+                `Step ${index + 1} of ${recipe.steps.length}: ${result.step}`
+              );
+            }
+          },
+        })
+      );
+      const stopped = results.find(
+        (result, index) =>
+          result.status === "failed" &&
+          recipe.steps[index].onError !== "continue"
+      );
+      if (stopped) {
+        console.error(
+          formatOutput(results, { defaultFields: COMMANDS.run.fields })
+        );
+        throw new Error(`Step "${stopped.step}" failed: ${stopped.error}`);
+      }
+      return results;
+    },
+  },
+};
+
+/**
+ * Builds the help text listing every command
+ * @returns {string}
+ */
+export function getHelpText() {
+  const lines = ["Usage: wpe <resource> <action> [options]", "", "Commands:"];
+  Object.values(COMMANDS).forEach((entry) => {
+    const commands = entry.run ? [entry] : Object.values(entry);
+    commands.forEach((command) => {
+      lines.push(`  ${command.usage}`);
+      lines.push(`      ${command.description}`);
+    });
+  });
+  lines.push("");
+  lines.push("Global options:");
+  lines.push("  --profile <name>");
+  lines.push("      Use a saved credential profile instead of the default");
+  lines.push("  --format <table|json|yaml|csv>, --json, --yaml, --csv");
+  lines.push("      Output format for results (default: table)");
+  lines.push("  --fields <a,b,c>");
+  lines.push(
+    "      Fields to output, dotted for nested values (e.g. account.id)"
+  );
+  lines.push("  --dry-run");
+  lines.push(
+    "      Print the requests a command would send, without sending them"
+  );
+  lines.push("  --no-cache");
+  lines.push("      Ignore cached responses and fetch everything from the API");
+  lines.push("  --no-color");
+  lines.push(
+    "      Disable colour. Also disabled when output is not a terminal"
+  );
+  lines.push("");
+  lines.push(
+    "Run with no arguments in a terminal to use the interactive menu."
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Maps an error thrown by a command to the exit code scripts should see
+ * @param {Error} error
+ * @returns {number}
+ */
+function getExitCode(error) {
+  if (
+    error instanceof UsageError ||
+    error instanceof ManifestError ||
+    error instanceof RecipeError ||
+    error instanceof PolicyError
+  ) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof PolicyViolationError) return EXIT_CODES.POLICY;
+  if (error instanceof MissingCredentialsError) return EXIT_CODES.AUTH;
+  if (error instanceof WpeApiError) {
+    if (error.status === 401 || error.status === 403) return EXIT_CODES.AUTH;
+    if (error.status === 404) return EXIT_CODES.NOT_FOUND;
+  }
+  return EXIT_CODES.FAILURE;
+}
+
+/**
+ * Runs a single non-interactive command
+ * @param {string[]} argv - Arguments after the script name, global flags included
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCli(argv) {
+  try {
+    const { globals, args } = extractGlobalOptions(argv);
+    const [resource, ...afterResource] = args;
+    if (!resource) {
+      throw new UsageError("No command given");
+    }
+    if (resource === "help" || resource === "--help") {
+      console.log(getHelpText());
+      return EXIT_CODES.SUCCESS;
+    }
+    if (!Object.hasOwn(COMMANDS, resource)) {
+      throw new UsageError(`Unknown command "${resource}"`);
+    }
+    // Single commands such as "login" take their options straight after the name
+    const entry = COMMANDS[resource];
+    const action = entry.run ? null : afterResource[0];
+    const rest = entry.run ? afterResource : afterResource.slice(1);
+    const command = entry.run
+      ? entry
+      : Object.hasOwn(entry, action || "") && entry[action];
+    if (!command) {
+      throw new UsageError(
+        action
+          ? `Unknown action "${action}" for "${resource}"`
+          : `Missing action for "${resource}"`
+      );
+    }
+    let values;
+    let positionals;
+    try {
+      ({ values, positionals } = parseArgs({
+        args: rest,
+        options: command.options,
+        strict: true,
+        allowPositionals: Boolean(command.allowPositionals),
+      }));
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const format = getOutputFormat(globals);
+    const fields = getOutputFields(globals);
+    applyGlobalOptions(globals);
+    const result = await withAuditContext(
+      {
+        source: "cli",
+        command: [resource, action].filter(Boolean).join(" "),
+        confirmation: values.yes ? "--yes" : null,
+        // Deleting an install protected by the policy file needs a reason
+        reason: values.reason || null,
+      },
+      () => command.run(values, globals, positionals)
+    );
+    const dryRunRequests = takeDryRunRequests();
+    if (dryRunRequests.length) {
+      // Show what would have been sent instead of the placeholder result
+      console.log(
+        format === "table"
+          ? formatDryRunRequests(dryRunRequests)
+          : formatOutput(dryRunRequests, {
+              format,
+              fields,
+              defaultFields: ["method", "url", "body"],
+            })
+      );
+    } else if (result !== undefined) {
+      console.log(
+        formatOutput(result, { format, fields, defaultFields: command.fields })
+      );
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error('Run "wpe help" to see the available commands.');
+    }
+    return getExitCode(error);
+  }
+}
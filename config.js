@@ -0,0 +1,157 @@
+/**
+ * Credential profiles stored in the user's home directory.
+ * Lets one person switch between several WP Engine API users without editing .env.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const DEFAULT_PROFILE = "default";
+
+/**
+ * Thrown when no API credentials can be found for the requested profile
+ */
+export class MissingCredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "MissingCredentialsError";
+  }
+}
+
+/**
+ * Directory holding the CLI's config file. Override with WPE_CLI_HOME.
+ * @returns {string}
+ */
+export function getConfigDir() {
+  return process.env.WPE_CLI_HOME || path.join(os.homedir(), ".wpe-cli");
+}
+
+function getConfigPath() {
+  return path.join(getConfigDir(), "config.json");
+}
+
+/**
+ * Reads the config file, returning an empty config if it does not exist yet
+ * @returns {{ currentProfile: string|null, profiles: Object }}
+ */
+export function loadConfig() {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(getConfigPath(), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Could not read ${getConfigPath()}: ${error.message}`);
+    }
+  }
+  return {
+    ...config,
+    currentProfile: config.currentProfile || null,
+    profiles: config.profiles || {},
+  };
+}
+
+/**
+ * Writes the config file. It holds API passwords, so only the owner may read it.
+ * @param {Object} config
+ */
+export function saveConfig(config) {
+  fs.mkdirSync(getConfigDir(), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(getConfigPath(), JSON.stringify(config, null, 2) + "\n", {
+    mode: 0o600,
+  });
+}
+
+/**
+ * Lists the saved profiles, without their passwords
+ * @returns {Array<{ name: string, userId: string, current: boolean }>}
+ */
+export function listProfiles() {
+  const config = loadConfig();
+  return Object.entries(config.profiles).map(([name, profile]) => ({
+    name,
+    userId: profile.userId,
+    current: name === config.currentProfile,
+  }));
+}
+
+/**
+ * Saves a profile's credentials, making it the current profile if there is none
+ * @param {string} name - The profile name
+ * @param {{ userId: string, password: string }} credentials
+ */
+export function saveProfile(name, { userId, password }) {
+  const config = loadConfig();
+  config.profiles[name] = { userId, password };
+  if (!config.currentProfile) config.currentProfile = name;
+  saveConfig(config);
+}
+
+/**
+ * Removes a saved profile
+ * @param {string} name - The profile name
+ * @returns {boolean} false if there was no such profile
+ */
+export function removeProfile(name) {
+  const config = loadConfig();
+  if (!config.profiles[name]) return false;
+  delete config.profiles[name];
+  if (config.currentProfile === name) {
+    config.currentProfile = Object.keys(config.profiles)[0] || null;
+  }
+  saveConfig(config);
+  return true;
+}
+
+/**
+ * Makes a saved profile the one used when no profile is given
+ * @param {string} name - The profile name
+ */
+export function setCurrentProfile(name) {
+  const config = loadConfig();
+  if (!config.profiles[name]) {
+    throw new MissingCredentialsError(`No profile named "${name}"`);
+  }
+  config.currentProfile = name;
+  saveConfig(config);
+}
+
+/**
+ * Works out which credentials to use, in this order:
+ * 1. The named profile (from --profile, WPE_PROFILE or the interactive switcher)
+ * 2. WP_ENGINE_API_USER_ID and WP_ENGINE_API_PASSWORD from the environment or .env
+ * 3. The current profile in the config file
+ * @param {string|null} [profileName]
+ * @returns {{ profile: string|null, userId: string, password: string }}
+ *   `profile` is null when the credentials came from the environment
+ * @throws {MissingCredentialsError}
+ */
+export function resolveCredentials(profileName = process.env.WPE_PROFILE) {
+  const config = loadConfig();
+
+  if (profileName) {
+    const profile = config.profiles[profileName];
+    if (!profile) {
+      throw new MissingCredentialsError(
+        `No profile named "${profileName}". Run "wpe login --profile ${profileName}" to create it.`
+      );
+    }
+    return { profile: profileName, ...profile };
+  }
+
+  const userId = process.env.WP_ENGINE_API_USER_ID;
+  const password = process.env.WP_ENGINE_API_PASSWORD;
+  if (userId && password) {
+    return { profile: null, userId, password };
+  }
+
+  if (config.currentProfile && config.profiles[config.currentProfile]) {
+    return {
+      profile: config.currentProfile,
+      ...config.profiles[config.currentProfile],
+    };
+  }
+
+  throw new MissingCredentialsError(
+    'WP Engine API credentials not found. Run "wpe login", or create a .env file with WP_ENGINE_API_USER_ID and WP_ENGINE_API_PASSWORD.'
+  );
+}
@@ -0,0 +1,9 @@
+/**
+ * Values shared across modules. This module imports nothing, so any module
+ * can use it without creating an import cycle.
+ */
+
+/**
+ * The environments a site can have one install each of
+ */
+export const ALL_ENVIRONMENTS = ["production", "staging", "development"];
@@ -0,0 +1,422 @@
+/**
+ * Install health checks: does the primary domain point at the install, does
+ * the site answer over HTTPS, how it redirects, how fast it responds and when
+ * its certificate expires. DNS and HTTP are passed in, so the checks can run
+ * against local stand-ins instead of the network.
+ */
+import dns from "dns";
+import http from "http";
+import https from "https";
+import { fetchInstall, fetchInstallsByAccount, runBulk } from "./utils.js";
+
+export const CHECK_STATUSES = ["pass", "warn", "fail"];
+export const DEFAULT_TIMEOUT_MS = 10000;
+export const MAX_REDIRECTS = 5;
+// Responses slower than these are a warning and a failure
+export const SLOW_RESPONSE_MS = 1000;
+export const VERY_SLOW_RESPONSE_MS = 3000;
+// A certificate expiring sooner than this is a warning
+export const CERTIFICATE_WARNING_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TLS_ERROR_PATTERN = /^(CERT_|ERR_TLS_|DEPTH_ZERO|SELF_SIGNED|UNABLE_TO_)/;
+
+/**
+ * DNS lookups through Node's resolver. Any object with the same two methods
+ * can be passed to the checks instead.
+ */
+export function createNodeDns({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const resolver = new dns.promises.Resolver({ timeout: timeoutMs, tries: 2 });
+  return {
+    resolveCname: (hostname) => resolver.resolveCname(hostname),
+    resolve4: (hostname) => resolver.resolve4(hostname),
+  };
+}
+
+/**
+ * Sends a GET request without following redirects, through Node's http and
+ * https modules. Any object with the same method can be passed to the
+ * checks instead.
+ * @returns {{ request: (url: string) => Promise<{ status: number, location: string|null, certificate: { validTo: Date }|null }> }}
+ */
+export function createNodeHttp({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return {
+    request(url) {
+      return new Promise((resolve, reject) => {
+        const client = url.startsWith("https:") ? https : http;
+        const req = client.request(
+          url,
+          {
+            method: "GET",
+            headers: { "User-Agent": "wpe-site-management-cli doctor" },
+            agent: false,
+            timeout: timeoutMs,
+          },
+          (res) => {
+            const certificate = res.socket.getPeerCertificate
+              ? res.socket.getPeerCertificate()
+              : null;
+            resolve({
+              status: res.statusCode,
+              location: res.headers.location || null,
+              certificate:
+                certificate && certificate.valid_to
+                  ? { validTo: new Date(certificate.valid_to) }
+                  : null,
+            });
+            // Only the headers matter, so skip downloading the page
+            res.destroy();
+          }
+        );
+        req.on("timeout", () => {
+          const error = new Error(
+            `No response within ${timeoutMs / 1000} seconds`
+          );
+          error.code = "ETIMEDOUT";
+          req.destroy(error);
+        });
+        req.on("error", reject);
+        req.end();
+      });
+    },
+  };
+}
+
+function normalizeHostname(hostname) {
+  return String(hostname).toLowerCase().replace(/\.$/, "");
+}
+
+function describeError(error) {
+  if (error.code === "ENOTFOUND" || error.code === "ENODATA") {
+    return "no DNS record found";
+  }
+  return error.code && !error.message.includes(error.code)
+    ? `${error.message} (${error.code})`
+    : error.message;
+}
+
+/**
+ * Requests a URL and follows its redirects
+ * @returns {Promise<{ hops: Array<Object>, elapsedMs: number, tooManyRedirects: boolean }>}
+ *   One hop per request, with its url and the response from the HTTP client
+ */
+async function followRedirects(httpClient, url, now) {
+  const startedAt = now();
+  const hops = [];
+  let nextUrl = url;
+  while (nextUrl && hops.length <= MAX_REDIRECTS) {
+    const response = await httpClient.request(nextUrl);
+    hops.push({ url: nextUrl, ...response });
+    const isRedirect = response.status >= 300 && response.status < 400;
+    nextUrl =
+      isRedirect && response.location
+        ? new URL(response.location, nextUrl).href
+        : null;
+  }
+  return { hops, elapsedMs: now() - startedAt, tooManyRedirects: !!nextUrl };
+}
+
+function checkStatus(install) {
+  if (install.status === "active") {
+    return { status: "pass", detail: "Active" };
+  }
+  return {
+    status: install.status === "pending" ? "warn" : "fail",
+    detail: `Install status is ${install.status || "unknown"}`,
+  };
+}
+
+async function checkCname(dnsClient, install) {
+  if (!install.cname) {
+    return { result: { status: "warn", detail: "The install has no CNAME" } };
+  }
+  try {
+    const addresses = await dnsClient.resolve4(install.cname);
+    return {
+      addresses,
+      result: {
+        status: "pass",
+        detail: `${install.cname} resolves to ${addresses.join(", ")}`,
+      },
+    };
+  } catch (error) {
+    return {
+      addresses: [],
+      result: {
+        status: "fail",
+        detail: `${install.cname}: ${describeError(error)}`,
+      },
+    };
+  }
+}
+
+/**
+ * The primary domain should be a CNAME for the install's wpengine.com name,
+ * or (at the apex, where CNAMEs are not allowed) have the same A records.
+ */
+async function checkDomainDns(dnsClient, install, domain, cnameAddresses) {
+  if (
+    install.cname &&
+    normalizeHostname(domain) === normalizeHostname(install.cname)
+  ) {
+    return {
+      status: "pass",
+      detail: "The primary domain is the install's own CNAME",
+    };
+  }
+  const expected = install.cname
+    ? normalizeHostname(install.cname)
+    : "the install";
+  try {
+    const targets = (await dnsClient.resolveCname(domain)).map(
+      normalizeHostname
+    );
+    if (targets.includes(expected)) {
+      return { status: "pass", detail: `${domain} is a CNAME for ${expected}` };
+    }
+    return {
+      status: "fail",
+      detail: `${domain} is a CNAME for ${targets.join(
+        ", "
+      )}, expected ${expected}`,
+    };
+  } catch (error) {
+    if (error.code !== "ENODATA") {
+      return { status: "fail", detail: `${domain}: ${describeError(error)}` };
+    }
+  }
+  // No CNAME record, so compare the A records instead
+  try {
+    const addresses = await dnsClient.resolve4(domain);
+    if (addresses.some((address) => cnameAddresses.includes(address))) {
+      return {
+        status: "pass",
+        detail: `${domain} resolves to ${addresses.join(
+          ", "
+        )}, the same as ${expected}`,
+      };
+    }
+    return {
+      status: "fail",
+      detail: `${domain} resolves to ${addresses.join(", ")}, expected ${
+        cnameAddresses.length
+          ? `${cnameAddresses.join(", ")} (${expected})`
+          : `a CNAME for ${expected}`
+      }`,
+    };
+  } catch (error) {
+    return { status: "fail", detail: `${domain}: ${describeError(error)}` };
+  }
+}
+
+function checkHttpRedirect(response) {
+  if (response.error) {
+    return {
+      status: "warn",
+      detail: `http:// did not respond: ${describeError(response.error)}`,
+    };
+  }
+  const { status, location } = response;
+  if (status >= 300 && status < 400 && /^https:/i.test(location || "")) {
+    return { status: "pass", detail: `http:// redirects to ${location}` };
+  }
+  return {
+    status: "warn",
+    detail: `http:// answers ${status} without redirecting to HTTPS`,
+  };
+}
+
+function checkCertificate(certificate, now) {
+  if (!certificate) {
+    return { status: "warn", detail: "No certificate details were returned" };
+  }
+  const days = Math.floor((certificate.validTo - now) / DAY_MS);
+  const date = certificate.validTo.toISOString().slice(0, 10);
+  if (days < 0) {
+    return { status: "fail", detail: `Expired on ${date}` };
+  }
+  return {
+    status: days < CERTIFICATE_WARNING_DAYS ? "warn" : "pass",
+    detail: `Expires on ${date} (${days} day(s))`,
+  };
+}
+
+function checkResponse(finalHop, tooManyRedirects) {
+  if (tooManyRedirects) {
+    return {
+      status: "fail",
+      detail: `More than ${MAX_REDIRECTS} redirects`,
+    };
+  }
+  const { status } = finalHop;
+  if (status < 400) return { status: "pass", detail: `HTTP ${status}` };
+  return {
+    // 401 and 403 are usually a password-protected staging site
+    status: status < 500 ? "warn" : "fail",
+    detail: `HTTP ${status}`,
+  };
+}
+
+function checkRedirects(hops) {
+  if (hops.length === 1) return { status: "pass", detail: "No redirects" };
+  const chain = hops.map((hop) => hop.url).join(" → ");
+  if (hops.slice(1).some((hop) => hop.url.startsWith("http:"))) {
+    return { status: "warn", detail: `Redirects to plain HTTP: ${chain}` };
+  }
+  return {
+    status: hops.length > 3 ? "warn" : "pass",
+    detail: `${hops.length - 1} redirect(s): ${chain}`,
+  };
+}
+
+function checkResponseTime(elapsedMs) {
+  let status = "pass";
+  if (elapsedMs >= VERY_SLOW_RESPONSE_MS) status = "fail";
+  else if (elapsedMs >= SLOW_RESPONSE_MS) status = "warn";
+  return { status, detail: `${Math.round(elapsedMs)} ms` };
+}
+
+/**
+ * The most serious status among a list of checks
+ * @param {Array<{ status: string }>} checks
+ * @returns {"pass"|"warn"|"fail"}
+ */
+export function getOverallStatus(checks) {
+  return checks.reduce(
+    (worst, check) =>
+      CHECK_STATUSES.indexOf(check.status) > CHECK_STATUSES.indexOf(worst)
+        ? check.status
+        : worst,
+    "pass"
+  );
+}
+
+/**
+ * Runs every health check against one install
+ * @param {Object} install - The full install record, with cname and primary_domain
+ * @param {Object} [options]
+ * @param {Object} [options.dns] - resolveCname and resolve4, as from createNodeDns
+ * @param {Object} [options.http] - request, as from createNodeHttp
+ * @param {() => number} [options.now] - Clock in milliseconds, for timing and certificate expiry
+ * @returns {Promise<{ install: string, installId: string, domain: string, status: string, checks: Array<{ name: string, status: string, detail: string }> }>}
+ */
+export async function checkInstallHealth(
+  install,
+  {
+    dns: dnsClient = createNodeDns(),
+    http: httpClient = createNodeHttp(),
+    now = Date.now,
+  } = {}
+) {
+  const domain = install.primary_domain || install.cname;
+  const checks = [];
+  const add = (name, result) => checks.push({ name, ...result });
+
+  add("Install status", checkStatus(install));
+  const cname = await checkCname(dnsClient, install);
+  add("CNAME", cname.result);
+  if (!domain) {
+    add("DNS", { status: "fail", detail: "The install has no domain" });
+    return summarize(install, domain, checks);
+  }
+  add(
+    "DNS",
+    await checkDomainDns(dnsClient, install, domain, cname.addresses || [])
+  );
+
+  const plain = await httpClient
+    .request(`http://${domain}/`)
+    .catch((error) => ({ error }));
+  add("HTTPS redirect", checkHttpRedirect(plain));
+
+  let result;
+  try {
+    result = await followRedirects(httpClient, `https://${domain}/`, now);
+  } catch (error) {
+    const isTlsError = TLS_ERROR_PATTERN.test(error.code || "");
+    add("TLS certificate", {
+      status: "fail",
+      detail: isTlsError
+        ? describeError(error)
+        : "Could not connect over HTTPS",
+    });
+    add("HTTPS response", {
+      status: "fail",
+      detail: `Could not connect: ${describeError(error)}`,
+    });
+    return summarize(install, domain, checks);
+  }
+  const { hops, elapsedMs, tooManyRedirects } = result;
+  add("TLS certificate", checkCertificate(hops[0].certificate, now()));
+  add("HTTPS response", checkResponse(hops[hops.length - 1], tooManyRedirects));
+  add("Redirects", checkRedirects(hops));
+  add("Response time", checkResponseTime(elapsedMs));
+  return summarize(install, domain, checks);
+}
+
+function summarize(install, domain, checks) {
+  return {
+    install: install.name,
+    installId: install.id,
+    domain: domain || null,
+    status: getOverallStatus(checks),
+    checks,
+  };
+}
+
+/**
+ * Fetches an install and checks its health
+ * @param {string} installId
+ * @param {Object} [options] - As for checkInstallHealth
+ */
+export async function checkInstallHealthById(installId, options) {
+  const install = await fetchInstall(installId, { fresh: true });
+  return await checkInstallHealth(install, options);
+}
+
+/**
+ * Checks the health of every install of an account, a few at a time
+ * @param {string} accountId
+ * @param {Object} [options] - As for checkInstallHealth, plus:
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<Array<Object>>} One result per install, as from checkInstallHealth
+ */
+export async function checkAccountHealth(
+  accountId,
+  { onProgress, ...options } = {}
+) {
+  const installs = await fetchInstallsByAccount(accountId);
+  let done = 0;
+  const results = await runBulk(installs, async (install) => {
+    try {
+      return await checkInstallHealth(install, options);
+    } finally {
+      done += 1;
+      if (onProgress) onProgress(done, installs.length);
+    }
+  });
+  return results.map(({ item, result, error }) =>
+    error
+      ? summarize(item, item.primary_domain, [
+          { name: "Health check", status: "fail", detail: error.message },
+        ])
+      : result
+  );
+}
+
+/**
+ * One row per check, for tables and CSV
+ * @param {Array<Object>} results - As from checkInstallHealth
+ * @returns {Array<{ install: string, domain: string, check: string, status: string, detail: string }>}
+ */
+export function flattenHealthResults(results) {
+  return results.flatMap((result) =>
+    result.checks.map((check) => ({
+      install: result.install,
+      domain: result.domain,
+      check: check.name,
+      status: check.status,
+      detail: check.detail,
+    }))
+  );
+}
@@ -0,0 +1,134 @@
+/**
+ * Interactive forms: asks for each field in turn, validating as it goes and
+ * showing errors inline, then shows a review screen before anything is sent.
+ */
+import chalk from "chalk";
+import { clearScreen, displayWelcome, createMenu, getTextInput } from "./ui.js";
+
+/**
+ * @typedef {Object} FormField
+ * @property {string} name - Key of the value in the result
+ * @property {string} label - Shown when asking and on the review screen
+ * @property {string} [hint] - Shown after the label, e.g. "(e.g. acmestg)"
+ * @property {"text"|"choice"} [type="text"]
+ * @property {Array<{ label: string, value: * }>} [choices] - For choice fields
+ * @property {boolean} [optional=false] - Text fields may then be left empty
+ * @property {(text: string) => *} [parse] - Turns the typed text into the value
+ * @property {(value: *) => string} [format] - Shows the value on the review screen
+ * @property {(value: *, values: Object) => (string|null|Promise<string|null>)} [validate]
+ *   Returns an error message, or null when the value is valid
+ */
+
+function formatValue(field, value) {
+  if (field.format) return field.format(value);
+  if (field.type === "choice") {
+    const choice = field.choices.find((candidate) => candidate.value === value);
+    return choice ? choice.label : "";
+  }
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function displayFormHeader(title, fields, values) {
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.green(`${title}\n`));
+  fields
+    .filter((field) => Object.hasOwn(values, field.name))
+    .forEach((field) =>
+      console.log(
+        chalk.gray(
+          `${field.label}: ${formatValue(field, values[field.name]) || "-"}`
+        )
+      )
+    );
+}
+
+/**
+ * Asks for one field until it gets a valid value
+ * @returns {Promise<{ value: * } | null>} null if the user pressed Escape
+ */
+async function askField(title, fields, field, values, initialText = "") {
+  if (field.type === "choice") {
+    displayFormHeader(title, fields, values);
+    console.log("");
+    const index = await createMenu(
+      `${field.label}:`,
+      field.choices.map((choice) => choice.label),
+      true
+    );
+    return index === -1 ? null : { value: field.choices[index].value };
+  }
+
+  let text = initialText;
+  let error = null;
+  while (true) {
+    displayFormHeader(title, fields, values);
+    console.log(
+      chalk.cyan(
+        `\n${field.label}${field.hint ? ` ${field.hint}` : ""}${
+          field.optional ? chalk.gray(" (optional, Enter to skip)") : ""
+        }:`
+      )
+    );
+    if (error) console.log(chalk.red(`✖ ${error}`));
+    const input = await getTextInput({ initial: text, allowCancel: true });
+    if (input === null) return null;
+    text = input.trim();
+    if (!text && field.optional) return { value: null };
+    const value = field.parse ? field.parse(text) : text;
+    error = field.validate ? await field.validate(value, values) : null;
+    if (!error) return { value };
+  }
+}
+
+/**
+ * Runs a form and returns the values once the user submits it
+ * @param {string} title - e.g. 'Add a site to "Acme"'
+ * @param {FormField[]} fields
+ * @returns {Promise<Object|null>} The values by field name, or null if cancelled with Escape
+ */
+export async function runForm(title, fields) {
+  const values = {};
+  for (const field of fields) {
+    const answer = await askField(title, fields, field, values);
+    if (!answer) return null;
+    values[field.name] = answer.value;
+  }
+
+  while (true) {
+    clearScreen();
+    displayWelcome();
+    console.log(chalk.green(`${title}\n`));
+    console.log(chalk.yellow("Review before submitting:\n"));
+    const width = Math.max(...fields.map((field) => field.label.length));
+    fields.forEach((field) =>
+      console.log(
+        `  ${chalk.bold(field.label.padEnd(width))}  ${
+          formatValue(field, values[field.name]) || chalk.gray("-")
+        }`
+      )
+    );
+    console.log("");
+    const options = [
+      "Submit",
+      ...fields.map((field) => `Edit ${field.label.toLowerCase()}`),
+      "Cancel",
+    ];
+    const index = await createMenu("Submit this?", options, true);
+    if (index === 0) return values;
+    if (index === -1 || index === options.length - 1) return null;
+
+    const field = fields[index - 1];
+    const current = values[field.name];
+    const answer = await askField(
+      title,
+      fields,
+      field,
+      values,
+      current === null || current === undefined
+        ? ""
+        : formatValue(field, current)
+    );
+    if (answer) values[field.name] = answer.value;
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Output formatters for the non-interactive commands.
+ * Renders lists and single records as an aligned table, JSON, YAML or CSV.
+ */
+import chalk from "chalk";
+import YAML from "yaml";
+
+export const OUTPUT_FORMATS = ["table", "json", "yaml", "csv"];
+
+/**
+ * Reads a possibly nested value, e.g. getField(site, "account.id")
+ */
+function getField(record, field) {
+  return field
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? value : value[key],
+      record
+    );
+}
+
+/**
+ * Keeps only the given fields of a record, in the given order
+ * @param {Object} record
+ * @param {string[]} fields - Field names, dotted for nested values
+ * @returns {Object}
+ */
+export function pickFields(record, fields) {
+  return Object.fromEntries(
+    fields.map((field) => [field, getField(record, field) ?? null])
+  );
+}
+
+/**
+ * Turns a value into the text shown in a table or CSV cell. Lists of
+ * records show each record's name, so a site's installs read as names.
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) {
+    return value
+      .map((item) =>
+        item && typeof item === "object"
+          ? item.name || item.id || JSON.stringify(item)
+          : String(item)
+      )
+      .join(", ");
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function toCsvCell(value) {
+  let text = toCell(value);
+  // Spreadsheets run text starting with these as a formula, so a site or
+  // domain name cannot smuggle one into an exported file. Numbers are safe.
+  if (typeof value !== "number" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Works out which columns to show when the caller did not choose any
+ */
+function getDefaultFields(records) {
+  const fields = [];
+  records.forEach((record) => {
+    Object.keys(record).forEach((key) => {
+      if (!fields.includes(key)) fields.push(key);
+    });
+  });
+  return fields;
+}
+
+function formatTable(data, fields) {
+  if (!Array.isArray(data)) {
+    // A single record reads better as "field  value" lines
+    const width = Math.max(...fields.map((field) => field.length));
+    return fields
+      .map(
+        (field) =>
+          `${chalk.bold(field.padEnd(width))}  ${toCell(getField(data, field))}`
+      )
+      .join("\n");
+  }
+  if (!data.length) return chalk.gray("No results.");
+
+  const rows = data.map((record) =>
+    fields.map((field) => toCell(getField(record, field)))
+  );
+  const widths = fields.map((field, column) =>
+    Math.max(field.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (cells) =>
+    cells
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+  return [chalk.bold(formatRow(fields)), ...rows.map(formatRow)].join("\n");
+}
+
+function formatCsv(data, fields) {
+  const records = Array.isArray(data) ? data : [data];
+  return [
+    fields.map(toCsvCell).join(","),
+    ...records.map((record) =>
+      fields.map((field) => toCsvCell(getField(record, field))).join(",")
+    ),
+  ].join("\n");
+}
+
+/**
+ * Renders a list of records, or a single record, in the requested format
+ * @param {Object|Array<Object>} data - What the command produced
+ * @param {Object} [options]
+ * @param {string} [options.format="table"] - One of OUTPUT_FORMATS
+ * @param {string[]} [options.fields] - Columns chosen with --fields
+ * @param {string[]} [options.defaultFields] - Columns a table or CSV shows when none were chosen
+ * @returns {string}
+ */
+export function formatOutput(
+  data,
+  { format = "table", fields, defaultFields } = {}
+) {
+  const records = Array.isArray(data) ? data : [data];
+
+  if (format === "json" || format === "yaml") {
+    // Structured formats keep every field unless some were asked for
+    const output = fields
+      ? Array.isArray(data)
+        ? data.map((record) => pickFields(record, fields))
+        : pickFields(data, fields)
+      : data;
+    return format === "json"
+      ? JSON.stringify(output, null, 2)
+      : YAML.stringify(output).trimEnd();
+  }
+
+  const columns = fields || defaultFields || getDefaultFields(records);
+  if (format === "csv") return formatCsv(data, columns);
+  return formatTable(data, columns);
+}
+
+/**
+ * Formats an elapsed time for progress messages, e.g. "45s" or "2m 05s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(
+    2,
+    "0"
+  )}s`;
+}
+
+/**
+ * Renders the requests recorded in dry-run mode the way they would go over
+ * the wire: request line, headers, then the JSON body
+ * @param {Array<{ method: string, url: string, headers: Object, body: * }>} requests
+ * @returns {string}
+ */
+export function formatDryRunRequests(requests) {
+  const summary = chalk.yellow(
+    `DRY RUN: ${requests.length} request(s) would be sent. Nothing was changed.`
+  );
+  const blocks = requests.map((request) =>
+    [
+      chalk.bold(`${request.method} ${request.url}`),
+      ...Object.entries(request.headers).map(
+        ([name, value]) => `${name}: ${value}`
+      ),
+      ...(request.body === null
+        ? []
+        : ["", JSON.stringify(request.body, null, 2)]),
+    ].join("\n")
+  );
+  return [summary, ...blocks].join("\n\n");
+}
@@ -0,0 +1,152 @@
+/**
+ * Interactive health checks: one install from the install screen, or every
+ * install of an account, shown as a pass/warn/fail checklist.
+ */
+import chalk from "chalk";
+import {
+  checkInstallHealth,
+  checkAccountHealth,
+  flattenHealthResults,
+} from "./doctor.js";
+import {
+  clearScreen,
+  displayWelcome,
+  displayLoading,
+  createSpinner,
+  createMenu,
+  showMessage,
+} from "./ui.js";
+
+const STATUS_SYMBOLS = { pass: "✔", warn: "⚠", fail: "✖" };
+
+const STATUS_COLORS = {
+  pass: chalk.green,
+  warn: chalk.yellow,
+  fail: chalk.red,
+};
+
+/**
+ * Formats one install's checks as a checklist, one line per check
+ * @param {Object} result - As returned by checkInstallHealth
+ * @returns {string}
+ */
+function formatChecklist(result) {
+  const width = Math.max(...result.checks.map((check) => check.name.length));
+  return result.checks
+    .map(
+      (check) =>
+        `  ${STATUS_COLORS[check.status](
+          `${STATUS_SYMBOLS[check.status]} ${check.name.padEnd(width)}`
+        )}  ${check.detail}`
+    )
+    .join("\n");
+}
+
+function countStatuses(results) {
+  return flattenHealthResults(results).reduce(
+    (counts, row) => ({ ...counts, [row.status]: counts[row.status] + 1 }),
+    { pass: 0, warn: 0, fail: 0 }
+  );
+}
+
+function formatCounts(counts) {
+  return `${chalk.green(`${counts.pass} passed`)}, ${chalk.yellow(
+    `${counts.warn} warning(s)`
+  )}, ${chalk.red(`${counts.fail} failed`)}`;
+}
+
+/**
+ * Checks one install and shows the checklist
+ * @param {Object} install - The full install record
+ */
+export async function installHealthCheckFlow(install) {
+  clearScreen();
+  displayWelcome();
+  const spinner = createSpinner(
+    `Checking ${install.primary_domain || install.name}...`
+  );
+  let result;
+  try {
+    result = await checkInstallHealth(install);
+  } catch (error) {
+    spinner.stop();
+    await showMessage(chalk.red(`Health check failed: ${error.message}`));
+    return;
+  }
+  spinner.stop();
+  await showMessage(
+    `${chalk.green(
+      `Health of "${install.name}" (${result.domain}):`
+    )}\n\n${formatChecklist(result)}\n\n${formatCounts(
+      countStatuses([result])
+    )}\n`
+  );
+}
+
+/**
+ * Checks every install of an account, then lists them worst first so the
+ * user can open any install's checklist
+ * @param {Object} account
+ */
+export async function accountHealthCheckFlow(account) {
+  displayLoading(`Loading installs for account: ${account.name}...`);
+  const spinner = createSpinner("Checking installs...");
+  let results;
+  try {
+    results = await checkAccountHealth(account.id, {
+      onProgress: (done, total) =>
+        spinner.setText(`Checked ${done} of ${total} installs...`),
+    });
+  } catch (error) {
+    spinner.stop();
+    await showMessage(chalk.red(`Health check failed: ${error.message}`));
+    return;
+  }
+  spinner.stop();
+  if (!results.length) {
+    await showMessage(chalk.yellow(`${account.name} has no installs.`));
+    return;
+  }
+
+  const order = ["fail", "warn", "pass"];
+  results.sort(
+    (a, b) =>
+      order.indexOf(a.status) - order.indexOf(b.status) ||
+      a.install.localeCompare(b.install)
+  );
+  const counts = countStatuses(results);
+  while (true) {
+    clearScreen();
+    displayWelcome();
+    console.log(
+      chalk.green(`Health of ${results.length} install(s) in ${account.name}:`)
+    );
+    console.log(`${formatCounts(counts)}\n`);
+    const options = results
+      .map((result) => {
+        const problems = result.checks.filter(
+          (check) => check.status !== "pass"
+        );
+        return `${STATUS_SYMBOLS[result.status]} ${result.install} (${
+          result.domain || "no domain"
+        })${
+          problems.length
+            ? ` - ${problems.map((check) => check.name).join(", ")}`
+            : ""
+        }`;
+      })
+      .concat(["← Back to account"]);
+    const index = await createMenu(
+      "Select an install to see its checklist:",
+      options,
+      true
+    );
+    if (index === -1 || index === options.length - 1) return;
+    const result = results[index];
+    await showMessage(
+      `${chalk.green(
+        `Health of "${result.install}" (${result.domain}):`
+      )}\n\n${formatChecklist(result)}\n`
+    );
+  }
+}
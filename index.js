@@ -5,179 +5,60 @@
  * An interactive command-line interface for managing your WordPress sites and installs via the WP Engine API.
  */
 
-import readline from "readline";
 import chalk from "chalk";
+import { ALL_ENVIRONMENTS } from "./constants.js";
 import {
   fetchAccounts,
   fetchSitesByAccount,
-  fetchInstallsBySite,
-  deleteInstall,
+  fetchSite,
   createInstall,
-  createSite,
+  getActiveProfile,
+  setActiveProfile,
+  invalidateCache,
 } from "./utils.js";
-
-// ------------------- UI HELPERS ------------------- //
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
-readline.emitKeypressEvents(process.stdin);
-if (process.stdin.isTTY) process.stdin.setRawMode(true);
-
-function clearScreen() {
-  process.stdout.write("\u001B[2J\u001B[0;0H");
-}
-
-function displayWelcome() {
-  clearScreen();
-  console.log(chalk.blue.bold("Welcome to the WP Engine API CLI Tool!"));
-  console.log(
-    chalk.gray(
-      "Use arrow keys to navigate, Enter to select, Escape to go back, and Ctrl+C to exit.\n"
-    )
-  );
-}
-
-function displayLoading(message) {
-  clearScreen();
-  displayWelcome();
-  console.log(chalk.yellow(message));
-}
-
-function displayInstallDetails(siteName, install) {
-  clearScreen();
-  displayWelcome();
-  console.log(
-    chalk.green(`Install Details for "${install.name}" on site "${siteName}":`)
-  );
-  console.log(chalk.white("\n" + "=".repeat(50)));
-  console.log(chalk.cyan(`Site Name: ${install.name || "N/A"}`));
-  console.log(chalk.white(`Environment: ${install.environment || "N/A"}`));
-  console.log(
-    chalk.white(`Primary Domain: ${install.primary_domain || "N/A"}`)
-  );
-  console.log(chalk.white(`CNAME: ${install.cname || "N/A"}`));
-  console.log(chalk.white(`PHP Version: ${install.php_version || "N/A"}`));
-  console.log(chalk.white(`Multisite: ${install.is_multisite ? "Yes" : "No"}`));
-  console.log(chalk.white("\n" + "=".repeat(50)));
-}
-
-/**
- * Create a menu with keyboard navigation.
- * @param {string} title
- * @param {string[]} options
- * @param {boolean} [preserveScreen=false]
- * @returns {Promise<number>} selected index, or -1 for escape/back
- */
-async function createMenu(title, options, preserveScreen = false) {
-  return new Promise((resolve) => {
-    let selectedIndex = 0;
-    const maxIndex = options.length - 1;
-    let firstRender = true;
-    function renderMenu() {
-      if (firstRender) {
-        if (!preserveScreen) {
-          clearScreen();
-          displayWelcome();
-        }
-        console.log(chalk.yellow(`${title}\n`));
-        firstRender = false;
-      } else {
-        process.stdout.write(`\u001B[${options.length}A`);
-        process.stdout.write("\u001B[0J");
-      }
-      options.forEach((option, index) => {
-        if (index === selectedIndex) {
-          console.log(chalk.cyan(`→ ${option}`));
-        } else {
-          console.log(`  ${option}`);
-        }
-      });
-    }
-    renderMenu();
-    function handleKeypress(str, key) {
-      if (key) {
-        if (key.name === "up" && selectedIndex > 0) {
-          selectedIndex--;
-          renderMenu();
-        } else if (key.name === "down" && selectedIndex < maxIndex) {
-          selectedIndex++;
-          renderMenu();
-        } else if (key.name === "return") {
-          process.stdin.removeListener("keypress", handleKeypress);
-          resolve(selectedIndex);
-        } else if (key.name === "escape") {
-          process.stdin.removeListener("keypress", handleKeypress);
-          resolve(-1);
-        } else if (key.ctrl && key.name === "c") {
-          clearScreen();
-          console.log(chalk.blue("Exiting WP Engine API CLI Tool..."));
-          process.exit(0);
-        }
-      }
-    }
-    process.stdin.on("keypress", handleKeypress);
-  });
-}
-
-async function getTextInput() {
-  return new Promise((resolve) => {
-    let input = "";
-    process.stdout.write("> ");
-    // Remove any existing keypress listeners
-    const listeners = process.stdin.listeners("keypress");
-    listeners.forEach((listener) =>
-      process.stdin.removeListener("keypress", listener)
-    );
-    if (process.stdin.isTTY && !process.stdin.isRaw)
-      process.stdin.setRawMode(true);
-    function handleKeypress(str, key) {
-      if (key && key.ctrl && key.name === "c") {
-        process.stdout.write("\n");
-        process.exit(0);
-      }
-      if (key && key.name === "return") {
-        process.stdout.write("\n");
-        process.stdin.removeListener("keypress", handleKeypress);
-        listeners.forEach((listener) => process.stdin.on("keypress", listener));
-        resolve(input);
-      } else if (key && key.name === "backspace") {
-        if (input.length > 0) {
-          input = input.slice(0, -1);
-          process.stdout.write("\b \b");
-        }
-      } else if (str && !key.ctrl && !key.meta && !key.alt) {
-        input += str;
-        process.stdout.write(str);
-      }
-    }
-    process.stdin.on("keypress", handleKeypress);
-  });
-}
-
-async function promptForField(label, hint) {
-  clearScreen();
-  displayWelcome();
-  console.log(chalk.cyan(`Enter ${label}${hint ? ` ${hint}` : ""}:`));
-  return getTextInput();
-}
-
-async function waitForKeyPress() {
-  return new Promise((resolve) => {
-    console.log(chalk.gray("Press any key to continue..."));
-    function handleKeypress() {
-      process.stdin.removeListener("keypress", handleKeypress);
-      resolve();
-    }
-    process.stdin.once("keypress", handleKeypress);
-  });
-}
+import {
+  runCli,
+  extractGlobalOptions,
+  applyGlobalOptions,
+} from "./commands.js";
+import { listProfiles, MissingCredentialsError } from "./config.js";
+import {
+  setupTerminal,
+  clearScreen,
+  displayWelcome,
+  displayLoading,
+  createMenu,
+  createMultiSelectMenu,
+  MENU_REFRESH,
+  waitForKeyPress,
+  showMessage,
+  runAction,
+} from "./ui.js";
+import { withAuditContext } from "./audit.js";
+import {
+  manageInstallFlow,
+  waitForInstallFlow,
+  runCopyFlow,
+} from "./install-menu.js";
+import { runForm } from "./form.js";
+import { manageAccountUsersFlow } from "./account-menu.js";
+import { accountHealthCheckFlow } from "./health-menu.js";
+import { accountUsageFlow } from "./usage-menu.js";
+import { accountRecipesFlow } from "./recipe-menu.js";
+import {
+  validateInstallName,
+  checkInstallNameAvailable,
+} from "./validators.js";
+import { manageSitesInBulkFlow, bulkDeleteInstallsFlow } from "./bulk-menu.js";
+import {
+  displaySiteDetails,
+  addSiteFlow,
+  renameSiteFlow,
+  deleteSiteFlow,
+} from "./site-menu.js";
 
 // ------------------- ENVIRONMENT HELPERS ------------------- //
 
-const ALL_ENVIRONMENTS = ["production", "staging", "development"];
-
 function getExistingEnvironments(installs) {
   return installs.map((install) => install.environment);
 }
@@ -203,47 +84,124 @@ function allEnvironmentsExist(installs) {
  * @returns {Promise<boolean>} true if install added, false otherwise
  */
 async function addInstallFlow({ selectedSite, selectedAccount, installs }) {
-  try {
-    const name = await promptForField("name");
-    clearScreen();
-    displayWelcome();
-    console.log(chalk.cyan("Select environment:"));
-    const availableEnvironments = getAvailableEnvironments(installs);
-    if (availableEnvironments.length === 0) {
-      console.log(chalk.red("All environments already exist for this site."));
-      await waitForKeyPress();
-      return false;
-    }
-    const environmentIndex = await createMenu(
-      "Select environment:",
-      availableEnvironments
-    );
-    if (environmentIndex === -1) return false;
-    const environment = availableEnvironments[environmentIndex];
-    clearScreen();
-    displayWelcome();
-    console.log(chalk.yellow("Adding install..."));
-    await createInstall(selectedSite.id, selectedAccount.id, {
-      name,
-      environment,
-    });
-    clearScreen();
-    displayWelcome();
-    console.log(chalk.green("Install added."));
-    await waitForKeyPress();
-    return true;
-  } catch (error) {
+  const availableEnvironments = getAvailableEnvironments(installs);
+  if (availableEnvironments.length === 0) {
     clearScreen();
     displayWelcome();
-    console.log(chalk.red(`Failed to add install: ${error.message}`));
+    console.log(chalk.red("All environments already exist for this site."));
     await waitForKeyPress();
     return false;
   }
+  const fields = [
+    {
+      name: "name",
+      label: "Install name",
+      hint: "(3–14 lowercase letters and digits, e.g. acmestg)",
+      async validate(name) {
+        const error = validateInstallName(name);
+        if (error) return error;
+        try {
+          return await checkInstallNameAvailable(name, selectedAccount.id);
+        } catch {
+          // The API will still reject a taken name
+          return null;
+        }
+      },
+    },
+    {
+      name: "environment",
+      label: "Environment",
+      type: "choice",
+      choices: availableEnvironments.map((environment) => ({
+        label: environment,
+        value: environment,
+      })),
+    },
+  ];
+  if (installs.length) {
+    fields.push({
+      name: "copyFrom",
+      label: "Copy from",
+      type: "choice",
+      choices: [
+        { label: "Nothing, start empty", value: null },
+        ...installs.map((install) => ({
+          label: `${install.name} (${install.environment})`,
+          value: install.id,
+        })),
+      ],
+    });
+  }
+  const values = await runForm(
+    `Add an install to "${selectedSite.name}"`,
+    fields
+  );
+  if (!values) return false;
+  const { name, environment, copyFrom } = values;
+
+  let created = null;
+  const added = await runAction(
+    "Adding install...",
+    "Install added. Next, we'll follow its provisioning, which can take a few minutes.",
+    "Failed to add install",
+    async () => {
+      created = await createInstall(selectedSite.id, selectedAccount.id, {
+        name,
+        environment,
+      });
+    }
+  );
+  if (added && created && created.id) {
+    const ready = await waitForInstallFlow({ name, ...created });
+    const source = installs.find((install) => install.id === copyFrom);
+    if (ready && source) {
+      await runCopyFlow({
+        source,
+        destination: ready,
+        scope: "both",
+        // A brand-new install has nothing worth backing up
+        backup: false,
+      });
+    } else if (source) {
+      // The copy needs an active install, so it cannot start without the wait
+      await showMessage(
+        chalk.yellow(
+          `${source.name} was not copied into "${name}", which is not active yet. Once it is, use "Copy environment" on its install screen, or run:\n\n  wpe installs copy --from ${source.id} --to ${created.id} --scope both --email <address> --yes`
+        )
+      );
+    }
+  }
+  return added;
+}
+
+// ------------------- PROFILE SWITCHING FLOW ------------------- //
+
+/**
+ * Lets the user pick one of their saved credential profiles for this session.
+ * @returns {Promise<boolean>} true if the profile changed, false otherwise
+ */
+async function switchProfileFlow() {
+  const profiles = listProfiles();
+  const profileOptions = profiles
+    .map(
+      (profile) =>
+        `${profile.name} (${profile.userId})${
+          profile.current ? " [default]" : ""
+        }`
+    )
+    .concat(["← Back to account selection"]);
+  const profileIndex = await createMenu("Select a profile:", profileOptions);
+  if (profileIndex === -1 || profileIndex === profileOptions.length - 1) {
+    return false;
+  }
+  setActiveProfile(profiles[profileIndex].name);
+  return true;
 }
 
 // ------------------- MAIN APP FLOW ------------------- //
 
 async function main() {
+  setupTerminal();
   try {
     let exitApp = false;
     while (!exitApp) {
@@ -258,191 +216,193 @@ async function main() {
         process.exit(1);
       }
       const accountOptions = accounts.map((account) => account.name);
+      const canSwitchProfile = listProfiles().length > 0;
+      if (canSwitchProfile) accountOptions.push("⇄ Switch profile");
+      const profileName = getActiveProfile() || ".env credentials";
       const accountIndex = await createMenu(
-        "Select an account:",
-        accountOptions
+        `Select an account (profile: ${profileName}):`,
+        accountOptions,
+        false,
+        { refreshable: true }
       );
       if (accountIndex === -1) break;
+      if (accountIndex === MENU_REFRESH) {
+        invalidateCache();
+        continue;
+      }
+      if (canSwitchProfile && accountIndex === accountOptions.length - 1) {
+        await switchProfileFlow();
+        continue;
+      }
       const selectedAccount = accounts[accountIndex];
 
-      // --- Site selection ---
+      // --- Account menu ---
       let backToAccounts = false;
       while (!backToAccounts && !exitApp) {
-        displayLoading(`Loading sites for account: ${selectedAccount.name}...`);
-        const sites = await fetchSitesByAccount(selectedAccount.id);
-        if (!sites.length) {
-          clearScreen();
-          displayWelcome();
-          console.log(
-            chalk.red(`No sites found for account: ${selectedAccount.name}`)
-          );
-          await waitForKeyPress();
-          backToAccounts = true;
+        const sectionOptions = [
+          "Sites",
+          "Users",
+          "Usage",
+          "Health check",
+          "Recipes",
+          "← Back to account selection",
+        ];
+        const sectionIndex = await createMenu(
+          `${selectedAccount.name}: what would you like to manage?`,
+          sectionOptions
+        );
+        if (sectionIndex === 1) {
+          await manageAccountUsersFlow(selectedAccount);
           continue;
-        }
-        const siteOptions = sites
-          .map((site) => site.name)
-          .concat(["+ Add site", "← Back to account selection"]);
-        const siteIndex = await createMenu("Select a site:", siteOptions);
-        if (siteIndex === -1 || siteIndex === siteOptions.length - 1) {
+        } else if (sectionIndex === 2) {
+          await accountUsageFlow(selectedAccount);
+          continue;
+        } else if (sectionIndex === 3) {
+          await accountHealthCheckFlow(selectedAccount);
+          continue;
+        } else if (sectionIndex === 4) {
+          await accountRecipesFlow(selectedAccount);
+          continue;
+        } else if (sectionIndex !== 0) {
           backToAccounts = true;
           continue;
-        } else if (siteIndex === siteOptions.length - 2) {
-          // Add site flow
-          try {
-            const name = await promptForField("name");
-            clearScreen();
-            displayWelcome();
-            console.log(chalk.yellow("Adding site..."));
-            await createSite(selectedAccount.id, { name });
-            clearScreen();
-            displayWelcome();
-            console.log(chalk.green("Site added."));
-            await waitForKeyPress();
-            continue;
-          } catch (error) {
-            clearScreen();
-            displayWelcome();
-            console.log(chalk.red(`Failed to add site: ${error.message}`));
-            await waitForKeyPress();
-            continue;
-          }
         }
-        const selectedSite = sites[siteIndex];
 
-        // --- Install selection ---
-        let backToSites = false;
-        while (!backToSites && !backToAccounts && !exitApp) {
-          displayLoading(`Loading installs for site: ${selectedSite.name}...`);
-          const installs = await fetchInstallsBySite(selectedSite.id);
-          if (!installs.length) {
+        // --- Site selection ---
+        let backToAccountMenu = false;
+        while (!backToAccountMenu && !exitApp) {
+          displayLoading(
+            `Loading sites for account: ${selectedAccount.name}...`
+          );
+          const sites = await fetchSitesByAccount(selectedAccount.id);
+          if (!sites.length) {
             clearScreen();
             displayWelcome();
             console.log(
-              chalk.red(`No installs found for site: ${selectedSite.name}`)
-            );
-            console.log("");
-            const emptyInstallOptions = [
-              "+ Add install",
-              "← Back to site selection",
-              "Exit",
-            ];
-            const emptyInstallIndex = await createMenu(
-              "What would you like to do?",
-              emptyInstallOptions,
-              true
+              chalk.red(`No sites found for account: ${selectedAccount.name}`)
             );
-            if (emptyInstallIndex === -1 || emptyInstallIndex === 1) {
-              backToSites = true;
-              continue;
-            } else if (emptyInstallIndex === 2) {
-              exitApp = true;
-              continue;
-            } else if (emptyInstallIndex === 0) {
-              await addInstallFlow({ selectedSite, selectedAccount, installs });
-              continue;
-            }
+            await waitForKeyPress();
+            backToAccountMenu = true;
             continue;
           }
-
-          // Build install options
-          const installOptions = installs.map(
-            (install) =>
-              `${install.name} (${install.environment}) - ${
-                install.primary_domain || "No domain"
-              }`
+          const siteOptions = sites
+            .map((site) => site.name)
+            .concat([
+              "+ Add site",
+              "☑ Select multiple sites",
+              "← Back to account",
+            ]);
+          const siteIndex = await createMenu(
+            "Select a site:",
+            siteOptions,
+            false,
+            { refreshable: true }
           );
-          if (!allEnvironmentsExist(installs))
-            installOptions.push("+ Add install");
-          installOptions.push("← Back to site selection");
-
-          const installIndex = await createMenu(
-            "Select an install:",
-            installOptions
-          );
-          const addInstallOffset = !allEnvironmentsExist(installs) ? 2 : 1;
-          if (
-            installIndex === -1 ||
-            installIndex === installOptions.length - 1
-          ) {
-            backToSites = true;
+          if (siteIndex === MENU_REFRESH) {
+            invalidateCache();
+            continue;
+          } else if (siteIndex === -1 || siteIndex === siteOptions.length - 1) {
+            backToAccountMenu = true;
             continue;
-          } else if (
-            !allEnvironmentsExist(installs) &&
-            installIndex === installOptions.length - addInstallOffset
-          ) {
-            // Add install flow
-            await addInstallFlow({ selectedSite, selectedAccount, installs });
+          } else if (siteIndex === siteOptions.length - 2) {
+            await manageSitesInBulkFlow(selectedAccount, sites);
+            continue;
+          } else if (siteIndex === siteOptions.length - 3) {
+            await addSiteFlow(selectedAccount);
             continue;
           }
+          const selectedSite = sites[siteIndex];
 
-          // --- Install management ---
-          const selectedInstall = installs[installIndex];
-          let backToInstalls = false;
-          while (
-            !backToInstalls &&
-            !backToSites &&
-            !backToAccounts &&
-            !exitApp
-          ) {
-            displayInstallDetails(selectedSite.name, selectedInstall);
-            const managementOptions = [
-              "Delete install",
-              "← Back to install selection",
-              "Exit",
-            ];
-            const managementIndex = await createMenu(
-              "What would you like to do?",
-              managementOptions
-            );
-            if (managementIndex === -1 || managementIndex === 1) {
-              backToInstalls = true;
-            } else if (managementIndex === 0) {
-              clearScreen();
-              displayWelcome();
+          // --- Site details and install selection ---
+          let backToSites = false;
+          while (!backToSites && !backToAccountMenu && !exitApp) {
+            displayLoading(`Loading site: ${selectedSite.name}...`);
+            const site = await fetchSite(selectedSite.id);
+            const installs = site.installs;
+            displaySiteDetails(selectedAccount, site);
+            if (!installs.length) {
               console.log(
-                chalk.red(
-                  "WARNING: A deleted environment is not recoverable, and the name will no longer be available. You cannot undo this action."
-                )
+                chalk.red(`No installs found for site: ${site.name}`)
               );
-              console.log(
-                chalk.yellow(
-                  `Type "${selectedInstall.name}" to confirm, then press Enter.`
-                )
-              );
-              const confirmation = await getTextInput();
-              if (confirmation !== selectedInstall.name) {
-                clearScreen();
-                displayWelcome();
-                console.log(
-                  chalk.red(
-                    `Incorrect confirmation. You typed "${confirmation}" but the install name is "${selectedInstall.name}".`
-                  )
+              console.log("");
+            }
+
+            // Build install options. The site's install summaries carry the
+            // CNAME but not the primary domain, which is loaded on selection.
+            const installOptions = installs.map(
+              (install) =>
+                `${install.name} (${install.environment}) - ${
+                  install.primary_domain || install.cname || "No domain"
+                }`
+            );
+            if (!allEnvironmentsExist(installs))
+              installOptions.push("+ Add install");
+            if (installs.length > 1)
+              installOptions.push("☑ Delete multiple installs");
+            installOptions.push(
+              "Rename site",
+              "Delete site",
+              "← Back to site selection",
+              "Exit"
+            );
+
+            const installIndex = await createMenu(
+              installs.length
+                ? "Select an install:"
+                : "What would you like to do?",
+              installOptions,
+              true,
+              { refreshable: true }
+            );
+            const choice = installOptions[installIndex];
+            if (installIndex === MENU_REFRESH) {
+              invalidateCache();
+              continue;
+            } else if (
+              installIndex === -1 ||
+              choice === "← Back to site selection"
+            ) {
+              backToSites = true;
+              continue;
+            } else if (choice === "Exit") {
+              exitApp = true;
+              continue;
+            } else if (installIndex >= installs.length) {
+              if (choice === "+ Add install") {
+                await addInstallFlow({
+                  selectedSite: site,
+                  selectedAccount,
+                  installs,
+                });
+              } else if (choice === "☑ Delete multiple installs") {
+                const selectedIndexes = await createMultiSelectMenu(
+                  `Select installs of ${site.name} to delete:`,
+                  installOptions.slice(0, installs.length)
                 );
-                await waitForKeyPress();
-              } else {
-                clearScreen();
-                displayWelcome();
-                console.log(chalk.yellow("Deleting install..."));
-                try {
-                  await deleteInstall(selectedInstall.id);
-                  clearScreen();
-                  displayWelcome();
-                  console.log(chalk.green("Install deleted."));
-                  await waitForKeyPress();
-                  backToInstalls = true;
-                } catch (error) {
-                  clearScreen();
-                  displayWelcome();
-                  console.log(
-                    chalk.red(`Failed to delete install: ${error.message}`)
+                if (selectedIndexes !== -1) {
+                  await bulkDeleteInstallsFlow(
+                    selectedIndexes.map((index) => ({
+                      install: installs[index],
+                    }))
                   );
-                  await waitForKeyPress();
                 }
+              } else if (choice === "Rename site") {
+                await renameSiteFlow(site);
+              } else if (
+                choice === "Delete site" &&
+                (await deleteSiteFlow(site))
+              ) {
+                backToSites = true;
               }
-            } else if (managementIndex === 2) {
-              exitApp = true;
+              continue;
             }
+
+            // --- Install management ---
+            const outcome = await manageInstallFlow({
+              selectedSite: site,
+              selectedInstall: installs[installIndex],
+            });
+            if (outcome === "exit") exitApp = true;
           }
         }
       }
@@ -452,16 +412,47 @@ async function main() {
     process.exit(0);
   } catch (error) {
     clearScreen();
-    console.error(chalk.red("An error occurred:"), error);
+    if (error instanceof MissingCredentialsError) {
+      console.error(chalk.red(error.message));
+    } else {
+      console.error(chalk.red("An error occurred:"), error);
+    }
     process.exit(1);
   }
 }
 
-// Handle Ctrl+C globally
-process.on("SIGINT", () => {
-  clearScreen();
-  console.log(chalk.blue("\nExiting WP Engine API CLI Tool..."));
-  process.exit(0);
-});
+// ------------------- ENTRY POINT ------------------- //
+
+/**
+ * Returns the global flags when the arguments hold nothing else, meaning the
+ * interactive menu should start. Returns null when a command was given.
+ */
+function getInteractiveGlobals(argv) {
+  try {
+    const { globals, args } = extractGlobalOptions(argv);
+    return args.length === 0 ? globals : null;
+  } catch {
+    // Let runCli report the malformed flag
+    return null;
+  }
+}
+
+const argv = process.argv.slice(2);
+const interactiveGlobals = getInteractiveGlobals(argv);
 
-main();
+if (interactiveGlobals && process.stdin.isTTY && process.stdout.isTTY) {
+  // Handle Ctrl+C globally
+  process.on("SIGINT", () => {
+    clearScreen();
+    console.log(chalk.blue("\nExiting WP Engine API CLI Tool..."));
+    process.exit(0);
+  });
+
+  applyGlobalOptions(interactiveGlobals);
+  withAuditContext({ source: "interactive" }, main);
+} else {
+  runCli(argv).then((exitCode) =>
+    // Exit once piped output has been flushed, or large lists get cut off
+    process.stdout.write("", () => process.exit(exitCode))
+  );
+}
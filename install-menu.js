@@ -0,0 +1,559 @@
+/**
+ * Interactive install management screen: details, domains, backups,
+ * cache purging, SSH/SFTP users and deletion.
+ */
+import chalk from "chalk";
+import {
+  CACHE_TYPES,
+  fetchInstall,
+  deleteInstall,
+  fetchDomains,
+  addDomain,
+  setPrimaryDomain,
+  deleteDomain,
+  fetchBackups,
+  createBackup,
+  purgeCache,
+  fetchSftpUsers,
+  invalidateCache,
+  waitForInstall,
+  COPY_SCOPES,
+  copyEnvironment,
+  takeDryRunRequests,
+} from "./utils.js";
+import {
+  clearScreen,
+  displayWelcome,
+  displayLoading,
+  createMenu,
+  MENU_REFRESH,
+  promptForField,
+  waitForKeyPress,
+  showMessage,
+  confirmByTyping,
+  confirmDeletePolicy,
+  runAction,
+  createSpinner,
+} from "./ui.js";
+import { withAuditContext } from "./audit.js";
+import { formatDryRunRequests } from "./format.js";
+import { validateEmail } from "./validators.js";
+import { installHealthCheckFlow } from "./health-menu.js";
+import { installUsageFlow } from "./usage-menu.js";
+
+function displayInstallDetails(siteName, install) {
+  clearScreen();
+  displayWelcome();
+  console.log(
+    chalk.green(`Install Details for "${install.name}" on site "${siteName}":`)
+  );
+  console.log(chalk.white("\n" + "=".repeat(50)));
+  console.log(chalk.cyan(`Site Name: ${install.name || "N/A"}`));
+  console.log(chalk.white(`Install ID: ${install.id || "N/A"}`));
+  console.log(chalk.white(`Environment: ${install.environment || "N/A"}`));
+  console.log(chalk.white(`Status: ${install.status || "N/A"}`));
+  console.log(
+    chalk.white(`Primary Domain: ${install.primary_domain || "N/A"}`)
+  );
+  console.log(chalk.white(`CNAME: ${install.cname || "N/A"}`));
+  console.log(chalk.white(`PHP Version: ${install.php_version || "N/A"}`));
+  console.log(chalk.white(`Multisite: ${install.is_multisite ? "Yes" : "No"}`));
+  console.log(chalk.white("\n" + "=".repeat(50)));
+}
+
+// ------------------- DOMAINS ------------------- //
+
+async function addDomainFlow(install) {
+  const name = (
+    await promptForField("domain name", "(e.g. www.example.com)")
+  ).trim();
+  if (!name) return;
+  const primaryIndex = await createMenu(`Make ${name} the primary domain?`, [
+    "No",
+    "Yes",
+  ]);
+  if (primaryIndex === -1) return;
+  await runAction(
+    `Adding domain ${name}...`,
+    "Domain added.",
+    "Failed to add domain",
+    () =>
+      withAuditContext({ targetName: install.name }, () =>
+        addDomain(install.id, { name, primary: primaryIndex === 1 })
+      )
+  );
+}
+
+async function manageDomainFlow(install, domain) {
+  const options = [];
+  if (!domain.primary) options.push("Set as primary domain");
+  options.push("Remove domain", "← Back to domains");
+  const index = await createMenu(`Domain: ${domain.name}`, options);
+  const choice = options[index];
+
+  if (choice === "Set as primary domain") {
+    await runAction(
+      `Setting ${domain.name} as the primary domain...`,
+      "Primary domain updated.",
+      "Failed to set primary domain",
+      () =>
+        withAuditContext({ targetName: domain.name }, () =>
+          setPrimaryDomain(install.id, domain.id)
+        )
+    );
+  } else if (choice === "Remove domain") {
+    const confirmed = await confirmByTyping(
+      `WARNING: ${domain.name} will stop serving this install.`,
+      domain.name,
+      "domain name"
+    );
+    if (!confirmed) return;
+    await runAction(
+      `Removing domain ${domain.name}...`,
+      "Domain removed.",
+      "Failed to remove domain",
+      () =>
+        withAuditContext(
+          { targetName: domain.name, confirmation: domain.name },
+          () => deleteDomain(install.id, domain.id)
+        )
+    );
+  }
+}
+
+async function manageDomainsFlow(install) {
+  while (true) {
+    displayLoading(`Loading domains for install: ${install.name}...`);
+    let domains;
+    try {
+      domains = await fetchDomains(install.id);
+    } catch (error) {
+      await showMessage(chalk.red(`Failed to load domains: ${error.message}`));
+      return;
+    }
+    const options = domains
+      .map((domain) => `${domain.name}${domain.primary ? " (primary)" : ""}`)
+      .concat(["+ Add domain", "← Back to install"]);
+    const index = await createMenu(
+      `Domains for ${install.name}:`,
+      options,
+      false,
+      { refreshable: true }
+    );
+    if (index === MENU_REFRESH) {
+      invalidateCache();
+      continue;
+    }
+    if (index === -1 || index === options.length - 1) return;
+    if (index === options.length - 2) {
+      await addDomainFlow(install);
+    } else {
+      await manageDomainFlow(install, domains[index]);
+    }
+  }
+}
+
+// ------------------- BACKUPS ------------------- //
+
+async function createBackupFlow(install) {
+  const description = (
+    await promptForField("a backup description", "(e.g. Before plugin update)")
+  ).trim();
+  const email = (
+    await promptForField("the email to notify when the backup completes")
+  ).trim();
+  const emailError = validateEmail(email);
+  if (emailError) {
+    await showMessage(chalk.red(emailError));
+    return;
+  }
+  await runAction(
+    "Starting backup...",
+    `Backup started. ${email} will be notified when it completes.`,
+    "Failed to start backup",
+    () =>
+      withAuditContext({ targetName: install.name }, () =>
+        createBackup(install.id, {
+          description: description || "Backup from WP Engine API CLI Tool",
+          notificationEmails: [email],
+        })
+      )
+  );
+}
+
+async function listBackupsFlow(install) {
+  displayLoading(`Loading backups for install: ${install.name}...`);
+  try {
+    const backups = await fetchBackups(install.id);
+    clearScreen();
+    displayWelcome();
+    console.log(chalk.green(`Backups for "${install.name}":\n`));
+    if (!backups.length) console.log(chalk.white("No backups found."));
+    backups.forEach((backup) => {
+      console.log(
+        chalk.white(
+          `${backup.created_at || "N/A"}  ${backup.status || "N/A"}  ${
+            backup.description || ""
+          }`
+        )
+      );
+    });
+    console.log("");
+    await waitForKeyPress();
+  } catch (error) {
+    await showMessage(chalk.red(`Failed to load backups: ${error.message}`));
+  }
+}
+
+async function manageBackupsFlow(install) {
+  while (true) {
+    const options = ["+ Create backup", "View backups", "← Back to install"];
+    const index = await createMenu(`Backups for ${install.name}:`, options);
+    if (index === -1 || index === 2) return;
+    if (index === 0) await createBackupFlow(install);
+    if (index === 1) await listBackupsFlow(install);
+  }
+}
+
+// ------------------- CACHE ------------------- //
+
+async function purgeCacheFlow(install) {
+  const options = CACHE_TYPES.map((type) => `Purge ${type} cache`).concat([
+    "← Back to install",
+  ]);
+  const index = await createMenu(`Purge cache for ${install.name}:`, options);
+  if (index === -1 || index === options.length - 1) return;
+  const type = CACHE_TYPES[index];
+  await runAction(
+    `Purging ${type} cache...`,
+    `The ${type} cache purge has been requested.`,
+    `Failed to purge ${type} cache`,
+    () =>
+      withAuditContext({ targetName: install.name }, () =>
+        purgeCache(install.id, type)
+      )
+  );
+}
+
+// ------------------- SSH/SFTP USERS ------------------- //
+
+async function viewSftpUsersFlow(install) {
+  displayLoading(`Loading SSH/SFTP users for install: ${install.name}...`);
+  try {
+    const users = await fetchSftpUsers(install.id);
+    clearScreen();
+    displayWelcome();
+    console.log(chalk.green(`SSH/SFTP users for "${install.name}":\n`));
+    if (!users.length) console.log(chalk.white("No SSH/SFTP users found."));
+    users.forEach((user) => {
+      console.log(
+        chalk.white(
+          `${user.username}${user.description ? `  ${user.description}` : ""}`
+        )
+      );
+    });
+    console.log(chalk.gray(`\nSFTP host: ${install.name}.sftp.wpengine.com`));
+    console.log(
+      chalk.gray(
+        `SSH gateway: ${install.name}@${install.name}.ssh.wpengine.net\n`
+      )
+    );
+    await waitForKeyPress();
+  } catch (error) {
+    await showMessage(
+      chalk.red(`Failed to load SSH/SFTP users: ${error.message}`)
+    );
+  }
+}
+
+// ------------------- PROVISIONING ------------------- //
+
+/**
+ * Follows a new install's provisioning with a spinner until it is active,
+ * fails, times out or the user presses Escape
+ * @param {Object} install - The install as returned by createInstall
+ * @returns {Promise<Object|null>} The active install, or null if it is not ready
+ */
+export async function waitForInstallFlow(install) {
+  clearScreen();
+  displayWelcome();
+  console.log(
+    chalk.yellow(
+      `Waiting for "${install.name}" to finish provisioning. Press Escape to stop waiting; provisioning carries on in the background.\n`
+    )
+  );
+  const controller = new AbortController();
+  function handleKeypress(str, key) {
+    if (key && key.ctrl && key.name === "c") {
+      clearScreen();
+      console.log(chalk.blue("Exiting WP Engine API CLI Tool..."));
+      process.exit(0);
+    }
+    if (key && key.name === "escape") controller.abort();
+  }
+  process.stdin.on("keypress", handleKeypress);
+  const spinner = createSpinner(`Status: ${install.status || "pending"}`);
+
+  let message;
+  let ready = null;
+  try {
+    ready = await waitForInstall(install.id, {
+      signal: controller.signal,
+      onPoll: (current) =>
+        spinner.setText(`Status: ${current.status || "unknown"}`),
+    });
+    message = ready
+      ? chalk.green(`Install "${install.name}" is active and ready to use.`)
+      : chalk.yellow(
+          `Stopped waiting. "${install.name}" is still being provisioned.`
+        );
+  } catch (error) {
+    message = chalk.red(error.message);
+  } finally {
+    spinner.stop();
+    process.stdin.removeListener("keypress", handleKeypress);
+  }
+  await showMessage(message);
+  return ready;
+}
+
+// ------------------- ENVIRONMENT COPY ------------------- //
+
+const COPY_SCOPE_LABELS = {
+  files: "Files only",
+  database: "Database only",
+  both: "Files and database",
+};
+const COPY_SCOPE_NOUNS = {
+  files: "files",
+  database: "database",
+  both: "files and database",
+};
+
+/**
+ * Runs an environment copy behind a spinner and reports how it went
+ * @param {Object} params
+ * @param {Object} params.source - The install to copy from
+ * @param {Object} params.destination - The install to overwrite
+ * @param {string} params.scope - One of COPY_SCOPES
+ * @param {string[]} [params.notificationEmails] - Emailed when the backup completes
+ * @param {boolean} [params.backup=true] - Back up the destination first
+ * @param {string} [params.confirmation] - What the user typed to confirm, for the audit log
+ */
+export async function runCopyFlow({
+  source,
+  destination,
+  scope,
+  notificationEmails,
+  backup = true,
+  confirmation = null,
+}) {
+  clearScreen();
+  displayWelcome();
+  console.log(
+    chalk.yellow(
+      `Copying ${COPY_SCOPE_NOUNS[scope]} from ${source.name} to ${destination.name}.\n`
+    )
+  );
+  const spinner = createSpinner(
+    backup
+      ? `Backing up ${destination.name}...`
+      : `Starting copy to ${destination.name}...`
+  );
+  let message;
+  try {
+    await withAuditContext({ confirmation }, () =>
+      copyEnvironment({
+        sourceId: source.id,
+        destinationId: destination.id,
+        scope,
+        notificationEmails,
+        backup,
+        onProgress: (step, current) =>
+          spinner.setText(
+            step === "backup"
+              ? `Backing up ${destination.name}: ${current.status}`
+              : `Copying to ${destination.name}: ${current.status}`
+          ),
+      })
+    );
+    const dryRunRequests = takeDryRunRequests();
+    message = dryRunRequests.length
+      ? `${chalk.cyan(
+          `Would do: copy ${source.name} to ${destination.name}`
+        )}\n\n${formatDryRunRequests(dryRunRequests)}\n`
+      : chalk.green(
+          `${destination.name} now has the ${COPY_SCOPE_NOUNS[scope]} of ${source.name}.`
+        );
+  } catch (error) {
+    message = chalk.red(`Failed to copy environment: ${error.message}`);
+  } finally {
+    spinner.stop();
+  }
+  await showMessage(message);
+}
+
+/**
+ * Copies one install of the site over another, backing up the destination
+ * first and following both steps with a spinner
+ * @param {Object} site - The site, including its install summaries
+ * @param {Object} install - The install being managed, offered as the source
+ */
+async function copyEnvironmentFlow(site, install) {
+  if (site.installs.length < 2) {
+    await showMessage(
+      chalk.yellow(
+        `"${site.name}" needs at least two installs to copy between.`
+      )
+    );
+    return;
+  }
+  const label = (candidate) => `${candidate.name} (${candidate.environment})`;
+  // Offer the current install first, since it is the likeliest source
+  const sources = [
+    install,
+    ...site.installs.filter((candidate) => candidate.id !== install.id),
+  ];
+  const sourceIndex = await createMenu("Copy from:", sources.map(label));
+  if (sourceIndex === -1) return;
+  const source = sources[sourceIndex];
+
+  const destinations = site.installs.filter(
+    (candidate) => candidate.id !== source.id
+  );
+  const destinationIndex = await createMenu(
+    `Copy ${source.name} to:`,
+    destinations.map(label)
+  );
+  if (destinationIndex === -1) return;
+  const destination = destinations[destinationIndex];
+
+  const scopeIndex = await createMenu(
+    "What should be copied?",
+    COPY_SCOPES.map((scope) => COPY_SCOPE_LABELS[scope])
+  );
+  if (scopeIndex === -1) return;
+  const scope = COPY_SCOPES[scopeIndex];
+
+  const email = (
+    await promptForField(
+      "the email to notify when the pre-copy backup completes"
+    )
+  ).trim();
+  const emailError = validateEmail(email);
+  if (emailError) {
+    await showMessage(chalk.red(emailError));
+    return;
+  }
+
+  const confirmed = await confirmByTyping(
+    `WARNING: The ${COPY_SCOPE_NOUNS[scope]} of ${label(
+      destination
+    )} will be replaced with those of ${label(source)}. ${
+      destination.name
+    } is backed up first.`,
+    destination.name,
+    "destination install name"
+  );
+  if (!confirmed) return;
+
+  await runCopyFlow({
+    source,
+    destination,
+    scope,
+    notificationEmails: [email],
+    confirmation: destination.name,
+  });
+}
+
+// ------------------- DELETION ------------------- //
+
+/**
+ * @returns {Promise<boolean>} true if the install was deleted
+ */
+async function deleteInstallFlow(install) {
+  const { allowed, reason } = await confirmDeletePolicy([
+    { action: "delete-install", target: install, installs: [install] },
+  ]);
+  if (!allowed) return false;
+  const confirmed = await confirmByTyping(
+    "WARNING: A deleted environment is not recoverable, and the name will no longer be available. You cannot undo this action.",
+    install.name,
+    "install name"
+  );
+  if (!confirmed) return false;
+  return runAction(
+    "Deleting install...",
+    "Install deleted.",
+    "Failed to delete install",
+    () =>
+      withAuditContext(
+        { targetName: install.name, confirmation: install.name, reason },
+        () => deleteInstall(install.id)
+      )
+  );
+}
+
+// ------------------- INSTALL SCREEN ------------------- //
+
+/**
+ * Shows the install management screen until the user leaves it.
+ * @param {Object} params
+ * @param {Object} params.selectedSite
+ * @param {Object} params.selectedInstall - Install summary from the install list
+ * @returns {Promise<"back"|"exit">} Where the user wants to go next
+ */
+export async function manageInstallFlow({ selectedSite, selectedInstall }) {
+  while (true) {
+    displayLoading(`Loading install details for: ${selectedInstall.name}...`);
+    // Reload each time so changes made in a submenu, such as a new primary domain, show up
+    const install = await fetchInstall(selectedInstall.id);
+    displayInstallDetails(selectedSite.name, install);
+    const managementOptions = [
+      "Domains",
+      "Backups",
+      "Purge cache",
+      "SSH/SFTP users",
+      "Usage",
+      "Health check",
+      "Copy environment",
+      "Delete install",
+      "← Back to install selection",
+      "Exit",
+    ];
+    const managementIndex = await createMenu(
+      "What would you like to do?",
+      managementOptions,
+      true,
+      { refreshable: true }
+    );
+    const choice = managementOptions[managementIndex];
+
+    if (managementIndex === MENU_REFRESH) {
+      invalidateCache();
+    } else if (
+      managementIndex === -1 ||
+      choice === "← Back to install selection"
+    ) {
+      return "back";
+    } else if (choice === "Exit") {
+      return "exit";
+    } else if (choice === "Domains") {
+      await manageDomainsFlow(install);
+    } else if (choice === "Backups") {
+      await manageBackupsFlow(install);
+    } else if (choice === "Purge cache") {
+      await purgeCacheFlow(install);
+    } else if (choice === "SSH/SFTP users") {
+      await viewSftpUsersFlow(install);
+    } else if (choice === "Usage") {
+      await installUsageFlow(install);
+    } else if (choice === "Health check") {
+      await installHealthCheckFlow(install);
+    } else if (choice === "Copy environment") {
+      await copyEnvironmentFlow(selectedSite, install);
+    } else if (choice === "Delete install") {
+      if (await deleteInstallFlow(install)) return "back";
+    }
+  }
+}
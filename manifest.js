@@ -0,0 +1,250 @@
+/**
+ * Declarative fleet manifests. A manifest lists the sites each account should
+ * have and the install for each environment; planManifest diffs it against the
+ * live fleet and applyPlan carries out the resulting actions.
+ *
+ * Example manifest (YAML or JSON):
+ *
+ *   accounts:
+ *     - id: 8a2d...          # account ID
+ *       prune: false         # when true, also delete what the manifest leaves out
+ *       sites:
+ *         - name: Acme Corp
+ *           installs:
+ *             production: acmecorp
+ *             staging: acmecorpstg
+ */
+import fs from "fs";
+import YAML from "yaml";
+import { ALL_ENVIRONMENTS } from "./constants.js";
+import {
+  fetchSitesByAccount,
+  createSite,
+  createInstall,
+  deleteInstall,
+  deleteSite,
+} from "./utils.js";
+import { withAuditContext } from "./audit.js";
+import { validateInstallName } from "./validators.js";
+
+/**
+ * Thrown when a manifest file cannot be read or does not describe a valid fleet
+ */
+export class ManifestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ManifestError";
+  }
+}
+
+function validateManifest(manifest) {
+  if (!manifest || !Array.isArray(manifest.accounts)) {
+    throw new ManifestError('The manifest needs an "accounts" list');
+  }
+  manifest.accounts.forEach((account, accountIndex) => {
+    const where = `accounts[${accountIndex}]`;
+    if (!account || typeof account.id !== "string" || !account.id) {
+      throw new ManifestError(`${where} needs an "id"`);
+    }
+    if (!Array.isArray(account.sites)) {
+      throw new ManifestError(`${where} needs a "sites" list`);
+    }
+    const siteNames = new Set();
+    account.sites.forEach((site, siteIndex) => {
+      const siteWhere = `${where}.sites[${siteIndex}]`;
+      if (!site || typeof site.name !== "string" || !site.name) {
+        throw new ManifestError(`${siteWhere} needs a "name"`);
+      }
+      if (siteNames.has(site.name)) {
+        throw new ManifestError(
+          `${siteWhere}: site "${site.name}" is listed twice`
+        );
+      }
+      siteNames.add(site.name);
+      Object.entries(site.installs || {}).forEach(([environment, name]) => {
+        if (!ALL_ENVIRONMENTS.includes(environment)) {
+          throw new ManifestError(
+            `${siteWhere}.installs: unknown environment "${environment}". Expected one of: ${ALL_ENVIRONMENTS.join(
+              ", "
+            )}`
+          );
+        }
+        if (typeof name !== "string" || !name) {
+          throw new ManifestError(
+            `${siteWhere}.installs.${environment} needs an install name`
+          );
+        }
+        const nameError = validateInstallName(name);
+        if (nameError) {
+          throw new ManifestError(
+            `${siteWhere}.installs.${environment}: ${nameError}`
+          );
+        }
+      });
+    });
+  });
+  return manifest;
+}
+
+/**
+ * Reads and validates a YAML or JSON manifest file
+ * @param {string} filePath
+ * @returns {Object} The manifest
+ * @throws {ManifestError}
+ */
+export function loadManifest(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new ManifestError(`Could not read ${filePath}: ${error.message}`);
+  }
+  let manifest;
+  try {
+    // JSON is valid YAML, so one parser reads both
+    manifest = YAML.parse(text);
+  } catch (error) {
+    throw new ManifestError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  return validateManifest(manifest);
+}
+
+/**
+ * Compares a manifest with the live sites and installs of its accounts
+ * @param {Object} manifest - As returned by loadManifest
+ * @returns {Promise<Array<Object>>} Actions in the order they should run. Each has
+ *   `action` ("create-site", "create-install", "delete-install" or "delete-site"),
+ *   `accountId`, `site`, and where relevant `siteId`, `environment`, `install` and `installId`.
+ */
+export async function planManifest(manifest) {
+  const actions = [];
+
+  for (const account of manifest.accounts) {
+    const liveSites = await fetchSitesByAccount(account.id);
+
+    for (const site of account.sites) {
+      const liveSite = liveSites.find(
+        (candidate) => candidate.name === site.name
+      );
+      const wanted = site.installs || {};
+
+      if (!liveSite) {
+        actions.push({
+          action: "create-site",
+          accountId: account.id,
+          site: site.name,
+        });
+      }
+
+      ALL_ENVIRONMENTS.forEach((environment) => {
+        const liveInstall =
+          liveSite &&
+          liveSite.installs.find(
+            (install) => install.environment === environment
+          );
+        const wantedName = wanted[environment];
+        const target = {
+          accountId: account.id,
+          site: site.name,
+          siteId: liveSite ? liveSite.id : null,
+          environment,
+        };
+
+        // An install is only replaced or removed when the account opts in with prune
+        if (liveInstall && liveInstall.name !== wantedName && account.prune) {
+          actions.push({
+            action: "delete-install",
+            ...target,
+            install: liveInstall.name,
+            installId: liveInstall.id,
+          });
+        }
+        if (
+          wantedName &&
+          (!liveInstall || (liveInstall.name !== wantedName && account.prune))
+        ) {
+          actions.push({
+            action: "create-install",
+            ...target,
+            install: wantedName,
+          });
+        }
+      });
+    }
+
+    if (account.prune) {
+      const wantedNames = account.sites.map((site) => site.name);
+      liveSites
+        .filter((liveSite) => !wantedNames.includes(liveSite.name))
+        .forEach((liveSite) => {
+          actions.push({
+            action: "delete-site",
+            accountId: account.id,
+            site: liveSite.name,
+            siteId: liveSite.id,
+          });
+        });
+    }
+  }
+
+  // Deletes go first so a replaced install's name is free before it is recreated
+  const order = [
+    "delete-install",
+    "delete-site",
+    "create-site",
+    "create-install",
+  ];
+  return actions
+    .map((action, index) => ({ action, index }))
+    .sort(
+      (a, b) =>
+        order.indexOf(a.action.action) - order.indexOf(b.action.action) ||
+        a.index - b.index
+    )
+    .map(({ action }) => action);
+}
+
+/**
+ * Carries out a plan, stopping at the first failure
+ * @param {Array<Object>} actions - As returned by planManifest
+ * @returns {Promise<Array<Object>>} Each action with `status` ("done", "failed" or "skipped") and `error`
+ */
+export async function applyPlan(actions) {
+  const createdSiteIds = {};
+  const results = [];
+  let failed = false;
+
+  for (const action of actions) {
+    if (failed) {
+      results.push({ ...action, status: "skipped", error: null });
+      continue;
+    }
+    try {
+      if (action.action === "create-site") {
+        const site = await createSite(action.accountId, { name: action.site });
+        // In dry-run mode there is no new ID, so show where it would go
+        createdSiteIds[`${action.accountId}/${action.site}`] =
+          site.id || `<new site "${action.site}">`;
+      } else if (action.action === "create-install") {
+        const siteId =
+          action.siteId || createdSiteIds[`${action.accountId}/${action.site}`];
+        await createInstall(siteId, action.accountId, {
+          name: action.install,
+          environment: action.environment,
+        });
+      } else if (action.action === "delete-install") {
+        await withAuditContext({ targetName: action.install }, () =>
+          deleteInstall(action.installId)
+        );
+      } else if (action.action === "delete-site") {
+        await deleteSite(action.siteId, { cascade: true });
+      }
+      results.push({ ...action, status: "done", error: null });
+    } catch (error) {
+      failed = true;
+      results.push({ ...action, status: "failed", error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,249 @@
+/**
+ * Sample data for the mock API server: a small agency account, a large
+ * account whose lists span several pages, and an empty account.
+ */
+
+/**
+ * Makes a stable UUID-shaped ID, so fixture IDs are the same on every run
+ * @param {number} kind - Distinguishes accounts, sites, installs and so on
+ * @param {number} n
+ * @returns {string}
+ */
+export function fixtureId(kind, n) {
+  return `00000000-0000-4000-800${kind}-${n.toString(16).padStart(12, "0")}`;
+}
+
+/**
+ * A number from 0 to 1 that only depends on the text, for made-up but
+ * repeatable data
+ */
+function pseudoRandom(text) {
+  let hash = 2166136261;
+  for (const char of text) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+const GB = 1024 ** 3;
+const MB = 1024 ** 2;
+
+/**
+ * One day of usage for an install. The numbers are made up but stable, so
+ * the same install and date always give the same metrics. Production gets
+ * the most traffic, weekends are quieter, and "acme" is busy enough to cross
+ * typical plan limits.
+ * @param {Object} install
+ * @param {string} date - e.g. "2024-05-01"
+ * @returns {{ date: string, visit_count: number, network_total_bytes: number, storage_file_bytes: number, storage_database_bytes: number }}
+ */
+export function fixtureUsage(install, date) {
+  const baseVisits =
+    { production: 900, staging: 15, development: 4 }[install.environment] || 10;
+  const busy = install.name === "acme" ? 40 : 1;
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const weekend = weekday === 0 || weekday === 6 ? 0.6 : 1;
+  const noise = 0.7 + pseudoRandom(`${install.id}:${date}`) * 0.6;
+  const visits = Math.round(baseVisits * busy * weekend * noise);
+  // Storage grows slowly from a size that differs per install
+  const ageInDays = Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+  const fileBase = (1 + pseudoRandom(install.id) * 7) * GB * busy ** 0.5;
+  return {
+    date,
+    visit_count: visits,
+    network_total_bytes: Math.round(
+      visits * (1.5 + pseudoRandom(`${date}:${install.id}`)) * MB
+    ),
+    storage_file_bytes: Math.round(fileBase + (ageInDays % 1000) * 4 * MB),
+    storage_database_bytes: Math.round(
+      (50 + pseudoRandom(`${install.name}db`) * 450) * MB
+    ),
+  };
+}
+
+const KIND = {
+  account: 1,
+  site: 2,
+  install: 3,
+  domain: 4,
+  sftpUser: 5,
+  accountUser: 6,
+};
+
+/**
+ * Builds a fresh fixture store. Each call returns new objects, so a server
+ * (or a test) can change its copy without affecting another.
+ * @returns {{ accounts: Array, sites: Array, installs: Array, domains: Object, backups: Object, sftpUsers: Object, accountUsers: Object }}
+ *   domains, backups and sftpUsers are keyed by install ID, accountUsers by account ID
+ */
+export function createFixtures() {
+  const store = {
+    accounts: [],
+    sites: [],
+    installs: [],
+    domains: {},
+    backups: {},
+    sftpUsers: {},
+    accountUsers: {},
+  };
+  const counters = {
+    site: 0,
+    install: 0,
+    domain: 0,
+    sftpUser: 0,
+    accountUser: 0,
+  };
+  const nextId = (kind) => fixtureId(KIND[kind], ++counters[kind]);
+
+  function addAccount(n, name) {
+    const account = { id: fixtureId(KIND.account, n), name };
+    store.accounts.push(account);
+    store.accountUsers[account.id] = [];
+    return account;
+  }
+
+  function addAccountUser(
+    account,
+    [first_name, last_name, email],
+    roles,
+    { installs = [], invite_accepted = true, mfa_enabled = true } = {}
+  ) {
+    const users = store.accountUsers[account.id];
+    users.push({
+      user_id: nextId("accountUser"),
+      account_id: account.id,
+      first_name,
+      last_name,
+      email,
+      phone: null,
+      invite_accepted,
+      mfa_enabled,
+      roles,
+      // Each sample account has a single owner
+      last_owner: roles === "owner",
+      installs: installs.map(({ id, name }) => ({ id, name })),
+    });
+  }
+
+  function addSite(account, name, { group_name = null, tags = [] } = {}) {
+    const site = {
+      id: nextId("site"),
+      name,
+      account: { id: account.id },
+      group_name,
+      tags,
+    };
+    store.sites.push(site);
+    return site;
+  }
+
+  function addInstall(
+    site,
+    name,
+    environment,
+    { domains = [], php_version = "8.2", is_multisite = false } = {}
+  ) {
+    const install = {
+      id: nextId("install"),
+      name,
+      account: { id: site.account.id },
+      site: { id: site.id },
+      php_version,
+      status: "active",
+      cname: `${name}.wpengine.com`,
+      stable_ips: null,
+      environment,
+      primary_domain: domains[0] || `${name}.wpengine.com`,
+      is_multisite,
+    };
+    store.installs.push(install);
+    store.domains[install.id] = [`${name}.wpengine.com`, ...domains].map(
+      (domain) => ({
+        id: nextId("domain"),
+        name: domain,
+        duplicate: false,
+        primary: domain === install.primary_domain,
+        redirects_to: [],
+      })
+    );
+    store.backups[install.id] = [];
+    store.sftpUsers[install.id] = [
+      {
+        id: nextId("sftpUser"),
+        username: `${name}-deploy`,
+        ssh_keys: [],
+      },
+    ];
+    return install;
+  }
+
+  const acme = addAccount(1, "Acme Agency");
+  // Some sites have old PHP versions or no custom domain, for the fleet report
+  const acmeSites = [
+    ["Acme Marketing", "acme", ["acme.com", "www.acme.com"], "Clients", "8.3"],
+    ["Bakery Co", "bakery", ["bakery.example"], "Clients", "8.2"],
+    ["Coffee House", "coffee", ["coffee.example"], "Clients", "7.4"],
+    ["Dental Practice", "dental", [], "Clients", "8.0"],
+    ["Acme Internal", "acmeintranet", [], null, "8.2"],
+  ];
+  acmeSites.forEach(([siteName, installName, domains, group, php], index) => {
+    const site = addSite(acme, siteName, {
+      group_name: group,
+      tags: group ? ["client", "wordpress"] : ["internal"],
+    });
+    addInstall(site, installName, "production", {
+      domains,
+      php_version: php,
+      is_multisite: installName === "acmeintranet",
+    });
+    // Leave some sites without staging or development so bulk actions have work to do
+    if (index < 3) addInstall(site, `${installName}stg`, "staging");
+    if (index === 0) addInstall(site, `${installName}dev`, "development");
+  });
+  // A site that was never launched
+  addInstall(addSite(acme, "Spring Campaign"), "springcamp", "staging");
+
+  addAccountUser(acme, ["Alex", "Rivera", "alex@acme.example"], "owner");
+  addAccountUser(acme, ["Sam", "Okafor", "sam@acme.example"], "full,billing");
+  addAccountUser(
+    acme,
+    ["Jordan", "Lee", "jordan@freelance.example"],
+    "partial",
+    {
+      installs: store.installs.filter((install) =>
+        ["bakery", "bakerystg"].includes(install.name)
+      ),
+      mfa_enabled: false,
+    }
+  );
+  addAccountUser(acme, ["Casey", "Nguyen", "casey@acme.example"], "full", {
+    invite_accepted: false,
+    mfa_enabled: false,
+  });
+
+  // Enough sites and installs that every list needs two pages of 100
+  const network = addAccount(2, "Franchise Network");
+  for (let n = 1; n <= 130; n++) {
+    const number = String(n).padStart(3, "0");
+    const site = addSite(network, `Franchise ${number}`, {
+      group_name: `Region ${((n - 1) % 4) + 1}`,
+      tags: ["franchise"],
+    });
+    addInstall(site, `franchise${number}`, "production", {
+      domains: [`franchise${number}.example`],
+    });
+    if (n % 10 === 0) addInstall(site, `franchise${number}s`, "staging");
+  }
+
+  addAccountUser(
+    network,
+    ["Morgan", "Patel", "morgan@franchise.example"],
+    "owner"
+  );
+
+  const empty = addAccount(3, "Empty Account");
+  addAccountUser(empty, ["Alex", "Rivera", "alex@acme.example"], "owner");
+
+  return store;
+}
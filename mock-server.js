@@ -0,0 +1,1014 @@
+/**
+ * Local mock of the WP Engine API for demos, development and tests.
+ * Serves the accounts, account users, sites, installs, domains, backups,
+ * cache and usage endpoints
+ * the tool uses from an in-memory fixture store, with the API's pagination,
+ * validation errors, install name conflicts and slow provisioning.
+ * Rate limits (429) and server errors (503) can be switched on to exercise retries.
+ * It also receives webhooks at /webhook, so `watch --webhook` can be tried
+ * without an outside service.
+ *
+ * Run it with `npm run mock`, then point the tool at it:
+ *   WPE_API_BASE_URL=http://127.0.0.1:4010/v1 node index.js
+ */
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import { pathToFileURL } from "url";
+import { parseArgs } from "util";
+import { createFixtures, fixtureUsage } from "./mock-fixtures.js";
+
+export const MOCK_DEFAULT_PORT = 4010;
+
+const BASE_PATH = "/v1";
+const WEBHOOK_PATH = "/webhook";
+const MAX_PAGE_SIZE = 100;
+const ENVIRONMENTS = ["production", "staging", "development"];
+const PURGE_TYPES = ["object", "page", "cdn"];
+const ACCOUNT_USER_ROLES = [
+  "full",
+  "full,billing",
+  "partial",
+  "partial,billing",
+];
+const INSTALL_NAME_PATTERN = /^[a-z][a-z0-9]{2,13}$/;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9-]+\.)+[a-z]{2,}$/i;
+
+/**
+ * Install names that behave as if another WP Engine customer owns them
+ */
+const TAKEN_INSTALL_NAMES = ["taken", "wordpress", "wpengine"];
+
+/**
+ * An error response, shaped like the API's own:
+ * `{ message, errors: [{ resource, field, type, code, message }] }`
+ */
+class MockApiError extends Error {
+  constructor(status, message, { field, resource, code } = {}) {
+    super(message);
+    this.status = status;
+    this.errors = field
+      ? [{ resource, field, type: "invalid_value", code, message }]
+      : [];
+  }
+}
+
+function notFound(resource, id) {
+  return new MockApiError(404, `${resource} ${id} was not found`);
+}
+
+function invalid(resource, field, message, code = "invalid") {
+  return new MockApiError(400, message, { field, resource, code });
+}
+
+function requireFields(resource, body, fields) {
+  fields.forEach((field) => {
+    if (body[field] === undefined || body[field] === null || body[field] === "")
+      throw invalid(resource, field, `${field} is required`, "required");
+  });
+}
+
+/**
+ * Reads limit and offset like the API does: limit defaults to 100 and may not exceed it
+ */
+function readPage(query) {
+  const limit = query.has("limit") ? Number(query.get("limit")) : MAX_PAGE_SIZE;
+  const offset = query.has("offset") ? Number(query.get("offset")) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw invalid(
+      "Pagination",
+      "limit",
+      `limit must be between 1 and ${MAX_PAGE_SIZE}`
+    );
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw invalid("Pagination", "offset", "offset must be 0 or more");
+  }
+  return { limit, offset };
+}
+
+/**
+ * Returns one page of a list, with absolute `previous` and `next` links
+ * @param {Array} items
+ * @param {URL} url - The request URL
+ */
+function paginate(items, url) {
+  const { limit, offset } = readPage(url.searchParams);
+  const linkTo = (pageOffset) => {
+    const link = new URL(url);
+    link.searchParams.set("limit", limit);
+    link.searchParams.set("offset", pageOffset);
+    return link.toString();
+  };
+  return {
+    previous: offset > 0 ? linkTo(Math.max(0, offset - limit)) : null,
+    next: offset + limit < items.length ? linkTo(offset + limit) : null,
+    count: items.length,
+    results: items.slice(offset, offset + limit),
+  };
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_USAGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads first_date and last_date for the usage endpoints. Both are required,
+ * the range may not end in the future, and it covers at most a year.
+ * @returns {string[]} Every date in the range, oldest first
+ */
+function readDateRange(query, now) {
+  const [firstDate, lastDate] = ["first_date", "last_date"].map((field) => {
+    const value = query.get(field);
+    if (!value)
+      throw invalid("Usage", field, `${field} is required`, "required");
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+      throw invalid(
+        "Usage",
+        field,
+        `${field} must be a date such as 2024-05-01`
+      );
+    }
+    return Date.parse(`${value}T00:00:00Z`);
+  });
+  if (firstDate > lastDate) {
+    throw invalid(
+      "Usage",
+      "first_date",
+      "first_date must not be after last_date"
+    );
+  }
+  if (lastDate > now) {
+    throw invalid("Usage", "last_date", "last_date cannot be in the future");
+  }
+  if ((lastDate - firstDate) / DAY_MS + 1 > MAX_USAGE_DAYS) {
+    throw invalid(
+      "Usage",
+      "first_date",
+      `The range can cover at most ${MAX_USAGE_DAYS} days`
+    );
+  }
+  const dates = [];
+  for (let day = firstDate; day <= lastDate; day += DAY_MS) {
+    dates.push(new Date(day).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Accepts any Basic credentials with a non-empty user ID and password
+ */
+function isAuthorized(header) {
+  const match = /^Basic (.+)$/.exec(header || "");
+  if (!match) return false;
+  const [userId, password] = Buffer.from(match[1], "base64")
+    .toString()
+    .split(":");
+  return Boolean(userId && password);
+}
+
+export class MockWpeApi {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.fixtures] - The data to serve, as built by createFixtures()
+   * @param {number} [options.provisioningMs=3000] - How long new installs and copies stay "pending"
+   * @param {number} [options.backupMs=2000] - How long backups stay "requested"
+   * @param {number} [options.latencyMs=0] - Delay added to every response
+   * @param {number} [options.rateLimitEvery=0] - Answer every nth request with a 429 (0 for never)
+   * @param {number} [options.failEvery=0] - Answer every nth request with a 503 (0 for never)
+   * @param {(line: string) => void} [options.log] - Called with a line for each request
+   * @param {() => number} [options.now] - Clock, for tests
+   */
+  constructor({
+    fixtures = createFixtures(),
+    provisioningMs = 3000,
+    backupMs = 2000,
+    latencyMs = 0,
+    rateLimitEvery = 0,
+    failEvery = 0,
+    log = null,
+    now = Date.now,
+  } = {}) {
+    this.store = fixtures;
+    this.provisioningMs = provisioningMs;
+    this.backupMs = backupMs;
+    this.latencyMs = latencyMs;
+    this.rateLimitEvery = rateLimitEvery;
+    this.failEvery = failEvery;
+    this.log = log;
+    this.now = now;
+    this.requestCount = 0;
+    // Bodies posted to WEBHOOK_PATH, oldest first
+    this.webhooks = [];
+    // Status changes that happen later, such as an install becoming active
+    this.transitions = [];
+    this.server = null;
+    this.routes = this.buildRoutes();
+  }
+
+  /**
+   * Changes a resource once a delay has passed. Checked at the start of each request.
+   */
+  schedule(delayMs, apply) {
+    this.transitions.push({ at: this.now() + delayMs, apply });
+  }
+
+  settle() {
+    const due = this.transitions.filter(({ at }) => at <= this.now());
+    this.transitions = this.transitions.filter(({ at }) => at > this.now());
+    due.forEach(({ apply }) => apply());
+  }
+
+  findAccount(id) {
+    const account = this.store.accounts.find(
+      (candidate) => candidate.id === id
+    );
+    if (!account) throw notFound("Account", id);
+    return account;
+  }
+
+  getAccountUsers(accountId) {
+    if (!this.store.accountUsers[accountId]) {
+      this.store.accountUsers[accountId] = [];
+    }
+    return this.store.accountUsers[accountId];
+  }
+
+  findAccountUser(accountId, userId) {
+    this.findAccount(accountId);
+    const accountUser = this.getAccountUsers(accountId).find(
+      (candidate) => candidate.user_id === userId
+    );
+    if (!accountUser) throw notFound("Account user", userId);
+    return accountUser;
+  }
+
+  /**
+   * Checks the roles and install IDs sent for an account user.
+   * Partial roles need at least one install of the account.
+   * @returns {{ roles: string, installs: Array<{ id: string, name: string }> }}
+   */
+  readAccess(accountId, { roles, install_ids: installIds = [] }) {
+    if (!ACCOUNT_USER_ROLES.includes(roles)) {
+      throw invalid(
+        "AccountUser",
+        "roles",
+        `roles must be one of ${ACCOUNT_USER_ROLES.join(" | ")}`
+      );
+    }
+    if (!roles.split(",").includes("partial")) return { roles, installs: [] };
+    if (!installIds.length) {
+      throw invalid(
+        "AccountUser",
+        "install_ids",
+        "install_ids is required for partial roles",
+        "required"
+      );
+    }
+    const installs = installIds.map((installId) => {
+      const install = this.store.installs.find(
+        (candidate) =>
+          candidate.id === installId && candidate.account.id === accountId
+      );
+      if (!install) {
+        throw invalid(
+          "AccountUser",
+          "install_ids",
+          `Install ${installId} is not in this account`
+        );
+      }
+      return { id: install.id, name: install.name };
+    });
+    return { roles, installs };
+  }
+
+  findSite(id) {
+    const site = this.store.sites.find((candidate) => candidate.id === id);
+    if (!site) throw notFound("Site", id);
+    return site;
+  }
+
+  findInstall(id) {
+    const install = this.store.installs.find(
+      (candidate) => candidate.id === id
+    );
+    if (!install) throw notFound("Install", id);
+    return install;
+  }
+
+  findDomain(installId, domainId) {
+    const domain = (this.store.domains[installId] || []).find(
+      (candidate) => candidate.id === domainId
+    );
+    if (!domain) throw notFound("Domain", domainId);
+    return domain;
+  }
+
+  /**
+   * A site as the API returns it, with summaries of its installs
+   */
+  presentSite(site) {
+    return {
+      ...site,
+      installs: this.store.installs
+        .filter((install) => install.site.id === site.id)
+        .map(({ id, name, environment, cname, php_version, is_multisite }) => ({
+          id,
+          name,
+          environment,
+          cname,
+          php_version,
+          is_multisite,
+        })),
+    };
+  }
+
+  /**
+   * Marks an install "pending" until provisioning finishes. Installs whose
+   * name starts with "fail" end up "failed", to try out error handling.
+   */
+  provision(install) {
+    install.status = "pending";
+    this.schedule(this.provisioningMs, () => {
+      install.status = install.name.startsWith("fail") ? "failed" : "active";
+    });
+  }
+
+  /**
+   * @returns {Array<{ method: string, pattern: RegExp, handler: Function }>}
+   */
+  buildRoutes() {
+    const store = this.store;
+    const id = "([^/]+)";
+    const route = (method, path, handler) => ({
+      method,
+      pattern: new RegExp(`^${path.replace(/:id/g, id)}$`),
+      handler,
+    });
+
+    return [
+      route("GET", "/accounts", ({ url }) => paginate(store.accounts, url)),
+      route("GET", "/accounts/:id", ({ params }) =>
+        this.findAccount(params[0])
+      ),
+
+      route("GET", "/accounts/:id/account_users", ({ params, url }) => {
+        this.findAccount(params[0]);
+        return paginate(this.getAccountUsers(params[0]), url);
+      }),
+      route("POST", "/accounts/:id/account_users", ({ params, body }) => {
+        this.findAccount(params[0]);
+        const user = body.user || {};
+        requireFields("AccountUser", user, [
+          "first_name",
+          "last_name",
+          "email",
+          "roles",
+        ]);
+        const users = this.getAccountUsers(params[0]);
+        if (
+          users.some(
+            (existing) =>
+              existing.email.toLowerCase() === user.email.toLowerCase()
+          )
+        ) {
+          throw new MockApiError(409, `${user.email} is already a user`, {
+            resource: "AccountUser",
+            field: "email",
+            code: "taken",
+          });
+        }
+        const accountUser = {
+          user_id: crypto.randomUUID(),
+          account_id: params[0],
+          first_name: user.first_name,
+          last_name: user.last_name,
+          email: user.email,
+          phone: user.phone || null,
+          invite_accepted: false,
+          mfa_enabled: false,
+          last_owner: false,
+          ...this.readAccess(params[0], user),
+        };
+        users.push(accountUser);
+        return {
+          status: 201,
+          body: {
+            message: "Your change was successful.",
+            account_user: accountUser,
+          },
+        };
+      }),
+      route("GET", "/accounts/:id/account_users/:id", ({ params }) =>
+        this.findAccountUser(params[0], params[1])
+      ),
+      route("PATCH", "/accounts/:id/account_users/:id", ({ params, body }) => {
+        const accountUser = this.findAccountUser(params[0], params[1]);
+        if (accountUser.roles === "owner") {
+          throw new MockApiError(
+            400,
+            "Owners can only be changed in the User Portal"
+          );
+        }
+        Object.assign(accountUser, this.readAccess(params[0], body));
+        return {
+          message: "Your change was successful.",
+          account_user: accountUser,
+        };
+      }),
+      route("DELETE", "/accounts/:id/account_users/:id", ({ params }) => {
+        const accountUser = this.findAccountUser(params[0], params[1]);
+        if (accountUser.last_owner) {
+          throw new MockApiError(
+            400,
+            "The last owner of an account cannot be removed"
+          );
+        }
+        const users = this.getAccountUsers(params[0]);
+        users.splice(users.indexOf(accountUser), 1);
+        return { status: 204 };
+      }),
+
+      route("GET", "/sites", ({ url }) => {
+        const accountId = url.searchParams.get("account_id");
+        const sites = accountId
+          ? store.sites.filter((site) => site.account.id === accountId)
+          : store.sites;
+        return paginate(
+          sites.map((site) => this.presentSite(site)),
+          url
+        );
+      }),
+      route("POST", "/sites", ({ body }) => {
+        requireFields("Site", body, ["name", "account_id"]);
+        if (!store.accounts.some((account) => account.id === body.account_id)) {
+          throw invalid("Site", "account_id", "account_id does not exist");
+        }
+        const site = {
+          id: crypto.randomUUID(),
+          name: body.name,
+          account: { id: body.account_id },
+          group_name: body.group_name || null,
+          tags: body.tags || [],
+        };
+        store.sites.push(site);
+        return { status: 201, body: this.presentSite(site) };
+      }),
+      route("GET", "/sites/:id", ({ params }) =>
+        this.presentSite(this.findSite(params[0]))
+      ),
+      route("PATCH", "/sites/:id", ({ params, body }) => {
+        const site = this.findSite(params[0]);
+        if (body.name !== undefined) {
+          if (!body.name)
+            throw invalid("Site", "name", "name may not be empty");
+          site.name = body.name;
+        }
+        if (body.group_name !== undefined) site.group_name = body.group_name;
+        if (body.tags !== undefined) site.tags = body.tags;
+        return this.presentSite(site);
+      }),
+      route("DELETE", "/sites/:id", ({ params }) => {
+        const site = this.findSite(params[0]);
+        if (store.installs.some((install) => install.site.id === site.id)) {
+          throw new MockApiError(
+            400,
+            "The site still has installs. Delete them first."
+          );
+        }
+        store.sites.splice(store.sites.indexOf(site), 1);
+        return { status: 204 };
+      }),
+
+      route("GET", "/installs", ({ url }) => {
+        const accountId = url.searchParams.get("account_id");
+        return paginate(
+          accountId
+            ? store.installs.filter(
+                (install) => install.account.id === accountId
+              )
+            : store.installs,
+          url
+        );
+      }),
+      route("POST", "/installs", ({ body }) => {
+        requireFields("Install", body, [
+          "name",
+          "account_id",
+          "site_id",
+          "environment",
+        ]);
+        if (!INSTALL_NAME_PATTERN.test(body.name)) {
+          throw invalid(
+            "Install",
+            "name",
+            "name must be 3-14 lowercase letters and digits, starting with a letter"
+          );
+        }
+        if (!ENVIRONMENTS.includes(body.environment)) {
+          throw invalid(
+            "Install",
+            "environment",
+            `environment must be one of ${ENVIRONMENTS.join(", ")}`
+          );
+        }
+        const site = store.sites.find(
+          (candidate) => candidate.id === body.site_id
+        );
+        if (!site || site.account.id !== body.account_id) {
+          throw invalid(
+            "Install",
+            "site_id",
+            "site_id does not exist in this account"
+          );
+        }
+        if (
+          store.installs.some(
+            (install) =>
+              install.site.id === site.id &&
+              install.environment === body.environment
+          )
+        ) {
+          throw invalid(
+            "Install",
+            "environment",
+            `The site already has a ${body.environment} install`
+          );
+        }
+        if (
+          TAKEN_INSTALL_NAMES.includes(body.name) ||
+          store.installs.some((install) => install.name === body.name)
+        ) {
+          throw new MockApiError(409, "Install name is already taken", {
+            resource: "Install",
+            field: "name",
+            code: "taken",
+          });
+        }
+        const install = {
+          id: crypto.randomUUID(),
+          name: body.name,
+          account: { id: body.account_id },
+          site: { id: site.id },
+          php_version: "8.2",
+          status: "pending",
+          cname: `${body.name}.wpengine.com`,
+          stable_ips: null,
+          environment: body.environment,
+          primary_domain: `${body.name}.wpengine.com`,
+          is_multisite: false,
+        };
+        store.installs.push(install);
+        store.domains[install.id] = [
+          {
+            id: crypto.randomUUID(),
+            name: install.primary_domain,
+            duplicate: false,
+            primary: true,
+            redirects_to: [],
+          },
+        ];
+        store.backups[install.id] = [];
+        store.sftpUsers[install.id] = [];
+        this.provision(install);
+        return { status: 201, body: install };
+      }),
+      route("GET", "/installs/:id", ({ params }) =>
+        this.findInstall(params[0])
+      ),
+      route("PATCH", "/installs/:id", ({ params, body }) => {
+        const install = this.findInstall(params[0]);
+        if (body.environment !== undefined) {
+          if (!ENVIRONMENTS.includes(body.environment)) {
+            throw invalid(
+              "Install",
+              "environment",
+              `environment must be one of ${ENVIRONMENTS.join(", ")}`
+            );
+          }
+          install.environment = body.environment;
+        }
+        if (body.site_id !== undefined) {
+          this.findSite(body.site_id);
+          install.site = { id: body.site_id };
+        }
+        return install;
+      }),
+      route("DELETE", "/installs/:id", ({ params }) => {
+        const install = this.findInstall(params[0]);
+        store.installs.splice(store.installs.indexOf(install), 1);
+        delete store.domains[install.id];
+        delete store.backups[install.id];
+        delete store.sftpUsers[install.id];
+        this.getAccountUsers(install.account.id).forEach((accountUser) => {
+          accountUser.installs = accountUser.installs.filter(
+            (candidate) => candidate.id !== install.id
+          );
+        });
+        return { status: 204 };
+      }),
+
+      route("GET", "/installs/:id/domains", ({ params, url }) => {
+        this.findInstall(params[0]);
+        return paginate(store.domains[params[0]], url);
+      }),
+      route("POST", "/installs/:id/domains", ({ params, body }) => {
+        const install = this.findInstall(params[0]);
+        requireFields("Domain", body, ["name"]);
+        if (!DOMAIN_PATTERN.test(body.name)) {
+          throw invalid("Domain", "name", `${body.name} is not a domain name`);
+        }
+        const exists = Object.values(store.domains).some((domains) =>
+          domains.some((domain) => domain.name === body.name)
+        );
+        if (exists) {
+          throw new MockApiError(409, `${body.name} is already in use`, {
+            resource: "Domain",
+            field: "name",
+            code: "taken",
+          });
+        }
+        const domain = {
+          id: crypto.randomUUID(),
+          name: body.name,
+          duplicate: false,
+          primary: false,
+          redirects_to: [],
+        };
+        store.domains[install.id].push(domain);
+        if (body.primary) this.setPrimaryDomain(install, domain);
+        return { status: 201, body: domain };
+      }),
+      route("GET", "/installs/:id/domains/:id", ({ params }) => {
+        this.findInstall(params[0]);
+        return this.findDomain(params[0], params[1]);
+      }),
+      route("PATCH", "/installs/:id/domains/:id", ({ params, body }) => {
+        const install = this.findInstall(params[0]);
+        const domain = this.findDomain(params[0], params[1]);
+        if (body.primary) this.setPrimaryDomain(install, domain);
+        return domain;
+      }),
+      route("DELETE", "/installs/:id/domains/:id", ({ params }) => {
+        this.findInstall(params[0]);
+        const domain = this.findDomain(params[0], params[1]);
+        if (domain.primary) {
+          throw new MockApiError(
+            400,
+            "The primary domain cannot be deleted. Make another domain primary first."
+          );
+        }
+        const domains = store.domains[params[0]];
+        domains.splice(domains.indexOf(domain), 1);
+        return { status: 204 };
+      }),
+
+      route("GET", "/installs/:id/backups", ({ params, url }) => {
+        this.findInstall(params[0]);
+        return paginate(store.backups[params[0]], url);
+      }),
+      route("POST", "/installs/:id/backups", ({ params, body }) => {
+        this.findInstall(params[0]);
+        requireFields("Backup", body, ["description", "notification_emails"]);
+        const backup = {
+          id: crypto.randomUUID(),
+          status: "requested",
+          description: body.description,
+        };
+        store.backups[params[0]].push(backup);
+        this.schedule(this.backupMs, () => {
+          backup.status = "completed";
+        });
+        return { status: 202, body: backup };
+      }),
+      route("GET", "/installs/:id/backups/:id", ({ params }) => {
+        this.findInstall(params[0]);
+        const backup = store.backups[params[0]].find(
+          (candidate) => candidate.id === params[1]
+        );
+        if (!backup) throw notFound("Backup", params[1]);
+        return backup;
+      }),
+
+      route("POST", "/installs/:id/purge_cache", ({ params, body }) => {
+        this.findInstall(params[0]);
+        if (!PURGE_TYPES.includes(body.type)) {
+          throw invalid(
+            "Cache",
+            "type",
+            `type must be one of ${PURGE_TYPES.join(", ")}`
+          );
+        }
+        return { status: 202 };
+      }),
+
+      route("GET", "/installs/:id/sftp_users", ({ params, url }) => {
+        this.findInstall(params[0]);
+        return paginate(store.sftpUsers[params[0]], url);
+      }),
+
+      route("GET", "/installs/:id/usage", ({ params, url }) =>
+        this.presentUsage(
+          this.findInstall(params[0]),
+          readDateRange(url.searchParams, this.now())
+        )
+      ),
+      route("GET", "/accounts/:id/usage", ({ params, url }) => {
+        const account = this.findAccount(params[0]);
+        const dates = readDateRange(url.searchParams, this.now());
+        return {
+          account_id: account.id,
+          first_date: dates[0],
+          last_date: dates[dates.length - 1],
+          installs: store.installs
+            .filter((install) => install.account.id === account.id)
+            .map((install) => this.presentUsage(install, dates)),
+        };
+      }),
+
+      route("POST", "/installs/:id/copy", ({ params, body }) => {
+        const destination = this.findInstall(params[0]);
+        requireFields("Copy", body, ["source_install_id"]);
+        const source = store.installs.find(
+          (install) => install.id === body.source_install_id
+        );
+        if (!source) {
+          throw invalid(
+            "Copy",
+            "source_install_id",
+            "source_install_id does not exist"
+          );
+        }
+        if (source.id === destination.id) {
+          throw invalid(
+            "Copy",
+            "source_install_id",
+            "An install cannot be copied onto itself"
+          );
+        }
+        if (source.site.id !== destination.site.id) {
+          throw invalid(
+            "Copy",
+            "source_install_id",
+            "Both installs must belong to the same site"
+          );
+        }
+        this.provision(destination);
+        return {
+          status: 202,
+          body: { id: destination.id, status: destination.status },
+        };
+      }),
+    ];
+  }
+
+  presentUsage(install, dates) {
+    return {
+      install_id: install.id,
+      install_name: install.name,
+      environment: install.environment,
+      first_date: dates[0],
+      last_date: dates[dates.length - 1],
+      metrics: dates.map((date) => fixtureUsage(install, date)),
+    };
+  }
+
+  setPrimaryDomain(install, domain) {
+    this.store.domains[install.id].forEach((candidate) => {
+      candidate.primary = candidate === domain;
+    });
+    install.primary_domain = domain.name;
+  }
+
+  /**
+   * Answers one request without going through a socket, so tests can call it directly
+   * @param {Object} request
+   * @param {string} request.method
+   * @param {string} request.url - Absolute URL, e.g. "http://127.0.0.1:4010/v1/sites"
+   * @param {Object} [request.headers] - Lowercase header names
+   * @param {*} [request.body] - The parsed JSON body
+   * @returns {{ status: number, headers: Object, body: * }} body is undefined for empty responses
+   */
+  handle({ method, url, headers = {}, body }) {
+    const parsedUrl = new URL(url);
+    if (parsedUrl.pathname === WEBHOOK_PATH) {
+      return this.receiveWebhook({ method, headers, body });
+    }
+    this.requestCount++;
+    this.settle();
+
+    try {
+      if (
+        this.rateLimitEvery &&
+        this.requestCount % this.rateLimitEvery === 0
+      ) {
+        return {
+          status: 429,
+          headers: { "Retry-After": "1" },
+          body: { message: "Too many requests. Please slow down." },
+        };
+      }
+      if (this.failEvery && this.requestCount % this.failEvery === 0) {
+        return {
+          status: 503,
+          headers: {},
+          body: { message: "Service temporarily unavailable" },
+        };
+      }
+      if (!isAuthorized(headers.authorization)) {
+        return {
+          status: 401,
+          headers: { "WWW-Authenticate": 'Basic realm="WP Engine API"' },
+          body: { message: "Authentication credentials were not provided" },
+        };
+      }
+
+      const path = parsedUrl.pathname.startsWith(`${BASE_PATH}/`)
+        ? parsedUrl.pathname.slice(BASE_PATH.length).replace(/\/+$/, "")
+        : null;
+      const matches = this.routes
+        .map((candidate) => ({
+          ...candidate,
+          match: path === null ? null : candidate.pattern.exec(path),
+        }))
+        .filter((candidate) => candidate.match);
+      if (!matches.length) {
+        throw new MockApiError(404, `No endpoint at ${parsedUrl.pathname}`);
+      }
+      const matched = matches.find((candidate) => candidate.method === method);
+      if (!matched) {
+        throw new MockApiError(405, `${method} is not allowed here`);
+      }
+
+      const result = matched.handler({
+        params: matched.match.slice(1).map(decodeURIComponent),
+        url: parsedUrl,
+        body: body && typeof body === "object" ? body : {},
+      });
+      return result && typeof result.status === "number"
+        ? { headers: {}, ...result }
+        : { status: 200, headers: {}, body: result };
+    } catch (error) {
+      if (!(error instanceof MockApiError)) throw error;
+      return {
+        status: error.status,
+        headers: {},
+        body: { message: error.message, errors: error.errors },
+      };
+    }
+  }
+
+  /**
+   * A stand-in webhook receiver. POST stores the body, with its signature
+   * header if any; GET lists everything received so far. Needs no credentials.
+   */
+  receiveWebhook({ method, headers, body }) {
+    if (method === "GET") {
+      return { status: 200, headers: {}, body: this.webhooks };
+    }
+    if (method !== "POST") {
+      return {
+        status: 405,
+        headers: {},
+        body: { message: `${method} is not allowed here` },
+      };
+    }
+    this.webhooks.push({
+      receivedAt: new Date(this.now()).toISOString(),
+      signature: headers["x-wpe-cli-signature"] || null,
+      body,
+    });
+    if (this.log) this.log(`Webhook received: ${JSON.stringify(body)}`);
+    return { status: 204, headers: {} };
+  }
+
+  /**
+   * Node request listener wrapping handle()
+   */
+  async onRequest(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString();
+
+    let result;
+    try {
+      result = this.handle({
+        method: req.method,
+        url: `http://${req.headers.host || "localhost"}${req.url}`,
+        headers: req.headers,
+        body: text ? JSON.parse(text) : undefined,
+      });
+    } catch (error) {
+      result =
+        error instanceof SyntaxError
+          ? { status: 400, headers: {}, body: { message: "Invalid JSON body" } }
+          : { status: 500, headers: {}, body: { message: error.message } };
+    }
+
+    if (this.latencyMs) {
+      await new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+    }
+    if (this.log) this.log(`${req.method} ${req.url} ${result.status}`);
+    const headers = { ...result.headers };
+    if (result.body !== undefined) headers["Content-Type"] = "application/json";
+    res.writeHead(result.status, headers);
+    res.end(
+      result.body === undefined ? undefined : JSON.stringify(result.body)
+    );
+  }
+
+  /**
+   * Starts listening
+   * @param {number} [port=MOCK_DEFAULT_PORT] - 0 picks a free port
+   * @param {string} [host="127.0.0.1"]
+   * @returns {Promise<string>} The base URL to use as WPE_API_BASE_URL
+   */
+  listen(port = MOCK_DEFAULT_PORT, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      this.onRequest(req, res).catch((error) => {
+        res.writeHead(500);
+        res.end(error.message);
+      });
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        resolve(`http://${host}:${this.server.address().port}${BASE_PATH}`);
+      });
+    });
+  }
+
+  /**
+   * Stops listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.server) return resolve();
+      this.server.close((error) => (error ? reject(error) : resolve()));
+      this.server.closeAllConnections();
+    });
+  }
+}
+
+/**
+ * Reads a fixture file saved as JSON, filling in anything it leaves out
+ * @param {string} filePath
+ * @returns {Object}
+ */
+export function loadFixtures(filePath) {
+  const fixtures = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return {
+    accounts: [],
+    sites: [],
+    installs: [],
+    domains: {},
+    backups: {},
+    sftpUsers: {},
+    accountUsers: {},
+    ...fixtures,
+  };
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: String(MOCK_DEFAULT_PORT) },
+      host: { type: "string", default: "127.0.0.1" },
+      fixtures: { type: "string" },
+      "provisioning-delay": { type: "string", default: "3" },
+      latency: { type: "string", default: "0" },
+      "rate-limit-every": { type: "string", default: "0" },
+      "fail-every": { type: "string", default: "0" },
+      quiet: { type: "boolean" },
+    },
+  });
+
+  const api = new MockWpeApi({
+    fixtures: values.fixtures
+      ? loadFixtures(values.fixtures)
+      : createFixtures(),
+    provisioningMs: Number(values["provisioning-delay"]) * 1000,
+    latencyMs: Number(values.latency),
+    rateLimitEvery: Number(values["rate-limit-every"]),
+    failEvery: Number(values["fail-every"]),
+    log: values.quiet ? null : (line) => console.log(line),
+  });
+  const baseUrl = await api.listen(Number(values.port), values.host);
+  console.log(`Mock WP Engine API listening on ${baseUrl}`);
+  console.log(`Use it with: WPE_API_BASE_URL=${baseUrl} node index.js`);
+  console.log(
+    `Webhooks posted to ${new URL(WEBHOOK_PATH, baseUrl)} are logged here.`
+  );
+  console.log("Any user ID and password are accepted. Press Ctrl+C to stop.");
+}
+
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  main().catch((error) => {
+    console.error("Error starting the mock API:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,368 @@
+/**
+ * Safeguards for destructive actions, read from a policy file in
+ * ~/.wpe-cli/policy.yaml (or the file named by WPE_POLICY). The delete helpers
+ * in utils.js check it before sending anything, so the menu, commands and
+ * manifests are held to the same rules.
+ *
+ * Example policy (YAML or JSON):
+ *
+ *   protected:
+ *     - environment: production   # every production install
+ *       action: confirm           # needs a second confirmation and a reason
+ *     - install: acmeintranet     # an install name or ID
+ *       action: block             # cannot be deleted with this tool at all
+ *   maintenanceWindows:           # deletes are only allowed inside one of these
+ *     - days: [sat, sun]
+ *       start: "22:00"
+ *       end: "06:00"              # earlier than start: the window ends next morning
+ *       timezone: Europe/London   # defaults to this machine's time zone
+ *   requireDryRun: true           # each delete must be tried with --dry-run first
+ *   dryRunValidMinutes: 60        # how long a dry run counts for
+ */
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import { ALL_ENVIRONMENTS } from "./constants.js";
+import { getConfigDir } from "./config.js";
+
+export const PROTECTION_ACTIONS = ["block", "confirm"];
+export const DEFAULT_DRY_RUN_VALID_MINUTES = 60;
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const POLICY_KEYS = [
+  "protected",
+  "maintenanceWindows",
+  "requireDryRun",
+  "dryRunValidMinutes",
+];
+
+/**
+ * Thrown when the policy file cannot be read or is not a valid policy
+ */
+export class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PolicyError";
+  }
+}
+
+/**
+ * Thrown when the policy refuses an action
+ */
+export class PolicyViolationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PolicyViolationError";
+  }
+}
+
+/**
+ * Where the policy is read from. Set WPE_POLICY to use another file.
+ * @returns {string}
+ */
+export function getPolicyPath() {
+  if (process.env.WPE_POLICY) return process.env.WPE_POLICY;
+  const candidates = ["policy.yaml", "policy.yml", "policy.json"].map((name) =>
+    path.join(getConfigDir(), name)
+  );
+  return (
+    candidates.find((candidate) => fs.existsSync(candidate)) || candidates[0]
+  );
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function normalizeDay(day) {
+  return String(day).slice(0, 3).toLowerCase();
+}
+
+function validatePolicy(policy, filePath) {
+  const fail = (message) => {
+    throw new PolicyError(`${filePath}: ${message}`);
+  };
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    fail("the policy must be a mapping of settings");
+  }
+  Object.keys(policy).forEach((key) => {
+    if (!POLICY_KEYS.includes(key)) {
+      fail(
+        `unknown setting "${key}". Expected one of: ${POLICY_KEYS.join(", ")}`
+      );
+    }
+  });
+
+  (policy.protected || []).forEach((rule, index) => {
+    const where = `protected[${index}]`;
+    if (!rule || (!rule.install && !rule.environment)) {
+      fail(`${where} needs an "install" or an "environment"`);
+    }
+    if (rule.environment && !ALL_ENVIRONMENTS.includes(rule.environment)) {
+      fail(
+        `${where}: unknown environment "${
+          rule.environment
+        }". Expected one of: ${ALL_ENVIRONMENTS.join(", ")}`
+      );
+    }
+    if (!PROTECTION_ACTIONS.includes(rule.action)) {
+      fail(`${where} needs an "action" of ${PROTECTION_ACTIONS.join(" or ")}`);
+    }
+  });
+
+  (policy.maintenanceWindows || []).forEach((window, index) => {
+    const where = `maintenanceWindows[${index}]`;
+    if (!window || !TIME_PATTERN.test(window.start || "")) {
+      fail(`${where} needs a "start" time such as "22:00"`);
+    }
+    if (!TIME_PATTERN.test(window.end || "")) {
+      fail(`${where} needs an "end" time such as "06:00"`);
+    }
+    if (window.days !== undefined) {
+      if (!Array.isArray(window.days) || !window.days.length) {
+        fail(`${where}.days must be a list such as [sat, sun]`);
+      }
+      const unknown = window.days.find(
+        (day) => !DAYS.includes(normalizeDay(day))
+      );
+      if (unknown !== undefined) fail(`${where}: unknown day "${unknown}"`);
+    }
+    if (window.timezone) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: window.timezone });
+      } catch {
+        fail(`${where}: unknown time zone "${window.timezone}"`);
+      }
+    }
+  });
+
+  if (
+    policy.dryRunValidMinutes !== undefined &&
+    !(Number(policy.dryRunValidMinutes) > 0)
+  ) {
+    fail("dryRunValidMinutes must be a positive number");
+  }
+  return policy;
+}
+
+/**
+ * Reads and validates the policy file
+ * @returns {Object|null} The policy, or null when there is no policy file
+ * @throws {PolicyError}
+ */
+export function loadPolicy() {
+  const filePath = getPolicyPath();
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    // Without a policy file nothing is restricted, unless one was named explicitly
+    if (error.code === "ENOENT" && !process.env.WPE_POLICY) return null;
+    throw new PolicyError(`Could not read ${filePath}: ${error.message}`);
+  }
+  let policy;
+  try {
+    // JSON is valid YAML, so one parser reads both
+    policy = YAML.parse(text);
+  } catch (error) {
+    throw new PolicyError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  return validatePolicy(policy, filePath);
+}
+
+/**
+ * Finds how strongly an install is protected. "block" wins over "confirm".
+ * @param {Object} policy
+ * @param {{ id: string, name: string, environment: string }} install
+ * @returns {"block"|"confirm"|null}
+ */
+export function getProtection(policy, install) {
+  const actions = (policy.protected || [])
+    .filter((rule) =>
+      rule.install
+        ? rule.install === install.name || rule.install === install.id
+        : rule.environment === install.environment
+    )
+    .map((rule) => rule.action);
+  if (actions.includes("block")) return "block";
+  return actions.includes("confirm") ? "confirm" : null;
+}
+
+/**
+ * Reads the day and time of day in a time zone
+ * @returns {{ day: string, minutes: number }}
+ */
+function getLocalTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    day: normalizeDay(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function isInWindow(window, now) {
+  const { day, minutes } = getLocalTime(now, window.timezone);
+  const days = (window.days || DAYS).map(normalizeDay);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+  // The window starts on a listed day and runs past midnight
+  const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+  return (
+    (days.includes(day) && minutes >= start) ||
+    (days.includes(previousDay) && minutes < end)
+  );
+}
+
+/**
+ * Describes a maintenance window, e.g. "sat, sun 22:00-06:00 (Europe/London)"
+ * @param {Object} window
+ * @returns {string}
+ */
+export function describeWindow(window) {
+  return `${(window.days || ["every day"]).map(normalizeDay).join(", ")} ${
+    window.start
+  }-${window.end}${window.timezone ? ` (${window.timezone})` : ""}`;
+}
+
+/**
+ * @param {Object} policy
+ * @param {Date} [now]
+ * @returns {boolean} true when the policy has no windows, or now is inside one
+ */
+export function isInMaintenanceWindow(policy, now = new Date()) {
+  const windows = policy.maintenanceWindows || [];
+  return !windows.length || windows.some((window) => isInWindow(window, now));
+}
+
+function getDryRunLogPath() {
+  return path.join(getConfigDir(), "dry-runs.json");
+}
+
+function readDryRuns() {
+  try {
+    return JSON.parse(fs.readFileSync(getDryRunLogPath(), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Remembers that a delete was tried in dry-run mode
+ * @param {string} action - e.g. "delete-install"
+ * @param {string} targetId
+ * @param {Date} [now]
+ */
+export function recordDryRun(action, targetId, now = new Date()) {
+  const dryRuns = readDryRuns();
+  // Forget dry runs too old to count for any sensible policy
+  Object.keys(dryRuns).forEach((key) => {
+    if (now - new Date(dryRuns[key]) > 7 * 24 * 60 * 60 * 1000) {
+      delete dryRuns[key];
+    }
+  });
+  dryRuns[`${action}:${targetId}`] = now.toISOString();
+  try {
+    fs.mkdirSync(getConfigDir(), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(getDryRunLogPath(), JSON.stringify(dryRuns, null, 2), {
+      mode: 0o600,
+    });
+  } catch (error) {
+    console.error("Could not record the dry run:", error.message);
+  }
+}
+
+function hasRecentDryRun(policy, action, targetId, now) {
+  const recordedAt = readDryRuns()[`${action}:${targetId}`];
+  const validMs =
+    Number(policy.dryRunValidMinutes || DEFAULT_DRY_RUN_VALID_MINUTES) *
+    60 *
+    1000;
+  return Boolean(recordedAt) && now - new Date(recordedAt) <= validMs;
+}
+
+/**
+ * Works out what the policy says about a delete, without enforcing it
+ * @param {Object} policy
+ * @param {Object} request
+ * @param {string} request.action - "delete-install" or "delete-site"
+ * @param {{ id: string, name: string }} request.target - The install or site being deleted
+ * @param {Array<Object>} request.installs - The installs that would be deleted
+ * @param {boolean} [request.dryRun=false] - Dry runs skip the window and dry-run checks
+ * @param {Date} [request.now]
+ * @returns {{ violations: string[], needsReason: Array<Object> }}
+ *   violations refuse the delete outright; needsReason lists protected
+ *   installs that need a second confirmation and a reason
+ */
+export function evaluateDelete(
+  policy,
+  { action, target, installs, dryRun = false, now = new Date() }
+) {
+  const violations = [];
+  const needsReason = [];
+  installs.forEach((install) => {
+    const protection = getProtection(policy, install);
+    if (protection === "block") {
+      violations.push(
+        `${install.name} (${install.environment}) is protected by policy and cannot be deleted.`
+      );
+    } else if (protection === "confirm") {
+      needsReason.push(install);
+    }
+  });
+  if (!dryRun && !isInMaintenanceWindow(policy, now)) {
+    violations.push(
+      `Deletes are only allowed during maintenance windows: ${policy.maintenanceWindows
+        .map(describeWindow)
+        .join("; ")}.`
+    );
+  }
+  if (
+    !dryRun &&
+    policy.requireDryRun &&
+    !hasRecentDryRun(policy, action, target.id, now)
+  ) {
+    violations.push(
+      `Policy requires a dry run first. Repeat this delete with --dry-run, then run it again within ${
+        policy.dryRunValidMinutes || DEFAULT_DRY_RUN_VALID_MINUTES
+      } minutes.`
+    );
+  }
+  return { violations, needsReason };
+}
+
+/**
+ * Refuses a delete the policy does not allow. A protected install with the
+ * "confirm" action needs a reason, which the caller supplies.
+ * @param {Object} policy
+ * @param {Object} request - As for evaluateDelete, plus:
+ * @param {string|null} [request.reason] - Why a protected install is being deleted
+ * @throws {PolicyViolationError}
+ */
+export function enforceDelete(policy, { reason, ...request }) {
+  const { violations, needsReason } = evaluateDelete(policy, request);
+  if (violations.length) throw new PolicyViolationError(violations.join(" "));
+  if (needsReason.length && !reason && !request.dryRun) {
+    throw new PolicyViolationError(
+      `${needsReason
+        .map((install) => install.name)
+        .join(
+          ", "
+        )} is protected by policy. Give a reason for deleting it (--reason in commands).`
+    );
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Interactive recipes: lists the recipes saved in ~/.wpe-cli/recipes from
+ * the account menu, asks for their parameters and runs them for the account.
+ */
+import chalk from "chalk";
+import {
+  getRecipesDir,
+  listSavedRecipes,
+  describeParams,
+  resolveParams,
+  describeStep,
+  runRecipe,
+} from "./recipe.js";
+import { takeDryRunRequests, invalidateCache } from "./utils.js";
+import { formatDryRunRequests } from "./format.js";
+import {
+  clearScreen,
+  displayWelcome,
+  createSpinner,
+  createMenu,
+  showMessage,
+} from "./ui.js";
+import { runForm } from "./form.js";
+
+const STATUS_SYMBOLS = {
+  done: chalk.green("✔"),
+  failed: chalk.red("✖"),
+  skipped: chalk.gray("–"),
+  "not run": chalk.gray("·"),
+};
+
+/**
+ * Asks for a recipe's parameters
+ * @returns {Promise<Object|null>} As from resolveParams, or null if cancelled
+ */
+async function askForParams(recipe) {
+  const params = describeParams(recipe);
+  if (!params.length) return resolveParams(recipe, {});
+  const values = await runForm(
+    `${recipe.name}: parameters`,
+    params.map((param) => ({
+      name: param.name,
+      label: param.name,
+      hint: [
+        param.description && `(${param.description})`,
+        param.choices && `one of ${param.choices.join(", ")}`,
+        param.default !== undefined && `default ${param.default}`,
+      ]
+        .filter(Boolean)
+        .join(" "),
+      optional: !param.required,
+      validate: (value) =>
+        param.choices && !param.choices.map(String).includes(value)
+          ? `Enter one of: ${param.choices.join(", ")}`
+          : null,
+    }))
+  );
+  if (!values) return null;
+  return resolveParams(
+    recipe,
+    Object.fromEntries(
+      Object.entries(values).filter(([, value]) => value !== null)
+    )
+  );
+}
+
+function formatResults(results) {
+  return results
+    .map(
+      (result) =>
+        `  ${STATUS_SYMBOLS[result.status]} ${result.step}${
+          result.error ? chalk.red(` - ${result.error}`) : ""
+        }`
+    )
+    .join("\n");
+}
+
+/**
+ * Shows a recipe's steps, asks for its parameters and runs it for an account
+ * @param {Object} account
+ * @param {Object} recipe - As returned by loadRecipe
+ */
+async function runRecipeFlow(account, recipe) {
+  const params = await askForParams(recipe);
+  if (!params) return;
+
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.green(`${recipe.name} for ${account.name}:`));
+  if (recipe.description) console.log(chalk.gray(recipe.description));
+  console.log("");
+  recipe.steps.forEach((step, index) =>
+    console.log(
+      `  ${index + 1}. ${describeStep(step)}${
+        step.if !== undefined ? chalk.gray(` if ${step.if}`) : ""
+      }${step.unless !== undefined ? chalk.gray(` unless ${step.unless}`) : ""}`
+    )
+  );
+  console.log("");
+  const choice = await createMenu(
+    `Run ${recipe.steps.length} step(s)?`,
+    ["Run recipe", "Cancel"],
+    true
+  );
+  if (choice !== 0) return;
+
+  console.log("");
+  let spinner = null;
+  const results = await runRecipe(recipe, {
+    params,
+    account,
+    onStep: (result, index) => {
+      const label = `Step ${index + 1} of ${recipe.steps.length}: ${
+        result.step
+      }`;
+      if (result.status === "running") {
+        spinner = createSpinner(label);
+        return;
+      }
+      if (spinner) spinner.stop();
+      spinner = null;
+    },
+  });
+  // The recipe may have created sites and installs the menus have cached
+  invalidateCache();
+
+  const dryRunRequests = takeDryRunRequests();
+  if (dryRunRequests.length) {
+    await showMessage(
+      `${chalk.cyan(`Would run: ${recipe.name}`)}\n\n${formatResults(
+        results
+      )}\n\n${formatDryRunRequests(dryRunRequests)}\n`
+    );
+    return;
+  }
+  const failed = results.filter((result) => result.status === "failed");
+  await showMessage(
+    `${
+      failed.length
+        ? chalk.red(`${recipe.name}: ${failed.length} step(s) failed`)
+        : chalk.green(`${recipe.name}: done`)
+    }\n\n${formatResults(results)}\n`
+  );
+}
+
+/**
+ * Lists the saved recipes until the user goes back, running the one chosen
+ * for the account
+ * @param {Object} account
+ */
+export async function accountRecipesFlow(account) {
+  while (true) {
+    const saved = listSavedRecipes();
+    if (!saved.length) {
+      await showMessage(
+        chalk.yellow(
+          `No saved recipes. Save recipe files (.yaml or .json) in ${getRecipesDir()} to run them here.`
+        )
+      );
+      return;
+    }
+    clearScreen();
+    displayWelcome();
+    const options = saved
+      .map((entry) =>
+        entry.recipe
+          ? `${entry.recipe.name}${
+              entry.recipe.description ? ` - ${entry.recipe.description}` : ""
+            }`
+          : `⚠ ${entry.name} (invalid)`
+      )
+      .concat(["← Back to account"]);
+    const index = await createMenu(
+      `Recipes to run for ${account.name}:`,
+      options,
+      true
+    );
+    if (index === -1 || index === options.length - 1) return;
+    const entry = saved[index];
+    if (entry.error) {
+      await showMessage(chalk.red(entry.error));
+      continue;
+    }
+    await runRecipeFlow(account, entry.recipe);
+  }
+}
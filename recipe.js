@@ -0,0 +1,655 @@
+/**
+ * Recipes: saved sequences of operations, such as "create a site, add
+ * production and staging installs, add a domain and start a backup", run in
+ * one go instead of one menu screen at a time.
+ *
+ * Example recipe (YAML or JSON):
+ *
+ *   name: New client site
+ *   description: A site with production and staging, its domain and a first backup
+ *   params:
+ *     client:
+ *       description: Site name
+ *     install:
+ *       description: Production install name, e.g. acmecorp
+ *     domain:
+ *       required: false     # leave out to skip the domain step
+ *     email:
+ *       default: ops@example.com
+ *   steps:
+ *     - id: site
+ *       action: sites.create
+ *       with:
+ *         name: ${params.client}   # the account comes from --account or the menu
+ *     - id: production
+ *       action: installs.create
+ *       with:
+ *         site: ${steps.site.id}   # a value returned by an earlier step
+ *         name: ${params.install}
+ *         environment: production
+ *         wait: true
+ *     - action: installs.create
+ *       with:
+ *         site: ${steps.site.id}
+ *         name: ${params.install}stg
+ *         environment: staging
+ *     - action: domains.add
+ *       if: ${params.domain}
+ *       with:
+ *         install: ${steps.production.id}
+ *         name: ${params.domain}
+ *         primary: true
+ *     - id: backup
+ *       action: backups.create
+ *       onError: continue       # the recipe carries on if this step fails
+ *       with:
+ *         install: ${steps.production.id}
+ *         email: ${params.email}
+ */
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import {
+  CACHE_TYPES,
+  isDryRun,
+  createSite,
+  fetchSite,
+  updateSite,
+  createInstall,
+  fetchInstall,
+  waitForInstall,
+  addDomain,
+  setPrimaryDomain,
+  createBackup,
+  waitForBackup,
+  purgeCache,
+} from "./utils.js";
+import { getConfigDir } from "./config.js";
+import {
+  validateInstallName,
+  validateEnvironment,
+  validateSiteName,
+  validateGroupName,
+  validateTags,
+  validateEmail,
+  checkInstallNameAvailable,
+} from "./validators.js";
+
+export const RECIPE_EXTENSIONS = [".yaml", ".yml", ".json"];
+export const ON_ERROR_CHOICES = ["stop", "continue"];
+
+const RECIPE_KEYS = ["name", "description", "params", "steps"];
+const PARAM_KEYS = ["description", "default", "required", "choices"];
+const STEP_KEYS = ["id", "name", "action", "with", "if", "unless", "onError"];
+const ID_PATTERN = /^[a-z][a-z0-9_-]*$/i;
+const REFERENCE_PATTERN = /\$\{\s*([^}]*?)\s*\}/g;
+const FALSE_WORDS = ["", "false", "no", "0"];
+
+/**
+ * Thrown when a recipe file cannot be read, is not a valid recipe, or is
+ * run with missing or unknown parameters
+ */
+export class RecipeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecipeError";
+  }
+}
+
+function check(name, error) {
+  if (error) throw new Error(`${name}: ${error}`);
+}
+
+function toBoolean(value) {
+  return typeof value === "string"
+    ? !FALSE_WORDS.includes(value.trim().toLowerCase())
+    : Boolean(value);
+}
+
+/**
+ * What each step's `action` can be. `inputs` lists the names `with` may use,
+ * true for required ones. An `account` input falls back to the account the
+ * recipe runs for. `run` gets the resolved inputs and returns the step's
+ * output, which later steps reach as `${steps.<id>...}`.
+ */
+export const RECIPE_ACTIONS = {
+  "sites.create": {
+    description: "Create a site",
+    inputs: { account: false, name: true, group: false, tags: false },
+    async run({ account, name, group, tags }) {
+      const tagList = [].concat(tags || []).map(String);
+      check("name", validateSiteName(name));
+      check("group", validateGroupName(group));
+      check("tags", validateTags(tagList));
+      return createSite(account, {
+        name,
+        ...(group && { group_name: group }),
+        ...(tagList.length && { tags: tagList }),
+      });
+    },
+  },
+  "sites.get": {
+    description: "Look up a site and its installs",
+    inputs: { site: true },
+    async run({ site }) {
+      return fetchSite(site);
+    },
+  },
+  "sites.rename": {
+    description: "Rename a site",
+    inputs: { site: true, name: true },
+    async run({ site, name }) {
+      check("name", validateSiteName(name));
+      return updateSite(site, { name });
+    },
+  },
+  "installs.create": {
+    description: "Create an install, optionally waiting until it is active",
+    inputs: {
+      account: false,
+      site: true,
+      name: true,
+      environment: true,
+      wait: false,
+      waitTimeout: false,
+    },
+    async run({ account, site, name, environment, wait, waitTimeout }) {
+      check("name", validateInstallName(name));
+      check("environment", validateEnvironment(environment));
+      if (waitTimeout !== undefined && !(Number(waitTimeout) > 0)) {
+        throw new Error("waitTimeout: give a number of seconds");
+      }
+      check("name", await checkInstallNameAvailable(name, account));
+      const install = await createInstall(site, account, { name, environment });
+      // In dry-run mode nothing was created, so there is nothing to wait for
+      if (!toBoolean(wait) || !install.id) return install;
+      return waitForInstall(install.id, {
+        timeoutMs: waitTimeout ? Number(waitTimeout) * 1000 : undefined,
+      });
+    },
+  },
+  "installs.get": {
+    description: "Look up an install",
+    inputs: { install: true },
+    async run({ install }) {
+      return fetchInstall(install, { fresh: true });
+    },
+  },
+  "domains.add": {
+    description: "Add a domain to an install",
+    inputs: { install: true, name: true, primary: false },
+    async run({ install, name, primary }) {
+      return addDomain(install, { name, primary: toBoolean(primary) });
+    },
+  },
+  "domains.set-primary": {
+    description: "Make a domain the install's primary domain",
+    inputs: { install: true, domain: true },
+    async run({ install, domain }) {
+      return setPrimaryDomain(install, domain);
+    },
+  },
+  "backups.create": {
+    description: "Start a backup, optionally waiting until it completes",
+    inputs: { install: true, email: true, description: false, wait: false },
+    async run({ install, email, description, wait }) {
+      const notificationEmails = [].concat(email).map(String);
+      notificationEmails.forEach((address) =>
+        check("email", validateEmail(address))
+      );
+      const backup = await createBackup(install, {
+        description: description || "Backup from WP Engine API CLI Tool",
+        notificationEmails,
+      });
+      if (!toBoolean(wait) || !backup.id) return backup;
+      return waitForBackup(install, backup.id);
+    },
+  },
+  "cache.purge": {
+    description: "Purge one of an install's cache layers",
+    inputs: { install: true, type: true },
+    async run({ install, type }) {
+      if (!CACHE_TYPES.includes(type)) {
+        throw new Error(
+          `type: "${type}" is not one of ${CACHE_TYPES.join(", ")}`
+        );
+      }
+      await purgeCache(install, type);
+      return { installId: install, type, purged: true };
+    },
+  },
+};
+
+/**
+ * Lists the references in a value, e.g. ["params.client", "steps.site.id"]
+ */
+function findReferences(value) {
+  if (typeof value === "string") {
+    return [...value.matchAll(REFERENCE_PATTERN)].map((match) => match[1]);
+  }
+  if (Array.isArray(value)) return value.flatMap(findReferences);
+  if (value && typeof value === "object") {
+    return Object.values(value).flatMap(findReferences);
+  }
+  return [];
+}
+
+/**
+ * Checks that a reference names a declared parameter or an earlier step
+ */
+function validateReference(reference, params, earlierStepIds) {
+  const [root, name] = reference.split(".");
+  if (root === "params") {
+    return Object.hasOwn(params, name || "")
+      ? null
+      : `\${${reference}}: no parameter "${name || ""}" is declared`;
+  }
+  if (root === "steps" || root === "errors") {
+    return earlierStepIds.includes(name)
+      ? null
+      : `\${${reference}}: no earlier step has the id "${name || ""}"`;
+  }
+  if (root === "account") {
+    return ["id", "name"].includes(name) && reference.split(".").length === 2
+      ? null
+      : `\${${reference}}: use \${account.id} or \${account.name}`;
+  }
+  return `\${${reference}}: references start with params., steps., errors. or account.`;
+}
+
+function checkKeys(object, allowed, where) {
+  const unknown = Object.keys(object).find((key) => !allowed.includes(key));
+  if (unknown !== undefined) {
+    throw new RecipeError(
+      `${where}unknown key "${unknown}". Expected one of: ${allowed.join(", ")}`
+    );
+  }
+}
+
+function validateRecipe(recipe) {
+  if (!recipe || typeof recipe !== "object" || Array.isArray(recipe)) {
+    throw new RecipeError("A recipe must be a mapping with a steps list");
+  }
+  checkKeys(recipe, RECIPE_KEYS, "");
+
+  const params = recipe.params || {};
+  if (typeof params !== "object" || Array.isArray(params)) {
+    throw new RecipeError(
+      '"params" must map each parameter name to its details'
+    );
+  }
+  Object.entries(params).forEach(([name, param]) => {
+    if (!ID_PATTERN.test(name)) {
+      throw new RecipeError(
+        `params.${name}: names use letters, digits, - and _, starting with a letter`
+      );
+    }
+    if (param === null) return;
+    if (typeof param !== "object" || Array.isArray(param)) {
+      throw new RecipeError(`params.${name} must be a mapping`);
+    }
+    checkKeys(param, PARAM_KEYS, `params.${name}: `);
+    if (param.choices !== undefined && !Array.isArray(param.choices)) {
+      throw new RecipeError(`params.${name}.choices must be a list`);
+    }
+  });
+
+  if (!Array.isArray(recipe.steps) || !recipe.steps.length) {
+    throw new RecipeError(
+      'The recipe needs a "steps" list with at least one step'
+    );
+  }
+  const stepIds = [];
+  recipe.steps.forEach((step, index) => {
+    const where = `steps[${index}]`;
+    if (!step || typeof step !== "object" || Array.isArray(step)) {
+      throw new RecipeError(`${where} must be a mapping`);
+    }
+    checkKeys(step, STEP_KEYS, `${where}: `);
+    if (!Object.hasOwn(RECIPE_ACTIONS, step.action || "")) {
+      throw new RecipeError(
+        `${where}: unknown action "${
+          step.action || ""
+        }". Expected one of: ${Object.keys(RECIPE_ACTIONS).join(", ")}`
+      );
+    }
+    const action = RECIPE_ACTIONS[step.action];
+    if (step.id !== undefined) {
+      if (typeof step.id !== "string" || !ID_PATTERN.test(step.id)) {
+        throw new RecipeError(
+          `${where}.id: ids use letters, digits, - and _, starting with a letter`
+        );
+      }
+      if (stepIds.includes(step.id)) {
+        throw new RecipeError(`${where}.id: "${step.id}" is used twice`);
+      }
+    }
+    if (
+      step.onError !== undefined &&
+      !ON_ERROR_CHOICES.includes(step.onError)
+    ) {
+      throw new RecipeError(
+        `${where}.onError must be one of: ${ON_ERROR_CHOICES.join(", ")}`
+      );
+    }
+
+    const inputs = step.with || {};
+    if (typeof inputs !== "object" || Array.isArray(inputs)) {
+      throw new RecipeError(`${where}.with must be a mapping`);
+    }
+    checkKeys(inputs, Object.keys(action.inputs), `${where}.with: `);
+    const missing = Object.keys(action.inputs).find(
+      (key) => action.inputs[key] && !Object.hasOwn(inputs, key)
+    );
+    if (missing) {
+      throw new RecipeError(`${where}.with: ${step.action} needs "${missing}"`);
+    }
+
+    findReferences([inputs, step.if, step.unless]).forEach((reference) => {
+      const error = validateReference(reference, params, stepIds);
+      if (error) throw new RecipeError(`${where}: ${error}`);
+    });
+    if (step.id) stepIds.push(step.id);
+  });
+  return recipe;
+}
+
+/**
+ * Where saved recipes live: ~/.wpe-cli/recipes
+ * @returns {string}
+ */
+export function getRecipesDir() {
+  return path.join(getConfigDir(), "recipes");
+}
+
+/**
+ * Reads and validates a YAML or JSON recipe file
+ * @param {string} filePath
+ * @returns {Object} The recipe, with `name` defaulting to the file name
+ * @throws {RecipeError}
+ */
+export function loadRecipe(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new RecipeError(`Could not read ${filePath}: ${error.message}`);
+  }
+  let recipe;
+  try {
+    // JSON is valid YAML, so one parser reads both
+    recipe = YAML.parse(text);
+  } catch (error) {
+    throw new RecipeError(`Could not parse ${filePath}: ${error.message}`);
+  }
+  try {
+    validateRecipe(recipe);
+  } catch (error) {
+    throw new RecipeError(`${filePath}: ${error.message}`);
+  }
+  return {
+    ...recipe,
+    name: recipe.name || path.basename(filePath, path.extname(filePath)),
+  };
+}
+
+/**
+ * Finds a recipe given as a file path or as the name of a saved recipe
+ * @param {string} nameOrPath - e.g. "./new-client.yaml" or "new-client"
+ * @returns {string} The file path
+ * @throws {RecipeError}
+ */
+export function findRecipeFile(nameOrPath) {
+  if (fs.existsSync(nameOrPath)) return nameOrPath;
+  const saved = RECIPE_EXTENSIONS.map((extension) =>
+    path.join(getRecipesDir(), `${nameOrPath}${extension}`)
+  ).find((candidate) => fs.existsSync(candidate));
+  if (!saved) {
+    throw new RecipeError(
+      `No recipe file "${nameOrPath}", and no saved recipe of that name in ${getRecipesDir()}`
+    );
+  }
+  return saved;
+}
+
+/**
+ * Lists the recipes saved in getRecipesDir(). A file that is not a valid
+ * recipe is listed with its error, so it can be fixed rather than vanish.
+ * @returns {Array<{ name: string, file: string, recipe: Object|null, error: string|null }>}
+ *   name is the file name without its extension, as `run` accepts it
+ */
+export function listSavedRecipes() {
+  let files;
+  try {
+    files = fs.readdirSync(getRecipesDir());
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return files
+    .filter((file) => RECIPE_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map((file) => {
+      const filePath = path.join(getRecipesDir(), file);
+      const name = path.basename(file, path.extname(file));
+      try {
+        return {
+          name,
+          file: filePath,
+          recipe: loadRecipe(filePath),
+          error: null,
+        };
+      } catch (error) {
+        return { name, file: filePath, recipe: null, error: error.message };
+      }
+    });
+}
+
+/**
+ * Describes a recipe's parameters for prompts and help
+ * @param {Object} recipe - As returned by loadRecipe
+ * @returns {Array<{ name: string, description: string, default: *, required: boolean, choices: Array|null }>}
+ */
+export function describeParams(recipe) {
+  return Object.entries(recipe.params || {}).map(([name, param]) => {
+    const details = param || {};
+    return {
+      name,
+      description: details.description || "",
+      default: details.default,
+      // A parameter with a default can always be left out
+      required: details.required !== false && details.default === undefined,
+      choices: details.choices || null,
+    };
+  });
+}
+
+/**
+ * Fills in defaults and checks the values given for a recipe's parameters
+ * @param {Object} recipe - As returned by loadRecipe
+ * @param {Object} given - Values by parameter name, e.g. from --param
+ * @returns {Object} Every declared parameter; those left out without a default are undefined
+ * @throws {RecipeError}
+ */
+export function resolveParams(recipe, given = {}) {
+  const declared = describeParams(recipe);
+  const unknown = Object.keys(given).filter(
+    (name) => !declared.some((param) => param.name === name)
+  );
+  if (unknown.length) {
+    throw new RecipeError(
+      `Unknown parameter(s): ${unknown.join(", ")}. ${
+        declared.length
+          ? `"${recipe.name}" takes: ${declared
+              .map((param) => param.name)
+              .join(", ")}`
+          : `"${recipe.name}" takes none`
+      }`
+    );
+  }
+  const values = {};
+  declared.forEach((param) => {
+    const value = given[param.name];
+    if (value === undefined || value === "") {
+      if (param.required) {
+        throw new RecipeError(
+          `Missing parameter "${param.name}"${
+            param.description ? ` (${param.description})` : ""
+          }`
+        );
+      }
+      values[param.name] = param.default;
+      return;
+    }
+    if (param.choices && !param.choices.map(String).includes(String(value))) {
+      throw new RecipeError(
+        `Parameter "${param.name}" must be one of: ${param.choices.join(", ")}`
+      );
+    }
+    values[param.name] = value;
+  });
+  return values;
+}
+
+function lookUp(reference, scope) {
+  return reference
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      scope
+    );
+}
+
+/**
+ * Replaces the references in a value. A string that is a single reference
+ * becomes the referenced value itself, so lists and booleans pass through.
+ * @param {*} value
+ * @param {Object} scope - { params, steps, errors, account }
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Fail on a reference with no value.
+ *   In dry-run mode earlier steps return no IDs, so a placeholder is used instead.
+ * @returns {*}
+ */
+export function interpolate(value, scope, { strict = true } = {}) {
+  const resolve = (reference) => {
+    const resolved = lookUp(reference, scope);
+    if (resolved !== undefined && resolved !== null) return resolved;
+    if (!strict) return undefined;
+    if (isDryRun()) return `<${reference}>`;
+    if (reference.startsWith("account.")) {
+      throw new Error(
+        `\${${reference}} needs an account to run the recipe for`
+      );
+    }
+    throw new Error(`\${${reference}} has no value`);
+  };
+  if (typeof value === "string") {
+    const whole = /^\$\{\s*([^}]*?)\s*\}$/.exec(value);
+    if (whole) return resolve(whole[1]);
+    return value.replace(REFERENCE_PATTERN, (match, reference) => {
+      const resolved = resolve(reference);
+      return resolved === undefined ? "" : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolate(item, scope, { strict }));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        interpolate(item, scope, { strict }),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Whether a step's `if` and `unless` let it run. Missing values, false,
+ * empty text, "false", "no", "0" and empty lists count as false.
+ */
+function shouldRun(step, scope) {
+  const test = (condition) => {
+    const value = interpolate(condition, scope, { strict: false });
+    return Array.isArray(value) ? value.length > 0 : toBoolean(value);
+  };
+  if (step.if !== undefined && !test(step.if)) return false;
+  if (step.unless !== undefined && test(step.unless)) return false;
+  return true;
+}
+
+/**
+ * A step's label, e.g. "production (installs.create)"
+ * @param {Object} step
+ * @returns {string}
+ */
+export function describeStep(step) {
+  const label = step.name || step.id;
+  return label ? `${label} (${step.action})` : step.action;
+}
+
+/**
+ * Runs a recipe's steps in order. A failed step stops the recipe unless it
+ * has `onError: continue`; its error message is then `${errors.<id>}`.
+ * @param {Object} recipe - As returned by loadRecipe
+ * @param {Object} options
+ * @param {Object} options.params - As returned by resolveParams
+ * @param {{ id: string, name: string }} [options.account] - The account the recipe runs for
+ * @param {(result: Object, index: number) => void} [options.onStep] - Called with
+ *   status "running" as each step starts, and again with its result
+ * @returns {Promise<Array<{ step: string, action: string, status: string, output: *, error: string|null }>>}
+ *   status is "done", "failed", "skipped" (its condition was false) or "not run" (an earlier step failed)
+ */
+export async function runRecipe(recipe, { params, account = null, onStep }) {
+  const scope = {
+    params,
+    account: account && { id: account.id, name: account.name },
+    steps: {},
+    errors: {},
+  };
+  const results = [];
+  let stopped = false;
+
+  for (const [index, step] of recipe.steps.entries()) {
+    const result = {
+      step: describeStep(step),
+      action: step.action,
+      status: "not run",
+      output: null,
+      error: null,
+    };
+    results.push(result);
+    if (stopped) continue;
+    if (!shouldRun(step, scope)) {
+      result.status = "skipped";
+      if (onStep) onStep(result, index);
+      continue;
+    }
+
+    if (onStep) onStep({ ...result, status: "running" }, index);
+    const action = RECIPE_ACTIONS[step.action];
+    try {
+      const inputs = interpolate(step.with || {}, scope);
+      if (Object.hasOwn(action.inputs, "account") && !inputs.account) {
+        if (!account) {
+          throw new Error(
+            "needs an account: set with.account, or run the recipe for an account"
+          );
+        }
+        inputs.account = account.id;
+      }
+      result.output = await action.run(inputs);
+      result.status = "done";
+    } catch (error) {
+      result.status = "failed";
+      result.error = error.message;
+      if (step.id) scope.errors[step.id] = error.message;
+      stopped = step.onError !== "continue";
+    }
+    if (step.id) scope.steps[step.id] = result.output;
+    if (onStep) onStep(result, index);
+  }
+  return results;
+}
@@ -0,0 +1,278 @@
+/**
+ * Fleet inventory report: every account, site and install in one list,
+ * with anomalies flagged, ready to save as CSV, JSON or a standalone HTML page.
+ */
+import {
+  fetchAccounts,
+  fetchSites,
+  fetchSitesByAccount,
+  fetchInstalls,
+  fetchInstallsByAccount,
+} from "./utils.js";
+import { ALL_ENVIRONMENTS } from "./constants.js";
+
+/**
+ * Installs on an older PHP version than this are flagged. Override with --min-php.
+ */
+export const DEFAULT_MIN_PHP_VERSION = "8.2";
+
+export const ANOMALIES = {
+  "no-production": "The site has no production install",
+  "outdated-php": "The install runs an outdated PHP version",
+  "no-custom-domain":
+    "The production install is only reachable on its wpengine.com domain",
+};
+
+/**
+ * Compares dotted version numbers, e.g. "8.0" and "8.2"
+ * @returns {number} Negative if a is older than b, 0 if equal, positive if newer
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split(".").map(Number);
+  const right = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference) return difference;
+  }
+  return 0;
+}
+
+/**
+ * A custom domain is anything other than the install's own wpengine.com name.
+ * Staging and development installs usually have none, so only production is checked.
+ */
+function hasCustomDomain(install) {
+  const domain = install.primary_domain;
+  return Boolean(
+    domain && domain !== install.cname && !domain.endsWith(".wpengine.com")
+  );
+}
+
+/**
+ * Works out which anomalies apply to one row of the report
+ * @param {Array<Object>} siteInstalls - Every install of the row's site
+ * @param {Object|null} install - null for a site with no installs
+ * @param {string} minPhpVersion
+ * @returns {string[]} Keys of ANOMALIES
+ */
+function findAnomalies(siteInstalls, install, minPhpVersion) {
+  const anomalies = [];
+  if (
+    !siteInstalls.some((candidate) => candidate.environment === "production")
+  ) {
+    anomalies.push("no-production");
+  }
+  if (
+    install &&
+    install.php_version &&
+    compareVersions(install.php_version, minPhpVersion) < 0
+  ) {
+    anomalies.push("outdated-php");
+  }
+  if (
+    install &&
+    install.environment === "production" &&
+    !hasCustomDomain(install)
+  ) {
+    anomalies.push("no-custom-domain");
+  }
+  return anomalies;
+}
+
+/**
+ * Joins accounts, sites and installs into one row per install. A site with
+ * no installs still gets a row, with the install fields left empty.
+ * @param {Object} [options]
+ * @param {string} [options.accountId] - Only report on this account
+ * @param {string} [options.minPhpVersion=DEFAULT_MIN_PHP_VERSION]
+ * @returns {Promise<Array<Object>>} Rows sorted by account, site and environment
+ */
+export async function buildFleetReport({
+  accountId,
+  minPhpVersion = DEFAULT_MIN_PHP_VERSION,
+} = {}) {
+  const [accounts, sites, installs] = await Promise.all([
+    fetchAccounts(),
+    accountId ? fetchSitesByAccount(accountId) : fetchSites(),
+    // The full install records carry the primary domain, unlike the site summaries
+    accountId ? fetchInstallsByAccount(accountId) : fetchInstalls(),
+  ]);
+  const accountNames = new Map(
+    accounts.map((account) => [account.id, account.name])
+  );
+
+  const rows = sites.flatMap((site) => {
+    const siteInstalls = installs
+      .filter((install) => install.siteId === site.id)
+      .sort(
+        (a, b) =>
+          ALL_ENVIRONMENTS.indexOf(a.environment) -
+          ALL_ENVIRONMENTS.indexOf(b.environment)
+      );
+    const base = {
+      account: accountNames.get(site.accountId) || null,
+      accountId: site.accountId,
+      site: site.name,
+      siteId: site.id,
+    };
+    if (!siteInstalls.length) {
+      return [
+        {
+          ...base,
+          install: null,
+          installId: null,
+          environment: null,
+          primary_domain: null,
+          cname: null,
+          php_version: null,
+          is_multisite: null,
+          anomalies: findAnomalies(siteInstalls, null, minPhpVersion),
+        },
+      ];
+    }
+    return siteInstalls.map((install) => ({
+      ...base,
+      install: install.name,
+      installId: install.id,
+      environment: install.environment,
+      primary_domain: install.primary_domain,
+      cname: install.cname || null,
+      php_version: install.php_version || null,
+      is_multisite: Boolean(install.is_multisite),
+      anomalies: findAnomalies(siteInstalls, install, minPhpVersion),
+    }));
+  });
+
+  return rows.sort(
+    (a, b) =>
+      (a.account || "").localeCompare(b.account || "") ||
+      a.site.localeCompare(b.site)
+  );
+}
+
+/**
+ * Counts accounts, sites, installs and each kind of anomaly in a report
+ * @param {Array<Object>} rows - As returned by buildFleetReport
+ * @returns {Object}
+ */
+export function summarizeReport(rows) {
+  const anomalies = Object.fromEntries(
+    Object.keys(ANOMALIES).map((key) => [
+      key,
+      rows.filter((row) => row.anomalies.includes(key)).length,
+    ])
+  );
+  return {
+    accounts: new Set(rows.map((row) => row.accountId)).size,
+    sites: new Set(rows.map((row) => row.siteId)).size,
+    installs: rows.filter((row) => row.installId).length,
+    anomalies,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders a report as a standalone HTML page with no external assets
+ * @param {Array<Object>} rows - As returned by buildFleetReport
+ * @param {Object} [options]
+ * @param {Date} [options.generatedAt=new Date()]
+ * @param {string} [options.minPhpVersion=DEFAULT_MIN_PHP_VERSION]
+ * @returns {string}
+ */
+export function formatHtmlReport(
+  rows,
+  { generatedAt = new Date(), minPhpVersion = DEFAULT_MIN_PHP_VERSION } = {}
+) {
+  const summary = summarizeReport(rows);
+  const columns = [
+    ["Account", "account"],
+    ["Site", "site"],
+    ["Install", "install"],
+    ["Environment", "environment"],
+    ["Primary domain", "primary_domain"],
+    ["CNAME", "cname"],
+    ["PHP", "php_version"],
+    ["Multisite", "is_multisite"],
+  ];
+  const formatCell = (row, key) => {
+    if (key === "is_multisite") {
+      return row.install ? (row.is_multisite ? "Yes" : "No") : "";
+    }
+    return escapeHtml(row[key]);
+  };
+  const bodyRows = rows
+    .map(
+      (row) => `      <tr${row.anomalies.length ? ' class="flagged"' : ""}>
+${columns
+  .map(([, key]) => `        <td>${formatCell(row, key)}</td>`)
+  .join("\n")}
+        <td>${row.anomalies
+          .map(
+            (key) =>
+              `<span class="anomaly" title="${escapeHtml(
+                ANOMALIES[key]
+              )}">${escapeHtml(key)}</span>`
+          )
+          .join(" ")}</td>
+      </tr>`
+    )
+    .join("\n");
+  const anomalyList = Object.entries(ANOMALIES)
+    .map(
+      ([key, description]) =>
+        `      <li><span class="anomaly">${key}</span> ${escapeHtml(
+          description
+        )}${
+          key === "outdated-php"
+            ? ` (older than ${escapeHtml(minPhpVersion)})`
+            : ""
+        }: <strong>${summary.anomalies[key]}</strong></li>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>WP Engine fleet report</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #1d2327; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #dcdcde; padding: 0.4rem 0.6rem; text-align: left; }
+    th { background: #f6f7f7; position: sticky; top: 0; }
+    tr.flagged { background: #fcf9e8; }
+    .anomaly { display: inline-block; padding: 0 0.4rem; border-radius: 3px; background: #d63638; color: #fff; font-size: 0.8rem; }
+    .meta { color: #646970; }
+  </style>
+</head>
+<body>
+  <h1>WP Engine fleet report</h1>
+  <p class="meta">Generated ${escapeHtml(generatedAt.toISOString())}</p>
+  <p>${summary.accounts} account(s), ${summary.sites} site(s), ${
+    summary.installs
+  } install(s).</p>
+  <ul>
+${anomalyList}
+  </ul>
+  <table>
+    <thead>
+      <tr>
+${columns.map(([label]) => `        <th>${label}</th>`).join("\n")}
+        <th>Anomalies</th>
+      </tr>
+    </thead>
+    <tbody>
+${bodyRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
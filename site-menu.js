@@ -0,0 +1,181 @@
+/**
+ * Interactive site screen: details, renaming and deletion.
+ */
+import chalk from "chalk";
+import { ALL_ENVIRONMENTS } from "./constants.js";
+import { createSite, updateSite, deleteSite } from "./utils.js";
+import {
+  clearScreen,
+  displayWelcome,
+  createMenu,
+  showMessage,
+  confirmByTyping,
+  confirmDeletePolicy,
+  runAction,
+} from "./ui.js";
+import { withAuditContext } from "./audit.js";
+import { runForm } from "./form.js";
+import {
+  validateSiteName,
+  validateGroupName,
+  validateTags,
+  parseTags,
+} from "./validators.js";
+
+/**
+ * Shows a site's account, group, tags and installs grouped by environment
+ * @param {Object} account - The account the site belongs to
+ * @param {Object} site - The site, including its install summaries
+ */
+export function displaySiteDetails(account, site) {
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.green(`Site Details for "${site.name}":`));
+  console.log(chalk.white("\n" + "=".repeat(50)));
+  console.log(chalk.cyan(`Site Name: ${site.name || "N/A"}`));
+  console.log(chalk.white(`Site ID: ${site.id || "N/A"}`));
+  console.log(chalk.white(`Account: ${account.name || site.accountId}`));
+  console.log(chalk.white(`Group: ${site.group_name || "N/A"}`));
+  console.log(
+    chalk.white(
+      `Tags: ${site.tags && site.tags.length ? site.tags.join(", ") : "N/A"}`
+    )
+  );
+  console.log(chalk.white("\nInstalls:"));
+  ALL_ENVIRONMENTS.forEach((environment) => {
+    const install = site.installs.find(
+      (candidate) => candidate.environment === environment
+    );
+    console.log(
+      chalk.white(
+        `  ${environment.padEnd(12)} ${
+          install ? `${install.name} (${install.cname || "No CNAME"})` : "-"
+        }`
+      )
+    );
+  });
+  console.log(chalk.white("\n" + "=".repeat(50)));
+}
+
+/**
+ * Asks for a new site's name, group and tags, then creates it
+ * @param {Object} account - The account to add the site to
+ * @returns {Promise<boolean>} true if the site was created
+ */
+export async function addSiteFlow(account) {
+  const values = await runForm(`Add a site to "${account.name}"`, [
+    {
+      name: "name",
+      label: "Site name",
+      hint: "(e.g. Acme Corp)",
+      validate: validateSiteName,
+    },
+    {
+      name: "group",
+      label: "Group",
+      optional: true,
+      validate: validateGroupName,
+    },
+    {
+      name: "tags",
+      label: "Tags",
+      hint: "(comma-separated)",
+      optional: true,
+      parse: parseTags,
+      format: (tags) => (tags || []).join(", "),
+      validate: validateTags,
+    },
+  ]);
+  if (!values) return false;
+  return runAction(
+    "Adding site...",
+    `Site "${values.name}" added.`,
+    "Failed to add site",
+    () =>
+      createSite(account.id, {
+        name: values.name,
+        ...(values.group && { group_name: values.group }),
+        ...(values.tags && values.tags.length && { tags: values.tags }),
+      })
+  );
+}
+
+/**
+ * Asks for a new site name, validated as for a new site, and renames the site
+ * @param {Object} site
+ * @returns {Promise<boolean>} true if the site was renamed
+ */
+export async function renameSiteFlow(site) {
+  const values = await runForm(`Rename "${site.name}"`, [
+    {
+      name: "name",
+      label: "New site name",
+      hint: `(currently "${site.name}")`,
+      validate: validateSiteName,
+    },
+  ]);
+  if (!values || values.name === site.name) return false;
+  const { name } = values;
+  return runAction(
+    "Renaming site...",
+    `Site renamed to "${name}".`,
+    "Failed to rename site",
+    () =>
+      withAuditContext({ targetName: site.name }, () =>
+        updateSite(site.id, { name })
+      )
+  );
+}
+
+/**
+ * Deletes a site after a typed confirmation. A site with installs needs an
+ * extra confirmation, since its installs are deleted along with it.
+ * @param {Object} site - The site, including its install summaries
+ * @returns {Promise<boolean>} true if the site was deleted
+ */
+export async function deleteSiteFlow(site) {
+  const { installs } = site;
+  if (installs.length) {
+    clearScreen();
+    displayWelcome();
+    console.log(
+      chalk.red(
+        `"${site.name}" still has ${installs.length} install(s), which will be deleted with it:`
+      )
+    );
+    installs.forEach((install) =>
+      console.log(chalk.red(`  ${install.name} (${install.environment})`))
+    );
+    console.log("");
+    const cascadeIndex = await createMenu(
+      "Delete the site and all of its installs?",
+      ["Cancel", `Delete the site and its ${installs.length} install(s)`],
+      true
+    );
+    if (cascadeIndex !== 1) {
+      await showMessage(chalk.yellow("Site deletion cancelled."));
+      return false;
+    }
+  }
+
+  const { allowed, reason } = await confirmDeletePolicy([
+    { action: "delete-site", target: site, installs },
+  ]);
+  if (!allowed) return false;
+
+  const confirmed = await confirmByTyping(
+    "WARNING: A deleted site and its environments are not recoverable. You cannot undo this action.",
+    site.name,
+    "site name"
+  );
+  if (!confirmed) return false;
+  return runAction(
+    "Deleting site...",
+    "Site deleted.",
+    "Failed to delete site",
+    () =>
+      withAuditContext({ confirmation: site.name, reason }, () =>
+        deleteSite(site.id, { cascade: installs.length > 0 })
+      )
+  );
+}
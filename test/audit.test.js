@@ -0,0 +1,99 @@
+/**
+ * The audit log file: appending, reading back and filtering
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  appendAuditEntry,
+  readAuditLog,
+  withAuditContext,
+  getAuditContext,
+} from "../audit.js";
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WPE_AUDIT_LOG = path.join(dir, "audit.jsonl");
+  appendAuditEntry({
+    action: "create-install",
+    profile: "work",
+    target: { id: "install-1", name: "acme" },
+    error: null,
+  });
+  appendAuditEntry({
+    action: "delete-install",
+    profile: "work",
+    target: { id: "install-1", name: "acme" },
+    error: "Not found",
+  });
+  appendAuditEntry({
+    action: "delete-install",
+    profile: "client",
+    target: { id: "install-2", name: "beta" },
+    error: null,
+  });
+  fs.appendFileSync(process.env.WPE_AUDIT_LOG, "not json\n");
+});
+
+after(() => {
+  delete process.env.WPE_AUDIT_LOG;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("readAuditLog", () => {
+  it("reads every entry, oldest first, keeping damaged lines", () => {
+    const entries = readAuditLog();
+    assert.deepEqual(
+      entries.map((entry) => entry.action),
+      ["create-install", "delete-install", "delete-install", "unreadable"]
+    );
+    assert.ok(entries[0].timestamp);
+    assert.equal(entries[3].error, "not json");
+  });
+
+  it("filters by action, profile, target and failure", () => {
+    const names = (filters) =>
+      readAuditLog(filters).map((entry) => entry.target.name);
+    assert.deepEqual(names({ action: "delete-install", profile: "work" }), [
+      "acme",
+    ]);
+    assert.deepEqual(names({ target: "install-2" }), ["beta"]);
+    assert.deepEqual(names({ target: "acm", failed: true }), ["acme"]);
+  });
+
+  it("keeps the newest entries when limited", () => {
+    assert.deepEqual(
+      readAuditLog({ action: "delete-install", limit: 1 }).map(
+        (entry) => entry.profile
+      ),
+      ["client"]
+    );
+  });
+
+  it("returns nothing when there is no log yet", () => {
+    process.env.WPE_AUDIT_LOG = path.join(dir, "missing.jsonl");
+    try {
+      assert.deepEqual(readAuditLog(), []);
+    } finally {
+      process.env.WPE_AUDIT_LOG = path.join(dir, "audit.jsonl");
+    }
+  });
+});
+
+describe("withAuditContext", () => {
+  it("merges nested details over the outer ones", async () => {
+    const context = await withAuditContext(
+      { source: "cli", action: "delete-site" },
+      () =>
+        withAuditContext({ action: "delete-install" }, async () =>
+          getAuditContext()
+        )
+    );
+    assert.deepEqual(context, { source: "cli", action: "delete-install" });
+    assert.deepEqual(getAuditContext(), {});
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Checking the staging install names of a bulk action against the mock API
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockWpeApi } from "../mock-server.js";
+import { createSite, createInstall } from "../utils.js";
+import { planStagingInstalls } from "../bulk-menu.js";
+
+let api;
+let account;
+
+before(async () => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WP_ENGINE_API_USER_ID = "user";
+  process.env.WP_ENGINE_API_PASSWORD = "password";
+  api = new MockWpeApi({ provisioningMs: 0 });
+  process.env.WPE_API_BASE_URL = await api.listen(0);
+  account = api.store.accounts[0];
+  const site = await createSite(account.id, { name: "Tests" });
+  await createInstall(site.id, account.id, {
+    name: "betastg",
+    environment: "staging",
+  });
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+function siteWithProduction(name, installName) {
+  return {
+    name,
+    installs: installName
+      ? [{ name: installName, environment: "production" }]
+      : [],
+  };
+}
+
+describe("planStagingInstalls", () => {
+  it("leaves out names that are taken, repeated or invalid", async () => {
+    const { targets, clashes } = await planStagingInstalls(
+      account,
+      [
+        siteWithProduction("Zephyr", "zephyr"),
+        siteWithProduction("Beta", "beta"),
+        siteWithProduction("Ze-phyr"),
+        siteWithProduction("Digits", "9lives"),
+      ],
+      "stg"
+    );
+    assert.deepEqual(
+      targets.map(({ name }) => name),
+      ["zephyrstg"]
+    );
+    assert.deepEqual(
+      clashes.map(({ site, error }) => [site.name, error]),
+      [
+        ["Beta", 'The install name "betastg" is already taken.'],
+        [
+          "Ze-phyr",
+          'The install name "zephyrstg" is already used by another selected site.',
+        ],
+        ["Digits", "Install names must start with a letter."],
+      ]
+    );
+  });
+});
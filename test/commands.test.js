@@ -0,0 +1,137 @@
+/**
+ * runCli against the mock API, with its output captured
+ */
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockWpeApi } from "../mock-server.js";
+import { saveProfile, listProfiles } from "../config.js";
+import { appendAuditEntry } from "../audit.js";
+import { runCli, EXIT_CODES } from "../commands.js";
+
+let api;
+let output;
+
+/**
+ * Runs the CLI with the given arguments, returning its exit code and what it
+ * printed to stdout and stderr
+ */
+async function run(...argv) {
+  output = { stdout: "", stderr: "" };
+  const exitCode = await runCli(argv);
+  return { exitCode, ...output };
+}
+
+before(async () => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WP_ENGINE_API_USER_ID = "user";
+  process.env.WP_ENGINE_API_PASSWORD = "password";
+  api = new MockWpeApi({ provisioningMs: 0 });
+  process.env.WPE_API_BASE_URL = await api.listen(0);
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.method(console, "log", (text) => (output.stdout += `${text}\n`));
+  mock.method(console, "error", (text) => (output.stderr += `${text}\n`));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("installs list", () => {
+  it("lists a site's install summaries", async () => {
+    const [site] = api.store.sites;
+    const { exitCode, stdout } = await run(
+      "installs",
+      "list",
+      "--site",
+      site.id,
+      "--format",
+      "json"
+    );
+    assert.equal(exitCode, EXIT_CODES.SUCCESS);
+    const installs = JSON.parse(stdout);
+    assert.ok(installs.length);
+    assert.deepEqual(
+      installs.map((install) => install.id).sort(),
+      api.store.installs
+        .filter((install) => install.site.id === site.id)
+        .map((install) => install.id)
+        .sort()
+    );
+  });
+
+  it("rejects --page-size with a usage error", async () => {
+    const [site] = api.store.sites;
+    const { exitCode, stderr } = await run(
+      "installs",
+      "list",
+      "--site",
+      site.id,
+      "--page-size",
+      "5"
+    );
+    assert.equal(exitCode, EXIT_CODES.USAGE);
+    assert.match(stderr, /--page-size is not supported by installs list/);
+  });
+});
+
+describe("profiles", () => {
+  it("logs out of a saved profile", async () => {
+    saveProfile("client", { userId: "user", password: "password" });
+    const { exitCode } = await run("logout", "--profile", "client");
+    assert.equal(exitCode, EXIT_CODES.SUCCESS);
+    assert.ok(!listProfiles().some((profile) => profile.name === "client"));
+  });
+
+  it("treats an unknown profile as a usage error", async () => {
+    for (const argv of [
+      ["logout", "--profile", "nobody"],
+      ["profiles", "--use", "nobody"],
+    ]) {
+      const { exitCode, stderr } = await run(...argv);
+      assert.equal(exitCode, EXIT_CODES.USAGE);
+      assert.match(stderr, /No profile named "nobody"/);
+    }
+  });
+});
+
+describe("history", () => {
+  it("filters by --for-profile, not by the profile the command runs as", async () => {
+    appendAuditEntry({ action: "rename-site", profile: "work" });
+    appendAuditEntry({ action: "rename-site", profile: "client" });
+    saveProfile("client", { userId: "user", password: "password" });
+    const { exitCode, stdout } = await run(
+      "history",
+      "--action",
+      "rename-site",
+      "--for-profile",
+      "work",
+      "--profile",
+      "client",
+      "--format",
+      "json"
+    );
+    assert.equal(exitCode, EXIT_CODES.SUCCESS);
+    assert.deepEqual(
+      JSON.parse(stdout).map((entry) => entry.profile),
+      ["work"]
+    );
+  });
+});
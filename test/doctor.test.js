@@ -0,0 +1,293 @@
+/**
+ * Install health checks with stand-ins for DNS and HTTP
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkInstallHealth,
+  getOverallStatus,
+  MAX_REDIRECTS,
+} from "../doctor.js";
+
+const NOW = Date.parse("2024-05-01T00:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INSTALL = {
+  id: "install-1",
+  name: "acme",
+  status: "active",
+  cname: "acme.wpengine.com",
+  primary_domain: "www.acme.com",
+};
+
+function codedError(code) {
+  const error = new Error(`query failed ${code}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Answers from lists of CNAME and A records; other names have no records
+ */
+function createDns({ cname = {}, a = {} } = {}) {
+  const lookup = (records) => async (hostname) => {
+    if (records[hostname]) return records[hostname];
+    throw codedError("ENODATA");
+  };
+  return { resolveCname: lookup(cname), resolve4: lookup(a) };
+}
+
+/**
+ * Answers each URL with the response given for it, and records the URLs asked for
+ */
+function createHttp(responses) {
+  const requested = [];
+  return {
+    requested,
+    async request(url) {
+      requested.push(url);
+      const response =
+        typeof responses === "function" ? responses(url) : responses[url];
+      if (response instanceof Error) throw response;
+      if (!response) throw new Error(`Unexpected request for ${url}`);
+      return { location: null, certificate: null, ...response };
+    },
+  };
+}
+
+function certificateValidFor(days) {
+  return { validTo: new Date(NOW + days * DAY_MS) };
+}
+
+function healthyDns() {
+  return createDns({
+    cname: { "www.acme.com": ["acme.wpengine.com."] },
+    a: { "acme.wpengine.com": ["192.0.2.10"] },
+  });
+}
+
+function healthyHttp(overrides = {}) {
+  return createHttp({
+    "http://www.acme.com/": {
+      status: 301,
+      location: "https://www.acme.com/",
+    },
+    "https://www.acme.com/": {
+      status: 200,
+      certificate: certificateValidFor(60),
+    },
+    ...overrides,
+  });
+}
+
+function findCheck(result, name) {
+  return result.checks.find((check) => check.name === name);
+}
+
+describe("checkInstallHealth", () => {
+  it("passes a healthy install", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: healthyHttp(),
+      now: () => NOW,
+    });
+    assert.equal(result.status, "pass");
+    assert.equal(result.domain, "www.acme.com");
+    assert.deepEqual(
+      result.checks.map((check) => [check.name, check.status]),
+      [
+        ["Install status", "pass"],
+        ["CNAME", "pass"],
+        ["DNS", "pass"],
+        ["HTTPS redirect", "pass"],
+        ["TLS certificate", "pass"],
+        ["HTTPS response", "pass"],
+        ["Redirects", "pass"],
+        ["Response time", "pass"],
+      ]
+    );
+  });
+
+  it("accepts an apex domain with the same A records as the CNAME", async () => {
+    const result = await checkInstallHealth(
+      { ...INSTALL, primary_domain: "acme.com" },
+      {
+        dns: createDns({
+          a: {
+            "acme.wpengine.com": ["192.0.2.10"],
+            "acme.com": ["192.0.2.10"],
+          },
+        }),
+        http: createHttp({
+          "http://acme.com/": { status: 301, location: "https://acme.com/" },
+          "https://acme.com/": {
+            status: 200,
+            certificate: certificateValidFor(60),
+          },
+        }),
+        now: () => NOW,
+      }
+    );
+    assert.equal(findCheck(result, "DNS").status, "pass");
+    assert.equal(result.status, "pass");
+  });
+
+  it("fails a domain that points somewhere else", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: createDns({
+        cname: { "www.acme.com": ["elsewhere.example.net"] },
+        a: { "acme.wpengine.com": ["192.0.2.10"] },
+      }),
+      http: healthyHttp(),
+      now: () => NOW,
+    });
+    assert.equal(findCheck(result, "DNS").status, "fail");
+    assert.match(findCheck(result, "DNS").detail, /elsewhere\.example\.net/);
+    assert.equal(result.status, "fail");
+  });
+
+  it("warns when http:// does not redirect to HTTPS", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: healthyHttp({ "http://www.acme.com/": { status: 200 } }),
+      now: () => NOW,
+    });
+    assert.equal(findCheck(result, "HTTPS redirect").status, "warn");
+    assert.equal(result.status, "warn");
+  });
+
+  it("warns about a certificate that expires soon", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: healthyHttp({
+        "https://www.acme.com/": {
+          status: 200,
+          certificate: certificateValidFor(5),
+        },
+      }),
+      now: () => NOW,
+    });
+    const check = findCheck(result, "TLS certificate");
+    assert.equal(check.status, "warn");
+    assert.equal(check.detail, "Expires on 2024-05-06 (5 day(s))");
+  });
+
+  it("fails an expired certificate", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: healthyHttp({
+        "https://www.acme.com/": {
+          status: 200,
+          certificate: certificateValidFor(-3),
+        },
+      }),
+      now: () => NOW,
+    });
+    const check = findCheck(result, "TLS certificate");
+    assert.equal(check.status, "fail");
+    assert.equal(check.detail, "Expired on 2024-04-28");
+  });
+
+  it("fails a certificate the client rejects", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: healthyHttp({
+        "https://www.acme.com/": codedError("CERT_HAS_EXPIRED"),
+      }),
+      now: () => NOW,
+    });
+    assert.equal(findCheck(result, "TLS certificate").status, "fail");
+    assert.equal(findCheck(result, "HTTPS response").status, "fail");
+  });
+
+  it("follows redirects and reports the chain", async () => {
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: healthyHttp({
+        "https://www.acme.com/": {
+          status: 301,
+          location: "/home/",
+          certificate: certificateValidFor(60),
+        },
+        "https://www.acme.com/home/": { status: 200 },
+      }),
+      now: () => NOW,
+    });
+    const check = findCheck(result, "Redirects");
+    assert.equal(check.status, "pass");
+    assert.equal(
+      check.detail,
+      "1 redirect(s): https://www.acme.com/ → https://www.acme.com/home/"
+    );
+  });
+
+  it(`stops after ${MAX_REDIRECTS} redirects`, async () => {
+    const http = createHttp((url) => {
+      if (url.startsWith("http:")) {
+        return { status: 301, location: "https://www.acme.com/" };
+      }
+      const hop = Number(new URL(url).searchParams.get("hop") || 0);
+      return {
+        status: 302,
+        location: `https://www.acme.com/?hop=${hop + 1}`,
+        certificate: certificateValidFor(60),
+      };
+    });
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http,
+      now: () => NOW,
+    });
+    const check = findCheck(result, "HTTPS response");
+    assert.equal(check.status, "fail");
+    assert.equal(check.detail, `More than ${MAX_REDIRECTS} redirects`);
+    // The http:// check, then the first request and each redirect followed
+    assert.equal(http.requested.length, 1 + MAX_REDIRECTS + 1);
+  });
+
+  it("grades the response time", async () => {
+    let time = NOW;
+    const http = healthyHttp();
+    const slowHttp = {
+      async request(url) {
+        time += 1500;
+        return http.request(url);
+      },
+    };
+    const result = await checkInstallHealth(INSTALL, {
+      dns: healthyDns(),
+      http: slowHttp,
+      now: () => time,
+    });
+    assert.deepEqual(findCheck(result, "Response time"), {
+      name: "Response time",
+      status: "warn",
+      detail: "1500 ms",
+    });
+  });
+
+  it("fails an install with no domain without any requests", async () => {
+    const http = healthyHttp();
+    const result = await checkInstallHealth(
+      { ...INSTALL, cname: null, primary_domain: null },
+      { dns: createDns(), http, now: () => NOW }
+    );
+    assert.equal(result.status, "fail");
+    assert.equal(findCheck(result, "DNS").detail, "The install has no domain");
+    assert.deepEqual(http.requested, []);
+  });
+});
+
+describe("getOverallStatus", () => {
+  it("returns the most serious status", () => {
+    assert.equal(getOverallStatus([]), "pass");
+    assert.equal(
+      getOverallStatus([{ status: "pass" }, { status: "warn" }]),
+      "warn"
+    );
+    assert.equal(
+      getOverallStatus([{ status: "fail" }, { status: "warn" }]),
+      "fail"
+    );
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * formatOutput in each output format
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatOutput, pickFields, formatDuration } from "../format.js";
+
+const SITES = [
+  {
+    id: "site-1",
+    name: "Acme",
+    account: { id: "account-1" },
+    installs: [{ id: "install-1", name: "acme" }, { name: "acmestg" }],
+  },
+];
+
+function toCsv(records, options) {
+  return formatOutput(records, { format: "csv", ...options });
+}
+
+describe("formatOutput as CSV", () => {
+  it("quotes cells with commas, quotes and line breaks", () => {
+    assert.equal(
+      toCsv([{ name: 'Acme, "Inc"', note: "two\nlines" }]),
+      'name,note\n"Acme, ""Inc""","two\nlines"'
+    );
+  });
+
+  it("reads dotted fields and shows lists of records by name", () => {
+    assert.equal(
+      toCsv(SITES, { fields: ["name", "account.id", "installs"] }),
+      'name,account.id,installs\nAcme,account-1,"acme, acmestg"'
+    );
+  });
+
+  it("uses the default fields when none were chosen", () => {
+    assert.equal(
+      toCsv(SITES, { defaultFields: ["id", "name"] }),
+      "id,name\nsite-1,Acme"
+    );
+  });
+
+  it("prefixes text a spreadsheet would run as a formula", () => {
+    assert.equal(
+      toCsv([
+        { name: '=HYPERLINK("http://example.com")' },
+        { name: "+1" },
+        { name: "-2" },
+        { name: "@SUM(A1)" },
+        { name: "acme" },
+      ]),
+      [
+        "name",
+        '"\'=HYPERLINK(""http://example.com"")"',
+        "'+1",
+        "'-2",
+        "'@SUM(A1)",
+        "acme",
+      ].join("\n")
+    );
+  });
+
+  it("leaves numbers alone", () => {
+    assert.equal(toCsv([{ change: -5, total: 10 }]), "change,total\n-5,10");
+  });
+});
+
+describe("formatOutput as JSON and YAML", () => {
+  it("keeps every field unless some were chosen", () => {
+    assert.deepEqual(
+      JSON.parse(formatOutput(SITES, { format: "json" })),
+      SITES
+    );
+    assert.deepEqual(
+      JSON.parse(
+        formatOutput(SITES[0], { format: "json", fields: ["name", "group"] })
+      ),
+      { name: "Acme", group: null }
+    );
+  });
+
+  it("writes YAML", () => {
+    assert.equal(
+      formatOutput(SITES, { format: "yaml", fields: ["id", "account.id"] }),
+      "- id: site-1\n  account.id: account-1"
+    );
+  });
+});
+
+describe("pickFields", () => {
+  it("keeps the chosen fields in order", () => {
+    assert.deepEqual(pickFields(SITES[0], ["account.id", "id"]), {
+      "account.id": "account-1",
+      id: "site-1",
+    });
+  });
+});
+
+describe("formatDuration", () => {
+  it("shows seconds, then minutes and padded seconds", () => {
+    assert.equal(formatDuration(45900), "45s");
+    assert.equal(formatDuration(125000), "2m 05s");
+  });
+});
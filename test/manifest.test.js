@@ -0,0 +1,163 @@
+/**
+ * planManifest and applyPlan against a stand-in fleet
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { WpeApiClient } from "../api-client.js";
+import { setApiClient } from "../utils.js";
+import { planManifest, applyPlan } from "../manifest.js";
+
+const BASE_URL = "https://api.example.com/v1";
+
+const SITES = [
+  {
+    id: "site-1",
+    name: "Acme",
+    account: { id: "account-1" },
+    installs: [
+      { id: "install-1", name: "acme", environment: "production" },
+      { id: "install-2", name: "acmeold", environment: "staging" },
+    ],
+  },
+  {
+    id: "site-2",
+    name: "Old",
+    account: { id: "account-1" },
+    installs: [{ id: "install-3", name: "old", environment: "production" }],
+  },
+];
+
+/**
+ * Answers the requests the manifest helpers make from SITES, records every
+ * request and fails the ones listed in `failing` ("POST /sites" and the like)
+ */
+function createFleet({ failing = [] } = {}) {
+  const requests = [];
+  const installs = SITES.flatMap((site) => site.installs);
+  const fetch = async (url, { method, body }) => {
+    const pathname = new URL(url).pathname.slice("/v1".length);
+    const request = `${method} ${pathname}`;
+    requests.push({ request, body: body && JSON.parse(body) });
+    const [, collection, id] = pathname.split("/");
+    const records = collection === "sites" ? SITES : installs;
+
+    if (failing.includes(request)) {
+      return Response.json({ message: "Not today" }, { status: 400 });
+    }
+    if (method === "GET" && !id) {
+      return Response.json({ results: records, next: null });
+    }
+    if (method === "GET") {
+      return Response.json(records.find((record) => record.id === id));
+    }
+    if (method === "POST") {
+      return Response.json(
+        { id: `new-${JSON.parse(body).name}`, ...JSON.parse(body) },
+        { status: 201 }
+      );
+    }
+    return new Response(null, { status: 204 });
+  };
+  return { requests, fetch };
+}
+
+function useFleet(options) {
+  const fleet = createFleet(options);
+  setApiClient(
+    new WpeApiClient({
+      baseUrl: BASE_URL,
+      getAuthHeader: () => "Basic dXNlcjpwYXNzd29yZA==",
+      fetch: fleet.fetch,
+      sleep: async () => {},
+    })
+  );
+  return fleet;
+}
+
+const MANIFEST = {
+  accounts: [
+    {
+      id: "account-1",
+      sites: [
+        { name: "Acme", installs: { production: "acme", staging: "acmestg" } },
+        { name: "New", installs: { production: "new" } },
+      ],
+    },
+  ],
+};
+
+function withPrune(prune) {
+  return {
+    accounts: MANIFEST.accounts.map((account) => ({ ...account, prune })),
+  };
+}
+
+function describeActions(actions) {
+  return actions.map(
+    (action) => `${action.action} ${action.install || action.site}`
+  );
+}
+
+before(() => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+});
+
+after(() => {
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+describe("planManifest", () => {
+  it("only adds what is missing unless the account prunes", async () => {
+    useFleet();
+    assert.deepEqual(describeActions(await planManifest(withPrune(false))), [
+      "create-site New",
+      "create-install new",
+    ]);
+  });
+
+  it("runs deletes before creates when the account prunes", async () => {
+    useFleet();
+    assert.deepEqual(describeActions(await planManifest(withPrune(true))), [
+      "delete-install acmeold",
+      "delete-site Old",
+      "create-site New",
+      "create-install acmestg",
+      "create-install new",
+    ]);
+  });
+});
+
+describe("applyPlan", () => {
+  it("creates installs on the sites the plan created", async () => {
+    const { requests } = useFleet();
+    const results = await applyPlan(await planManifest(withPrune(false)));
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["done", "done"]
+    );
+    const createInstall = requests.find(
+      ({ request }) => request === "POST /installs"
+    );
+    assert.equal(createInstall.body.site_id, "new-New");
+  });
+
+  it("skips every action after the first failure", async () => {
+    const { requests } = useFleet({ failing: ["POST /sites"] });
+    const results = await applyPlan(await planManifest(withPrune(true)));
+    assert.deepEqual(
+      results.map((result) => `${result.action} ${result.status}`),
+      [
+        "delete-install done",
+        "delete-site done",
+        "create-site failed",
+        "create-install skipped",
+        "create-install skipped",
+      ]
+    );
+    assert.match(results[2].error, /Not today/);
+    assert.ok(!requests.some(({ request }) => request === "POST /installs"));
+  });
+});
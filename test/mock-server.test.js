@@ -0,0 +1,131 @@
+/**
+ * The API helpers against the mock API
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockWpeApi } from "../mock-server.js";
+import { readAuditLog } from "../audit.js";
+import {
+  fetchInstalls,
+  fetchInstallsByAccount,
+  fetchInstall,
+  createSite,
+  createInstall,
+  deleteInstall,
+  fetchAccountUsers,
+  inviteAccountUser,
+  updateAccountUser,
+  removeAccountUser,
+} from "../utils.js";
+
+let api;
+let site;
+
+before(async () => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WP_ENGINE_API_USER_ID = "user";
+  process.env.WP_ENGINE_API_PASSWORD = "password";
+  api = new MockWpeApi({ provisioningMs: 0, rateLimitEvery: 7 });
+  // Read when the helpers first create their client
+  process.env.WPE_API_BASE_URL = await api.listen(0);
+  // A site of its own, so the tests can add any environment to it
+  site = await createSite(api.store.accounts[0].id, { name: "Tests" });
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+describe("install helpers", () => {
+  it("lists every install across pages, retrying rate-limited pages", async () => {
+    const installs = await fetchInstalls();
+    assert.ok(installs.length > 100);
+    assert.equal(installs.length, api.store.installs.length);
+  });
+
+  it("lists the installs of one account", async () => {
+    const installs = await fetchInstallsByAccount(site.account.id);
+    assert.ok(installs.length);
+    assert.ok(
+      installs.every((install) => install.accountId === site.account.id)
+    );
+  });
+
+  it("creates an install and deletes it again", async () => {
+    const created = await createInstall(site.id, site.account.id, {
+      name: "testinstall",
+      environment: "development",
+    });
+    assert.equal(created.name, "testinstall");
+    assert.equal((await fetchInstall(created.id)).name, "testinstall");
+
+    await deleteInstall(created.id);
+    await assert.rejects(fetchInstall(created.id), { status: 404 });
+  });
+
+  it("records the install's ID and name in the audit log", async () => {
+    const created = await createInstall(site.id, site.account.id, {
+      name: "auditedinstall",
+      environment: "staging",
+    });
+    await deleteInstall(created.id);
+
+    const [create, remove] = readAuditLog({ target: created.id });
+    assert.equal(create.action, "create-install");
+    assert.deepEqual(
+      [create.target.id, create.target.name],
+      [created.id, "auditedinstall"]
+    );
+    assert.equal(remove.action, "delete-install");
+    assert.deepEqual(
+      [remove.target.id, remove.target.name],
+      [created.id, "auditedinstall"]
+    );
+  });
+
+  it("rejects a reserved install name with a 409", async () => {
+    await assert.rejects(
+      createInstall(site.id, site.account.id, {
+        name: "wordpress",
+        environment: "production",
+      }),
+      { status: 409 }
+    );
+  });
+});
+
+describe("account user helpers", () => {
+  it("invites a user, changes their role and removes them", async () => {
+    const accountId = site.account.id;
+    const invited = await inviteAccountUser(accountId, {
+      first_name: "Dana",
+      last_name: "Tester",
+      email: "dana@example.com",
+      roles: "full",
+    });
+    assert.equal(invited.invite_accepted, false);
+
+    const updated = await updateAccountUser(accountId, invited.user_id, {
+      roles: "full,billing",
+    });
+    assert.equal(updated.roles, "full,billing");
+
+    await removeAccountUser(accountId, invited.user_id);
+    const users = await fetchAccountUsers(accountId);
+    assert.ok(!users.some((user) => user.user_id === invited.user_id));
+  });
+
+  it("refuses to remove an account's last owner", async () => {
+    const accountId = site.account.id;
+    const owner = (await fetchAccountUsers(accountId)).find(
+      (user) => user.last_owner
+    );
+    await assert.rejects(removeAccountUser(accountId, owner.user_id), {
+      status: 400,
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * The policy rules, and the delete helpers enforcing them against the mock API
+ */
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockWpeApi } from "../mock-server.js";
+import {
+  createSite,
+  createInstall,
+  fetchInstall,
+  deleteInstall,
+  deleteSite,
+  setDryRun,
+} from "../utils.js";
+import {
+  isInMaintenanceWindow,
+  getProtection,
+  evaluateDelete,
+  recordDryRun,
+  PolicyViolationError,
+} from "../policy.js";
+import { withAuditContext } from "../audit.js";
+
+let api;
+let account;
+
+before(async () => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WP_ENGINE_API_USER_ID = "user";
+  process.env.WP_ENGINE_API_PASSWORD = "password";
+  api = new MockWpeApi({ provisioningMs: 0 });
+  process.env.WPE_API_BASE_URL = await api.listen(0);
+  account = api.store.accounts[0];
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(path.join(process.env.WPE_CLI_HOME, "policy.json"), {
+    force: true,
+  });
+});
+
+function writePolicy(policy) {
+  fs.writeFileSync(
+    path.join(process.env.WPE_CLI_HOME, "policy.json"),
+    JSON.stringify(policy)
+  );
+}
+
+describe("isInMaintenanceWindow", () => {
+  // 2026-10-17 is a Saturday
+  const weekendNights = {
+    maintenanceWindows: [
+      { days: ["sat"], start: "22:00", end: "06:00", timezone: "UTC" },
+    ],
+  };
+
+  it("runs a window that ends before it starts into the next morning", () => {
+    assert.ok(
+      isInMaintenanceWindow(weekendNights, new Date("2026-10-17T23:30:00Z"))
+    );
+    assert.ok(
+      isInMaintenanceWindow(weekendNights, new Date("2026-10-18T05:59:00Z"))
+    );
+  });
+
+  it("excludes the rest of the day and the morning before", () => {
+    assert.ok(
+      !isInMaintenanceWindow(weekendNights, new Date("2026-10-18T06:00:00Z"))
+    );
+    assert.ok(
+      !isInMaintenanceWindow(weekendNights, new Date("2026-10-17T05:00:00Z"))
+    );
+    assert.ok(
+      !isInMaintenanceWindow(weekendNights, new Date("2026-10-17T21:59:00Z"))
+    );
+  });
+
+  it("allows any time when the policy has no windows", () => {
+    assert.ok(isInMaintenanceWindow({}));
+  });
+});
+
+describe("getProtection", () => {
+  it("lets block win over confirm", () => {
+    const policy = {
+      protected: [
+        { environment: "production", action: "confirm" },
+        { install: "acme", action: "block" },
+      ],
+    };
+    assert.equal(
+      getProtection(policy, { name: "acme", environment: "production" }),
+      "block"
+    );
+    assert.equal(
+      getProtection(policy, { name: "beta", environment: "production" }),
+      "confirm"
+    );
+    assert.equal(
+      getProtection(policy, { name: "acmestg", environment: "staging" }),
+      null
+    );
+  });
+});
+
+describe("requireDryRun", () => {
+  const policy = { requireDryRun: true, dryRunValidMinutes: 30 };
+  const request = {
+    action: "delete-install",
+    target: { id: "install-dry", name: "acmedry" },
+    installs: [],
+  };
+
+  it("only counts a dry run for dryRunValidMinutes", () => {
+    const triedAt = new Date("2026-10-17T10:00:00Z");
+    assert.equal(
+      evaluateDelete(policy, { ...request, now: triedAt }).violations.length,
+      1
+    );
+    recordDryRun("delete-install", "install-dry", triedAt);
+    assert.deepEqual(
+      evaluateDelete(policy, {
+        ...request,
+        now: new Date("2026-10-17T10:30:00Z"),
+      }).violations,
+      []
+    );
+    assert.match(
+      evaluateDelete(policy, {
+        ...request,
+        now: new Date("2026-10-17T10:31:00Z"),
+      }).violations[0],
+      /requires a dry run first/
+    );
+  });
+});
+
+describe("delete helpers with a policy file", () => {
+  let site;
+  let install;
+
+  before(async () => {
+    site = await createSite(account.id, { name: "Policy tests" });
+    install = await createInstall(site.id, account.id, {
+      name: "policyprod",
+      environment: "production",
+    });
+  });
+
+  it("refuses to delete a blocked install", async () => {
+    writePolicy({ protected: [{ install: "policyprod", action: "block" }] });
+    await assert.rejects(deleteInstall(install.id), PolicyViolationError);
+    await assert.rejects(
+      deleteSite(site.id, { cascade: true }),
+      PolicyViolationError
+    );
+    assert.equal((await fetchInstall(install.id)).name, "policyprod");
+  });
+
+  it("needs a reason to delete a confirm-protected install", async () => {
+    writePolicy({
+      protected: [{ environment: "production", action: "confirm" }],
+    });
+    await assert.rejects(deleteInstall(install.id), /Give a reason/);
+    await withAuditContext({ reason: "Replaced by a new install" }, () =>
+      deleteInstall(install.id)
+    );
+    await assert.rejects(fetchInstall(install.id), { status: 404 });
+  });
+
+  it("allows a delete once it has been tried with --dry-run", async () => {
+    const other = await createInstall(site.id, account.id, {
+      name: "policystg",
+      environment: "staging",
+    });
+    writePolicy({ requireDryRun: true });
+    await assert.rejects(deleteInstall(other.id), /requires a dry run first/);
+    setDryRun(true);
+    await deleteInstall(other.id);
+    setDryRun(false);
+    await deleteInstall(other.id);
+    await assert.rejects(fetchInstall(other.id), { status: 404 });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Recipe files run against the mock API: conditions, step outputs and errors
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import YAML from "yaml";
+import { MockWpeApi } from "../mock-server.js";
+import { fetchSite } from "../utils.js";
+import {
+  loadRecipe,
+  resolveParams,
+  runRecipe,
+  interpolate,
+  RecipeError,
+} from "../recipe.js";
+
+let api;
+let account;
+
+before(async () => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WP_ENGINE_API_USER_ID = "user";
+  process.env.WP_ENGINE_API_PASSWORD = "password";
+  api = new MockWpeApi({ provisioningMs: 0 });
+  process.env.WPE_API_BASE_URL = await api.listen(0);
+  account = api.store.accounts[0];
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+function saveRecipe(name, recipe) {
+  const filePath = path.join(process.env.WPE_CLI_HOME, `${name}.yaml`);
+  fs.writeFileSync(filePath, YAML.stringify(recipe));
+  return loadRecipe(filePath);
+}
+
+async function run(recipe, given) {
+  return runRecipe(recipe, {
+    params: resolveParams(recipe, given),
+    account,
+  });
+}
+
+function statuses(results) {
+  return results.map((result) => `${result.step} ${result.status}`);
+}
+
+const NEW_SITE = {
+  params: {
+    client: { description: "Site name" },
+    install: {},
+    staging: { default: false },
+  },
+  steps: [
+    { id: "site", action: "sites.create", with: { name: "${params.client}" } },
+    {
+      id: "production",
+      action: "installs.create",
+      with: {
+        site: "${steps.site.id}",
+        name: "${params.install}",
+        environment: "production",
+      },
+    },
+    {
+      id: "staging",
+      action: "installs.create",
+      if: "${params.staging}",
+      with: {
+        site: "${steps.site.id}",
+        name: "${params.install}stg",
+        environment: "staging",
+      },
+    },
+    {
+      id: "label",
+      action: "sites.rename",
+      unless: "${params.staging}",
+      with: { site: "${steps.site.id}", name: "${params.client} (live only)" },
+    },
+  ],
+};
+
+describe("runRecipe conditions", () => {
+  it("skips a step whose if is false and runs one whose unless is false", async () => {
+    const recipe = saveRecipe("new-site", NEW_SITE);
+    const results = await run(recipe, {
+      client: "Recipe one",
+      install: "recipeone",
+    });
+    assert.deepEqual(statuses(results), [
+      "site (sites.create) done",
+      "production (installs.create) done",
+      "staging (installs.create) skipped",
+      "label (sites.rename) done",
+    ]);
+    const site = await fetchSite(results[0].output.id);
+    assert.equal(site.name, "Recipe one (live only)");
+    assert.deepEqual(
+      site.installs.map((install) => install.name),
+      ["recipeone"]
+    );
+  });
+
+  it("runs a step whose if is true and skips one whose unless is true", async () => {
+    const results = await run(saveRecipe("new-site", NEW_SITE), {
+      client: "Recipe two",
+      install: "recipetwo",
+      staging: "yes",
+    });
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["done", "done", "done", "skipped"]
+    );
+  });
+});
+
+describe("runRecipe errors", () => {
+  it("stops at a failed step unless it has onError: continue", async () => {
+    const recipe = saveRecipe("errors", {
+      steps: [
+        { id: "site", action: "sites.create", with: { name: "Recipe three" } },
+        {
+          id: "taken",
+          action: "installs.create",
+          onError: "continue",
+          with: {
+            site: "${steps.site.id}",
+            name: "wordpress",
+            environment: "production",
+          },
+        },
+        {
+          action: "sites.rename",
+          if: "${errors.taken}",
+          with: { site: "${steps.site.id}", name: "Recipe three (no install)" },
+        },
+        {
+          id: "missing",
+          action: "installs.get",
+          with: { install: "no-such-install" },
+        },
+        {
+          action: "sites.rename",
+          with: { site: "${steps.site.id}", name: "Never renamed" },
+        },
+      ],
+    });
+    const results = await run(recipe, {});
+    assert.deepEqual(
+      results.map((result) => result.status),
+      ["done", "failed", "done", "failed", "not run"]
+    );
+    assert.match(results[1].error, /already taken/);
+    const site = await fetchSite(results[0].output.id);
+    assert.equal(site.name, "Recipe three (no install)");
+  });
+
+  it("refuses an install name the account already uses before creating it", async () => {
+    const existing = api.store.installs.find(
+      (install) => install.account.id === account.id
+    );
+    const site = api.store.sites.find(
+      (candidate) => candidate.account.id === account.id
+    );
+    const before = api.store.installs.length;
+    const recipe = saveRecipe("taken", {
+      steps: [
+        {
+          action: "installs.create",
+          with: {
+            site: site.id,
+            name: existing.name,
+            environment: "development",
+          },
+        },
+      ],
+    });
+    const [result] = await run(recipe, {});
+    assert.equal(result.status, "failed");
+    assert.match(result.error, /^name: The install name .* is already taken/);
+    assert.equal(api.store.installs.length, before);
+  });
+});
+
+describe("parameters and references", () => {
+  it("requires parameters without a default", () => {
+    assert.throws(
+      () => resolveParams(saveRecipe("new-site", NEW_SITE), { client: "Acme" }),
+      (error) =>
+        error instanceof RecipeError &&
+        /Missing parameter "install"/.test(error.message)
+    );
+  });
+
+  it("keeps a single reference's value and fills in the rest as text", () => {
+    const scope = { params: { tags: ["a", "b"], client: "Acme" }, steps: {} };
+    assert.deepEqual(interpolate("${params.tags}", scope), ["a", "b"]);
+    assert.equal(interpolate("${params.client} Corp", scope), "Acme Corp");
+    assert.throws(() => interpolate("${steps.site.id}", scope), /has no value/);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * The fleet report against the mock API, and its HTML page
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockWpeApi } from "../mock-server.js";
+import { createSite, createInstall } from "../utils.js";
+import {
+  buildFleetReport,
+  summarizeReport,
+  formatHtmlReport,
+  compareVersions,
+} from "../report.js";
+
+let api;
+let account;
+
+before(async () => {
+  process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+  process.env.WP_ENGINE_API_USER_ID = "user";
+  process.env.WP_ENGINE_API_PASSWORD = "password";
+  api = new MockWpeApi({ provisioningMs: 0 });
+  process.env.WPE_API_BASE_URL = await api.listen(0);
+  account = api.store.accounts[0];
+});
+
+after(async () => {
+  await api.close();
+  fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+});
+
+describe("buildFleetReport", () => {
+  it("has a row per install, and one for each site without installs", async () => {
+    const rows = await buildFleetReport();
+    const { sites, installs } = api.store;
+    const emptySites = sites.filter(
+      (site) => !installs.some((install) => install.site.id === site.id)
+    );
+    assert.equal(rows.length, installs.length + emptySites.length);
+    const summary = summarizeReport(rows);
+    assert.equal(summary.sites, sites.length);
+    assert.equal(summary.installs, installs.length);
+  });
+
+  it("flags a site with no production install", async () => {
+    const site = await createSite(account.id, { name: "Report <test>" });
+    await createInstall(site.id, account.id, {
+      name: "reportstg",
+      environment: "staging",
+    });
+    const rows = await buildFleetReport({ accountId: account.id });
+    const row = rows.find((candidate) => candidate.siteId === site.id);
+    assert.equal(row.install, "reportstg");
+    assert.ok(row.anomalies.includes("no-production"));
+    assert.ok(rows.every((candidate) => candidate.accountId === account.id));
+
+    const html = formatHtmlReport(rows);
+    assert.match(html, /Report &lt;test&gt;/);
+    assert.doesNotMatch(html, /Report <test>/);
+  });
+});
+
+describe("compareVersions", () => {
+  it("compares each part as a number", () => {
+    assert.ok(compareVersions("8.0", "8.2") < 0);
+    assert.ok(compareVersions("8.10", "8.2") > 0);
+    assert.equal(compareVersions("8.2", "8.2.0"), 0);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * createMenu driven by keypress events, with its output silenced
+ */
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { createMenu, createMultiSelectMenu, MENU_REFRESH } from "../ui.js";
+
+const OPTIONS = ["acme-production", "beta-staging", "acme-staging"];
+
+/**
+ * Emits a keypress for each key: a string is typed as is, an object is a
+ * named key such as { name: "return" }
+ */
+function press(...keys) {
+  for (const key of keys) {
+    if (typeof key === "string") {
+      for (const char of key) {
+        process.stdin.emit("keypress", char, { name: char });
+      }
+    } else {
+      process.stdin.emit("keypress", undefined, key);
+    }
+  }
+}
+
+const ENTER = { name: "return" };
+const ESCAPE = { name: "escape" };
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(process.stdout, "write", () => true);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  process.stdin.removeAllListeners("keypress");
+});
+
+describe("createMenu", () => {
+  it("selects with the arrow keys", async () => {
+    const selection = createMenu("Sites", OPTIONS);
+    press({ name: "down" }, { name: "down" }, ENTER);
+    assert.equal(await selection, 2);
+  });
+
+  it("filters by fuzzy match and returns the original index", async () => {
+    const selection = createMenu("Sites", OPTIONS);
+    press("bst", ENTER);
+    assert.equal(await selection, 1);
+  });
+
+  it("ranks matches at the start of a word first", async () => {
+    const selection = createMenu("Sites", OPTIONS);
+    press("as", ENTER);
+    assert.equal(await selection, 2);
+  });
+
+  it("clears the filter on the first Escape and goes back on the next", async () => {
+    const selection = createMenu("Sites", OPTIONS);
+    press("zzz", ENTER, ESCAPE, ESCAPE);
+    assert.equal(await selection, -1);
+  });
+});
+
+describe("createMenu with refreshable", () => {
+  it("refreshes on r while the filter is empty", async () => {
+    const selection = createMenu("Sites", OPTIONS, false, {
+      refreshable: true,
+    });
+    press("r");
+    assert.equal(await selection, MENU_REFRESH);
+  });
+
+  it("types r into a filter that has already started", async () => {
+    const selection = createMenu("Sites", OPTIONS, false, {
+      refreshable: true,
+    });
+    press("apr", ENTER);
+    assert.equal(await selection, 0);
+  });
+
+  it("refreshes on Ctrl+R while filtering", async () => {
+    const selection = createMenu("Sites", OPTIONS, false, {
+      refreshable: true,
+    });
+    press("a", { name: "r", ctrl: true });
+    assert.equal(await selection, MENU_REFRESH);
+  });
+});
+
+describe("createMultiSelectMenu", () => {
+  it("ticks everything on a while the filter is empty", async () => {
+    const selection = createMultiSelectMenu("Sites", OPTIONS);
+    press("a", ENTER);
+    assert.deepEqual(await selection, [0, 1, 2]);
+  });
+
+  it("types a into a filter that has already started", async () => {
+    const selection = createMultiSelectMenu("Sites", OPTIONS);
+    press("st", "a", ENTER);
+    assert.deepEqual(await selection, [1]);
+  });
+
+  it("ticks everything the filter shows on Ctrl+A", async () => {
+    const selection = createMultiSelectMenu("Sites", OPTIONS);
+    press("st", { name: "a", ctrl: true }, ENTER);
+    assert.deepEqual(await selection, [1, 2]);
+  });
+
+  it("toggles the highlighted option on Space", async () => {
+    const selection = createMultiSelectMenu("Sites", OPTIONS);
+    press({ name: "space" }, { name: "down" }, { name: "down" });
+    press({ name: "space" }, ENTER);
+    assert.deepEqual(await selection, [0, 2]);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Usage totals, thresholds and charts, and the report against the mock API
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { MockWpeApi } from "../mock-server.js";
+import {
+  summarizeUsage,
+  buildUsageReport,
+  getRecentDateRange,
+  sparkline,
+  formatBytes,
+  flattenUsageSeries,
+} from "../usage.js";
+
+const USAGE = {
+  install_name: "acme",
+  install_id: "install-1",
+  environment: "production",
+  metrics: [
+    {
+      date: "2026-10-01",
+      visit_count: 10,
+      network_total_bytes: 100,
+      storage_file_bytes: 500,
+      storage_database_bytes: 50,
+    },
+    {
+      date: "2026-10-02",
+      visit_count: 30,
+      network_total_bytes: 300,
+      storage_file_bytes: 600,
+      storage_database_bytes: 60,
+    },
+  ],
+};
+
+describe("summarizeUsage", () => {
+  it("adds up visits and bandwidth but takes the latest storage", () => {
+    const summary = summarizeUsage(USAGE);
+    assert.deepEqual(summary.totals, {
+      visits: 40,
+      bandwidth: 400,
+      storage: 660,
+    });
+    assert.deepEqual(summary.series.visits, [10, 30]);
+    assert.deepEqual(summary.over, []);
+  });
+
+  it("lists the metrics over their threshold", () => {
+    const summary = summarizeUsage(USAGE, {
+      visits: 40,
+      bandwidth: 399,
+      storage: null,
+    });
+    assert.deepEqual(summary.over, ["bandwidth"]);
+  });
+
+  it("flattens to one row per day", () => {
+    assert.deepEqual(flattenUsageSeries([summarizeUsage(USAGE)])[1], {
+      install: "acme",
+      environment: "production",
+      date: "2026-10-02",
+      visits: 30,
+      bandwidth_bytes: 300,
+      storage_bytes: 660,
+    });
+  });
+});
+
+describe("charts and sizes", () => {
+  it("draws a sparkline from the lowest to the highest value", () => {
+    assert.equal(sparkline([0, 7, 14]), "▁▅█");
+    assert.equal(sparkline([0, 0]), "▁▁");
+  });
+
+  it("formats bytes in the largest whole unit", () => {
+    assert.equal(formatBytes(512), "512 B");
+    assert.equal(formatBytes(1.5 * 1024 ** 3), "1.5 GB");
+  });
+
+  it("ends the recent range today", () => {
+    assert.deepEqual(getRecentDateRange(7, new Date("2026-10-19T12:00:00Z")), {
+      firstDate: "2026-10-13",
+      lastDate: "2026-10-19",
+    });
+  });
+});
+
+describe("buildUsageReport", () => {
+  let api;
+
+  before(async () => {
+    process.env.WPE_CLI_HOME = fs.mkdtempSync(path.join(os.tmpdir(), "wpe-"));
+    process.env.WP_ENGINE_API_USER_ID = "user";
+    process.env.WP_ENGINE_API_PASSWORD = "password";
+    api = new MockWpeApi({ provisioningMs: 0 });
+    process.env.WPE_API_BASE_URL = await api.listen(0);
+  });
+
+  after(async () => {
+    await api.close();
+    fs.rmSync(process.env.WPE_CLI_HOME, { recursive: true, force: true });
+  });
+
+  it("puts installs over a threshold first, then the busiest", async () => {
+    const account = api.store.accounts[0];
+    const summaries = await buildUsageReport({
+      accountId: account.id,
+      ...getRecentDateRange(7),
+      thresholds: { storage: 0 },
+    });
+    assert.equal(
+      summaries.length,
+      api.store.installs.filter((install) => install.account.id === account.id)
+        .length
+    );
+    assert.ok(summaries.every((summary) => summary.dates.length === 7));
+    const overCount = summaries.filter((summary) => summary.over.length).length;
+    const rest = summaries.slice(overCount);
+    assert.ok(rest.every((summary) => !summary.over.length));
+    rest
+      .slice(1)
+      .forEach((summary, index) =>
+        assert.ok(summary.totals.visits <= rest[index].totals.visits)
+      );
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * The API helpers in utils.js against a stand-in API
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { WpeApiClient } from "../api-client.js";
+import {
+  setApiClient,
+  waitForInstall,
+  WaitError,
+  copyEnvironment,
+  setDryRun,
+  recordDryRunCopyToNewInstall,
+  takeDryRunRequests,
+} from "../utils.js";
+
+/**
+ * Points the helpers at a stand-in API that answers every request with
+ * respond(pathname)
+ */
+function useApi(respond) {
+  setApiClient(
+    new WpeApiClient({
+      baseUrl: "https://api.example.com/v1",
+      getAuthHeader: () => "Basic dXNlcjpwYXNzd29yZA==",
+      fetch: async (url) => Response.json(respond(new URL(url).pathname)),
+      sleep: async () => {},
+    })
+  );
+}
+
+/**
+ * Reports the given install statuses in turn, repeating the last one
+ */
+function useInstallStatuses(...statuses) {
+  useApi(() => ({
+    id: "install-1",
+    name: "acme",
+    status: statuses.length > 1 ? statuses.shift() : statuses[0],
+  }));
+}
+
+describe("waitForInstall", () => {
+  it("polls until the install is active", async () => {
+    useInstallStatuses("pending", "provisioning", "active");
+    const seen = [];
+    const install = await waitForInstall("install-1", {
+      intervalMs: 1,
+      onPoll: (polled) => seen.push(polled.status),
+    });
+    assert.equal(install.status, "active");
+    assert.deepEqual(seen, ["pending", "provisioning", "active"]);
+  });
+
+  it("throws when the install fails to provision", async () => {
+    useInstallStatuses("pending", "failed");
+    await assert.rejects(
+      waitForInstall("install-1", { intervalMs: 1 }),
+      (error) => {
+        assert.ok(error instanceof WaitError);
+        assert.equal(error.status, "failed");
+        assert.match(error.message, /Install "acme" failed/);
+        return true;
+      }
+    );
+  });
+
+  it("throws once the timeout passes", async () => {
+    useInstallStatuses("pending");
+    await assert.rejects(
+      waitForInstall("install-1", { intervalMs: 1, timeoutMs: 20 }),
+      (error) => {
+        assert.ok(error.elapsedMs >= 20);
+        assert.match(error.message, /still pending/);
+        return true;
+      }
+    );
+  });
+
+  it("returns null when aborted", async () => {
+    useInstallStatuses("pending");
+    const controller = new AbortController();
+    const install = await waitForInstall("install-1", {
+      intervalMs: 60000,
+      signal: controller.signal,
+      onPoll: () => setTimeout(() => controller.abort(), 10),
+    });
+    assert.equal(install, null);
+  });
+});
+
+describe("copyEnvironment", () => {
+  it("only copies between installs of the same site", async () => {
+    useApi((pathname) => {
+      const id = pathname.split("/").pop();
+      return { id, name: id, site: { id: `site-of-${id}` } };
+    });
+    await assert.rejects(
+      copyEnvironment({
+        sourceId: "acmestg",
+        destinationId: "beta",
+        scope: "both",
+        notificationEmails: [],
+      }),
+      /belong to different sites/
+    );
+  });
+
+  it("rejects an unknown scope before making any request", async () => {
+    useApi(() => assert.fail("No request should be made"));
+    await assert.rejects(
+      copyEnvironment({
+        sourceId: "acmestg",
+        destinationId: "acme",
+        scope: "plugins",
+        notificationEmails: [],
+      }),
+      /Expected one of: files, database, both/
+    );
+  });
+});
+
+describe("recordDryRunCopyToNewInstall", () => {
+  it("records the copy with a readable placeholder for the new install", () => {
+    useApi(() => assert.fail("No request should be made"));
+    setDryRun(true);
+    recordDryRunCopyToNewInstall("install-1", "acmedev", "files");
+    const [request] = takeDryRunRequests();
+    assert.equal(
+      request.url,
+      'https://api.example.com/v1/installs/{new install "acmedev"}/copy'
+    );
+    assert.deepEqual(request.body, {
+      source_install_id: "install-1",
+      files: true,
+      database: false,
+    });
+  });
+});
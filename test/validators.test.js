@@ -0,0 +1,117 @@
+/**
+ * The field validators shared by the forms and the commands
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { WpeApiClient } from "../api-client.js";
+import { setApiClient } from "../utils.js";
+import {
+  validateInstallName,
+  validateEnvironment,
+  validateSiteName,
+  validateTags,
+  validateEmail,
+  parseTags,
+  checkInstallNameAvailable,
+  validateDate,
+  validateDateRange,
+  validateSize,
+  parseSize,
+  validateUrl,
+} from "../validators.js";
+
+describe("validateInstallName", () => {
+  it("accepts lowercase letters and digits starting with a letter", () => {
+    assert.equal(validateInstallName("acmestg2"), null);
+  });
+
+  it("explains what is wrong with a name", () => {
+    assert.match(validateInstallName(""), /required/);
+    assert.match(validateInstallName("Acme"), /lowercase/);
+    assert.match(validateInstallName("acme-stg"), /letters and digits/);
+    assert.match(validateInstallName("2acme"), /start with a letter/);
+    assert.match(validateInstallName("ac"), /3–14 characters long/);
+    assert.match(validateInstallName("a".repeat(15)), /this one is 15/);
+  });
+});
+
+describe("the other validators", () => {
+  it("check environments, site names, tags and emails", () => {
+    assert.equal(validateEnvironment("staging"), null);
+    assert.match(validateEnvironment("qa"), /Expected one of/);
+    assert.equal(validateSiteName("Acme Corp"), null);
+    assert.match(validateSiteName("   "), /required/);
+    assert.match(validateSiteName("a".repeat(101)), /at most 100/);
+    assert.match(validateTags(["ok", "t".repeat(31)]), /too long/);
+    assert.equal(validateEmail("dev@example.com"), null);
+    assert.match(validateEmail("dev@example"), /not a valid email/);
+  });
+
+  it("split tags on commas", () => {
+    assert.deepEqual(parseTags(" client, ,wordpress "), [
+      "client",
+      "wordpress",
+    ]);
+  });
+});
+
+describe("checkInstallNameAvailable", () => {
+  it("looks for the name among the account's installs", async () => {
+    const urls = [];
+    setApiClient(
+      new WpeApiClient({
+        baseUrl: "https://api.example.com/v1",
+        getAuthHeader: () => "Basic dXNlcjpwYXNzd29yZA==",
+        fetch: async (url) => {
+          urls.push(url);
+          return Response.json({
+            results: [{ id: "install-1", name: "acme" }],
+            next: null,
+          });
+        },
+      })
+    );
+    assert.match(
+      await checkInstallNameAvailable("acme", "account-1"),
+      /"acme" is already taken/
+    );
+    assert.equal(await checkInstallNameAvailable("acmestg", "account-1"), null);
+    assert.match(urls[0], /\/installs\?account_id=account-1/);
+  });
+});
+
+describe("date and size validators", () => {
+  const today = new Date("2026-10-19T12:00:00Z");
+
+  it("only accepts real dates in a range that has happened", () => {
+    assert.equal(validateDateRange("2026-10-01", "2026-10-19", today), null);
+    assert.match(validateDate("2026-02-30"), /not a date/);
+    assert.match(
+      validateDateRange("2026-10-19", "2026-10-01", today),
+      /starts .* after it ends/
+    );
+    assert.match(
+      validateDateRange("2026-10-01", "2026-10-20", today),
+      /cannot end in the future/
+    );
+    assert.match(
+      validateDateRange("2025-01-01", "2026-10-19", today),
+      /at most 366 days/
+    );
+  });
+
+  it("reads sizes with or without a unit", () => {
+    assert.equal(validateSize("1.5 GB"), null);
+    assert.match(validateSize("lots"), /not a size/);
+    assert.equal(parseSize("500mb"), 500 * 1024 ** 2);
+    assert.equal(parseSize("2048"), 2048);
+  });
+});
+
+describe("validateUrl", () => {
+  it("only accepts http and https URLs", () => {
+    assert.equal(validateUrl("https://hooks.example.com/wpe"), null);
+    assert.match(validateUrl("ftp://example.com"), /not an http or https URL/);
+    assert.match(validateUrl("example.com"), /not an http or https URL/);
+  });
+});
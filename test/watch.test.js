@@ -0,0 +1,200 @@
+/**
+ * Snapshot comparison and the webhook notifier of watch mode
+ */
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { diffSnapshots, createWebhookNotifier } from "../watch.js";
+
+const ACCOUNT = { id: "account-1", name: "Acme" };
+
+function createSnapshot({ sites = [], installs = [], accounts = [ACCOUNT] }) {
+  const byId = (records) =>
+    Object.fromEntries(records.map((record) => [record.id, record]));
+  return {
+    takenAt: "2024-05-01T00:00:00.000Z",
+    accounts: byId(accounts),
+    sites: byId(sites),
+    installs: byId(installs),
+  };
+}
+
+const SITE = { id: "site-1", name: "Acme Site", accountId: ACCOUNT.id };
+const INSTALL = {
+  id: "install-1",
+  name: "acme",
+  environment: "production",
+  siteId: SITE.id,
+  accountId: ACCOUNT.id,
+  primary_domain: "www.acme.com",
+  php_version: "8.1",
+};
+
+describe("diffSnapshots", () => {
+  it("finds nothing between equal snapshots", () => {
+    const snapshot = createSnapshot({ sites: [SITE], installs: [INSTALL] });
+    assert.deepEqual(diffSnapshots(snapshot, snapshot), []);
+  });
+
+  it("reports added and deleted sites and installs", () => {
+    const newSite = { id: "site-2", name: "New Site", accountId: ACCOUNT.id };
+    const newInstall = {
+      ...INSTALL,
+      id: "install-2",
+      name: "newsite",
+      siteId: newSite.id,
+    };
+    const previous = createSnapshot({ sites: [SITE], installs: [INSTALL] });
+    const current = createSnapshot({
+      sites: [newSite],
+      installs: [newInstall],
+    });
+
+    const changes = diffSnapshots(previous, current);
+    assert.deepEqual(
+      changes.map((change) => [
+        change.type,
+        change.siteId,
+        change.installId,
+        change.message,
+      ]),
+      [
+        ["site-added", "site-2", null, "Site Acme / New Site was added"],
+        ["site-removed", "site-1", null, "Site Acme / Acme Site was deleted"],
+        [
+          "install-added",
+          "site-2",
+          "install-2",
+          "Install Acme / New Site / newsite (production) was added",
+        ],
+        [
+          "install-removed",
+          "site-1",
+          "install-1",
+          "Install Acme / Acme Site / acme (production) was deleted",
+        ],
+      ]
+    );
+  });
+
+  it("reports primary domain and PHP version changes", () => {
+    const previous = createSnapshot({ sites: [SITE], installs: [INSTALL] });
+    const current = createSnapshot({
+      sites: [SITE],
+      installs: [
+        { ...INSTALL, primary_domain: "acme.com", php_version: "8.2" },
+      ],
+    });
+
+    const changes = diffSnapshots(previous, current);
+    assert.deepEqual(
+      changes.map(({ type, before, after }) => [type, before, after]),
+      [
+        ["primary-domain-changed", "www.acme.com", "acme.com"],
+        ["php-version-changed", "8.1", "8.2"],
+      ]
+    );
+  });
+
+  it("reports domains added and removed when both lists are known", () => {
+    const previous = createSnapshot({
+      installs: [{ ...INSTALL, domains: ["acme.com", "www.acme.com"] }],
+    });
+    const current = createSnapshot({
+      installs: [{ ...INSTALL, domains: ["shop.acme.com", "www.acme.com"] }],
+    });
+    const [change] = diffSnapshots(previous, current);
+    assert.equal(change.type, "domains-changed");
+    assert.match(change.message, /: \+shop\.acme\.com, -acme\.com$/);
+
+    const unknown = createSnapshot({
+      installs: [{ ...INSTALL, domains: null }],
+    });
+    assert.deepEqual(diffSnapshots(previous, unknown), []);
+  });
+
+  it("ignores accounts only one snapshot covers", () => {
+    const other = { id: "account-2", name: "Other" };
+    const previous = createSnapshot({ sites: [SITE], installs: [INSTALL] });
+    const current = createSnapshot({
+      accounts: [other],
+      sites: [{ ...SITE, id: "site-3", accountId: other.id }],
+    });
+    assert.deepEqual(diffSnapshots(previous, current), []);
+  });
+});
+
+describe("createWebhookNotifier", () => {
+  let server;
+  let url;
+  const received = [];
+
+  before(async () => {
+    // A stand-in receiver that keeps each raw body, to check its signature
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(req.url === "/broken" ? 500 : 204).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const changes = [{ type: "install-added", message: "Install acme added" }];
+
+  it("posts the changes signed with the secret", async () => {
+    received.length = 0;
+    const notify = createWebhookNotifier(`${url}/hook`, { secret: "s3cret" });
+    await notify(changes, "2024-05-01T00:00:00.000Z");
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.deepEqual(JSON.parse(body), {
+      detectedAt: "2024-05-01T00:00:00.000Z",
+      changes,
+    });
+    assert.equal(headers["content-type"], "application/json");
+    const expected = crypto
+      .createHmac("sha256", "s3cret")
+      .update(body)
+      .digest("hex");
+    assert.equal(headers["x-wpe-cli-signature"], `sha256=${expected}`);
+  });
+
+  it("sends no signature without a secret", async () => {
+    received.length = 0;
+    await createWebhookNotifier(`${url}/hook`)(changes, "now");
+    assert.equal(received[0].headers["x-wpe-cli-signature"], undefined);
+  });
+
+  it("fails when the receiver answers with an error", async () => {
+    await assert.rejects(
+      createWebhookNotifier(`${url}/broken`)(changes, "now"),
+      { message: `Webhook ${url}/broken answered 500` }
+    );
+  });
+
+  it("sends through the fetch it is given", async () => {
+    const requests = [];
+    const notify = createWebhookNotifier("https://hooks.example.com/", {
+      secret: "s3cret",
+      fetch: async (target, init) => {
+        requests.push({ target, init });
+        return new Response(null, { status: 200 });
+      },
+    });
+    await notify(changes, "now");
+
+    assert.equal(requests.length, 1);
+    const [{ target, init }] = requests;
+    assert.equal(target, "https://hooks.example.com/");
+    assert.equal(init.method, "POST");
+    assert.match(init.headers["X-WPE-CLI-Signature"], /^sha256=[0-9a-f]{64}$/);
+  });
+});
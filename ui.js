@@ -0,0 +1,539 @@
+/**
+ * Terminal UI helpers shared by the interactive menus
+ */
+import readline from "readline";
+import chalk from "chalk";
+import { isDryRun, takeDryRunRequests } from "./utils.js";
+import { formatDryRunRequests, formatDuration } from "./format.js";
+import { loadPolicy, evaluateDelete, getPolicyPath } from "./policy.js";
+
+// ------------------- UI HELPERS ------------------- //
+
+/**
+ * Puts the terminal into raw keypress mode for the interactive menus.
+ * Only called for the interactive UI so scripted runs can exit normally.
+ */
+export function setupTerminal() {
+  readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  readline.emitKeypressEvents(process.stdin);
+  if (process.stdin.isTTY) process.stdin.setRawMode(true);
+}
+
+export function clearScreen() {
+  process.stdout.write("\u001B[2J\u001B[0;0H");
+}
+
+export function displayWelcome() {
+  clearScreen();
+  console.log(chalk.blue.bold("Welcome to the WP Engine API CLI Tool!"));
+  console.log(
+    chalk.gray(
+      "Use arrow keys to navigate, type to filter, Enter to select, Escape to go back, r to refresh (Ctrl+R while filtering), and Ctrl+C to exit.\n"
+    )
+  );
+  if (isDryRun()) {
+    console.log(
+      chalk.magenta.bold("DRY RUN MODE: changes are shown, never sent.\n")
+    );
+  }
+}
+
+export function displayLoading(message) {
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.yellow(message));
+}
+
+const SPINNER_FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+/**
+ * Shows a spinner with a message and the time elapsed on the current line
+ * @param {string} text
+ * @returns {{ setText: (text: string) => void, stop: () => void }}
+ */
+export function createSpinner(text) {
+  const startedAt = Date.now();
+  let frame = 0;
+  function render() {
+    process.stdout.write(
+      `\r\u001B[2K${chalk.cyan(
+        SPINNER_FRAMES[frame++ % SPINNER_FRAMES.length]
+      )} ${text} ${chalk.gray(formatDuration(Date.now() - startedAt))}`
+    );
+  }
+  render();
+  const timer = setInterval(render, 100);
+  return {
+    setText(nextText) {
+      text = nextText;
+      render();
+    },
+    stop() {
+      clearInterval(timer);
+      process.stdout.write("\n");
+    },
+  };
+}
+
+// ------------------- FUZZY MATCHING ------------------- //
+
+/**
+ * Matches a query against text as a case-insensitive subsequence, so "acpr"
+ * matches "acme-production". Runs of consecutive characters and matches at
+ * the start of a word score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {{ score: number, positions: number[] }|null} null if it does not match
+ */
+function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const char of needle) {
+    const position = haystack.indexOf(char, from);
+    if (position === -1) return null;
+    const previous = positions[positions.length - 1];
+    if (previous !== undefined && position === previous + 1) score += 5;
+    if (position === 0 || /[\s\-_.(/]/.test(haystack[position - 1])) score += 3;
+    score -= position - from;
+    positions.push(position);
+    from = position + 1;
+  }
+  return { score, positions };
+}
+
+function highlightMatches(text, positions) {
+  return [...text]
+    .map((char, index) =>
+      positions.includes(index) ? chalk.bold.underline(char) : char
+    )
+    .join("");
+}
+
+/**
+ * How many options fit on screen below whatever the menu is drawn under
+ */
+function getViewportSize(preserveScreen) {
+  const rows = process.stdout.rows || 24;
+  // Leave room for the welcome header and title, plus any details shown above the menu
+  return Math.max(5, rows - (preserveScreen ? 20 : 9));
+}
+
+/**
+ * Returned by a refreshable createMenu when the user asks to reload its data
+ */
+export const MENU_REFRESH = -2;
+
+/**
+ * Create a menu with keyboard navigation. Typing filters the options with
+ * fuzzy matching; the list scrolls when it is taller than the terminal.
+ * @param {string} title
+ * @param {string[]} options
+ * @param {boolean} [preserveScreen=false]
+ * @param {Object} [settings]
+ * @param {boolean} [settings.refreshable=false] - Let "r", Ctrl+R or F5 return
+ *   MENU_REFRESH. Plain "r" only refreshes while the filter is empty, so it can
+ *   still be typed into a filter.
+ * @param {boolean} [settings.multiSelect=false] - See createMultiSelectMenu
+ * @param {number[]} [settings.selected] - Indexes ticked when a multi-select menu opens
+ * @returns {Promise<number>} selected index, -1 for escape/back, or MENU_REFRESH
+ */
+export async function createMenu(
+  title,
+  options,
+  preserveScreen = false,
+  { refreshable = false, multiSelect = false, selected = [] } = {}
+) {
+  return new Promise((resolve) => {
+    const viewportSize = getViewportSize(preserveScreen);
+    const width = Math.max(20, (process.stdout.columns || 80) - 3);
+    let query = "";
+    let matches = [];
+    let selectedPosition = 0;
+    let scrollTop = 0;
+    let renderedLines = 0;
+    let firstRender = true;
+    const checked = new Set(selected);
+
+    function updateMatches() {
+      matches = options
+        .map((option, index) => {
+          const label = option.slice(0, width);
+          const match = query
+            ? fuzzyMatch(query, label)
+            : { score: 0, positions: [] };
+          return match && { index, label, ...match };
+        })
+        .filter(Boolean);
+      // Best match first; ties keep the original order
+      if (query) matches.sort((a, b) => b.score - a.score || a.index - b.index);
+      selectedPosition = 0;
+      scrollTop = 0;
+    }
+
+    function moveTo(position) {
+      if (!matches.length) return;
+      selectedPosition = Math.min(Math.max(position, 0), matches.length - 1);
+      if (selectedPosition < scrollTop) scrollTop = selectedPosition;
+      if (selectedPosition >= scrollTop + viewportSize) {
+        scrollTop = selectedPosition - viewportSize + 1;
+      }
+    }
+
+    function renderMenu() {
+      if (firstRender) {
+        if (!preserveScreen) {
+          clearScreen();
+          displayWelcome();
+        }
+        console.log(chalk.yellow(`${title}\n`));
+        firstRender = false;
+      } else {
+        process.stdout.write(`\u001B[${renderedLines}A`);
+        process.stdout.write("\u001B[0J");
+      }
+      const lines = [];
+      if (multiSelect) {
+        lines.push(
+          chalk.gray(
+            `Space to toggle, a to toggle all shown (Ctrl+A while filtering), Enter to continue  ${checked.size} selected`
+          )
+        );
+      }
+      if (query || options.length > viewportSize) {
+        lines.push(
+          chalk.gray(
+            `Filter: ${query ? chalk.white(query) : "(type to search)"}  ${
+              matches.length
+            } of ${options.length}`
+          )
+        );
+      }
+      // Scroll markers keep their lines even when empty so the list does not jump
+      const scrollable = matches.length > viewportSize;
+      if (scrollable) lines.push(scrollTop > 0 ? chalk.gray("  ↑ more") : "");
+      matches
+        .slice(scrollTop, scrollTop + viewportSize)
+        .forEach((match, offset) => {
+          const label = `${
+            multiSelect ? (checked.has(match.index) ? "[x] " : "[ ] ") : ""
+          }${highlightMatches(match.label, match.positions)}`;
+          if (scrollTop + offset === selectedPosition) {
+            lines.push(chalk.cyan(`→ ${label}`));
+          } else {
+            lines.push(`  ${label}`);
+          }
+        });
+      if (!matches.length) lines.push(chalk.red("  No matches"));
+      if (scrollable) {
+        lines.push(
+          scrollTop + viewportSize < matches.length
+            ? chalk.gray("  ↓ more")
+            : ""
+        );
+      }
+      lines.forEach((line) => console.log(line));
+      renderedLines = lines.length;
+    }
+
+    function finish(result) {
+      process.stdin.removeListener("keypress", handleKeypress);
+      resolve(result);
+    }
+
+    updateMatches();
+    renderMenu();
+    function handleKeypress(str, key) {
+      if (key && key.ctrl && key.name === "c") {
+        clearScreen();
+        console.log(chalk.blue("Exiting WP Engine API CLI Tool..."));
+        process.exit(0);
+      }
+      const name = key && key.name;
+      if (
+        refreshable &&
+        ((key && key.ctrl && name === "r") ||
+          name === "f5" ||
+          (!query && str === "r"))
+      ) {
+        return finish(MENU_REFRESH);
+      } else if (name === "up") {
+        moveTo(selectedPosition - 1);
+      } else if (name === "down") {
+        moveTo(selectedPosition + 1);
+      } else if (name === "pageup") {
+        moveTo(selectedPosition - viewportSize);
+      } else if (name === "pagedown") {
+        moveTo(selectedPosition + viewportSize);
+      } else if (name === "home") {
+        moveTo(0);
+      } else if (name === "end") {
+        moveTo(matches.length - 1);
+      } else if (multiSelect && name === "space") {
+        if (!matches.length) return;
+        const { index } = matches[selectedPosition];
+        if (checked.has(index)) checked.delete(index);
+        else checked.add(index);
+      } else if (
+        multiSelect &&
+        ((key && key.ctrl && name === "a") || (!query && str === "a"))
+      ) {
+        // Toggle everything the filter shows: select all unless all are already selected
+        const shown = matches.map((match) => match.index);
+        const allChecked = shown.every((index) => checked.has(index));
+        shown.forEach((index) =>
+          allChecked ? checked.delete(index) : checked.add(index)
+        );
+      } else if (name === "return") {
+        if (!matches.length && !checked.size) return;
+        if (!multiSelect) return finish(matches[selectedPosition].index);
+        // With nothing ticked, Enter takes the highlighted option on its own
+        finish(
+          checked.size
+            ? [...checked].sort((a, b) => a - b)
+            : [matches[selectedPosition].index]
+        );
+        return;
+      } else if (name === "escape") {
+        // The first Escape clears the filter, the next one goes back
+        if (!query) return finish(-1);
+        query = "";
+        updateMatches();
+      } else if (name === "backspace") {
+        query = query.slice(0, -1);
+        updateMatches();
+      } else if (str && !(key && (key.ctrl || key.meta)) && str >= " ") {
+        query += str;
+        updateMatches();
+      } else {
+        return;
+      }
+      renderMenu();
+    }
+    process.stdin.on("keypress", handleKeypress);
+  });
+}
+
+/**
+ * Reads a line of text typed by the user
+ * @param {Object} [options]
+ * @param {string} [options.initial=""] - Text to start with, e.g. when editing a value
+ * @param {boolean} [options.allowCancel=false] - Let Escape cancel, resolving null
+ * @returns {Promise<string|null>}
+ */
+export async function getTextInput({ initial = "", allowCancel = false } = {}) {
+  return new Promise((resolve) => {
+    let input = initial;
+    process.stdout.write(`> ${input}`);
+    // Remove any existing keypress listeners
+    const listeners = process.stdin.listeners("keypress");
+    listeners.forEach((listener) =>
+      process.stdin.removeListener("keypress", listener)
+    );
+    if (process.stdin.isTTY && !process.stdin.isRaw)
+      process.stdin.setRawMode(true);
+    function handleKeypress(str, key) {
+      if (key && key.ctrl && key.name === "c") {
+        process.stdout.write("\n");
+        process.exit(0);
+      }
+      if (
+        key &&
+        (key.name === "return" || (allowCancel && key.name === "escape"))
+      ) {
+        process.stdout.write("\n");
+        process.stdin.removeListener("keypress", handleKeypress);
+        listeners.forEach((listener) => process.stdin.on("keypress", listener));
+        resolve(key.name === "return" ? input : null);
+      } else if (key && key.name === "backspace") {
+        if (input.length > 0) {
+          input = input.slice(0, -1);
+          process.stdout.write("\b \b");
+        }
+      } else if (str && !key.ctrl && !key.meta && !key.alt) {
+        input += str;
+        process.stdout.write(str);
+      }
+    }
+    process.stdin.on("keypress", handleKeypress);
+  });
+}
+
+/**
+ * Create a menu where several options can be selected. Space toggles the
+ * highlighted option and "a" or Ctrl+A toggles every option the filter shows.
+ * Plain "a" only does so while the filter is empty, so it can still be typed
+ * into a filter; Ctrl+A works either way.
+ * @param {string} title
+ * @param {string[]} options
+ * @param {boolean} [preserveScreen=false]
+ * @param {number[]} [selected] - Indexes to tick to begin with, e.g. the current choice
+ * @returns {Promise<number[]|number>} selected indexes in list order, or -1 for escape/back
+ */
+export async function createMultiSelectMenu(
+  title,
+  options,
+  preserveScreen = false,
+  selected = []
+) {
+  return createMenu(title, options, preserveScreen, {
+    multiSelect: true,
+    selected,
+  });
+}
+
+export async function promptForField(label, hint) {
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.cyan(`Enter ${label}${hint ? ` ${hint}` : ""}:`));
+  return getTextInput();
+}
+
+export async function waitForKeyPress() {
+  return new Promise((resolve) => {
+    console.log(chalk.gray("Press any key to continue..."));
+    function handleKeypress() {
+      process.stdin.removeListener("keypress", handleKeypress);
+      resolve();
+    }
+    process.stdin.once("keypress", handleKeypress);
+  });
+}
+
+/**
+ * Shows a single message on a fresh screen and waits for a key press
+ * @param {string} message - Already colourised text to show
+ */
+export async function showMessage(message) {
+  clearScreen();
+  displayWelcome();
+  console.log(message);
+  await waitForKeyPress();
+}
+
+/**
+ * Asks the user to type a name to confirm a destructive action
+ * @param {string} warning - Explains what cannot be undone
+ * @param {string} expected - The text the user must type, usually the resource name
+ * @param {string} [label="name"] - What the expected text is, used in the error message
+ * @returns {Promise<boolean>} true if the user typed the expected text
+ */
+export async function confirmByTyping(warning, expected, label = "name") {
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.red(warning));
+  console.log(chalk.yellow(`Type "${expected}" to confirm, then press Enter.`));
+  const confirmation = await getTextInput();
+  if (confirmation !== expected) {
+    await showMessage(
+      chalk.red(
+        `Incorrect confirmation. You typed "${confirmation}" but the ${label} is "${expected}".`
+      )
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks deletes against the policy file before the user confirms them, so a
+ * refusal is shown before anything is typed. Protected installs that allow
+ * deletion need a second confirmation and a reason for the audit log.
+ * @param {Array<{ action: string, target: Object, installs: Array<Object> }>} requests
+ *   One per delete, as for evaluateDelete in policy.js
+ * @returns {Promise<{ allowed: boolean, reason: string|null }>}
+ */
+export async function confirmDeletePolicy(requests) {
+  let policy;
+  try {
+    policy = loadPolicy();
+  } catch (error) {
+    await showMessage(chalk.red(error.message));
+    return { allowed: false, reason: null };
+  }
+  if (!policy) return { allowed: true, reason: null };
+
+  const violations = new Set();
+  const needsReason = [];
+  requests.forEach((request) => {
+    const result = evaluateDelete(policy, { ...request, dryRun: isDryRun() });
+    result.violations.forEach((violation) => violations.add(violation));
+    needsReason.push(...result.needsReason);
+  });
+  if (violations.size) {
+    await showMessage(
+      chalk.red(
+        `Not allowed by the policy in ${getPolicyPath()}:\n\n${[...violations]
+          .map((violation) => `  ${violation}`)
+          .join("\n")}\n`
+      )
+    );
+    return { allowed: false, reason: null };
+  }
+  if (!needsReason.length || isDryRun()) {
+    return { allowed: true, reason: null };
+  }
+
+  clearScreen();
+  displayWelcome();
+  console.log(chalk.red("These installs are protected by policy:"));
+  needsReason.forEach((install) =>
+    console.log(chalk.red(`  ${install.name} (${install.environment})`))
+  );
+  console.log("");
+  const index = await createMenu(
+    "Delete them anyway?",
+    ["Cancel", "Continue and give a reason"],
+    true
+  );
+  if (index !== 1) return { allowed: false, reason: null };
+  console.log(
+    chalk.yellow(
+      "Why are they being deleted? The reason is kept in the audit log. Press Escape to cancel."
+    )
+  );
+  const reason = ((await getTextInput({ allowCancel: true })) || "").trim();
+  if (!reason) {
+    await showMessage(
+      chalk.yellow("A reason is required. Nothing was deleted.")
+    );
+    return { allowed: false, reason: null };
+  }
+  return { allowed: true, reason };
+}
+
+/**
+ * Runs an API call behind a progress message and reports the outcome.
+ * In dry-run mode the outcome is a summary of the requests that would have been sent.
+ * @param {string} progress - Shown while the call runs, e.g. "Purging cache..."
+ * @param {string} success - Shown when the call succeeds
+ * @param {string} failure - Prefix for the error message when it fails
+ * @param {() => Promise<*>} action - The API call
+ * @returns {Promise<boolean>} true if the call succeeded
+ */
+export async function runAction(progress, success, failure, action) {
+  displayLoading(progress);
+  try {
+    await action();
+    const dryRunRequests = takeDryRunRequests();
+    if (dryRunRequests.length) {
+      await showMessage(
+        `${chalk.cyan(`Would do: ${success}`)}\n\n${formatDryRunRequests(
+          dryRunRequests
+        )}\n`
+      );
+      // Nothing changed, so callers should stay where they are
+      return false;
+    }
+    await showMessage(chalk.green(success));
+    return true;
+  } catch (error) {
+    await showMessage(chalk.red(`${failure}: ${error.message}`));
+    return false;
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Interactive usage screens: visits, bandwidth and storage for an account's
+ * installs or a single install, drawn as bars and sparklines, with
+ * thresholds and export of the daily figures.
+ */
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import {
+  USAGE_METRICS,
+  DEFAULT_USAGE_DAYS,
+  getRecentDateRange,
+  loadUsageThresholds,
+  saveUsageThresholds,
+  buildUsageReport,
+  sparkline,
+  bar,
+  formatMetric,
+  flattenUsageSeries,
+} from "./usage.js";
+import {
+  clearScreen,
+  displayWelcome,
+  displayLoading,
+  createMenu,
+  promptForField,
+  showMessage,
+} from "./ui.js";
+import { runForm } from "./form.js";
+import { formatOutput } from "./format.js";
+import {
+  validateDate,
+  validateDateRange,
+  validateSize,
+  parseSize,
+} from "./validators.js";
+
+const RANGE_CHOICES = [7, 30, 90, 365];
+const EXPORT_FORMATS = { ".csv": "csv", ".json": "json", ".yaml": "yaml" };
+// How many installs the account chart shows before summarising the rest
+const CHART_INSTALLS = 10;
+
+function describeRange({ firstDate, lastDate }) {
+  return `${firstDate} to ${lastDate}`;
+}
+
+function describeThresholds(thresholds) {
+  return Object.entries(USAGE_METRICS)
+    .map(
+      ([name, metric]) =>
+        `${metric.label.toLowerCase()} ${
+          typeof thresholds[name] === "number"
+            ? formatMetric(name, thresholds[name])
+            : "no limit"
+        }`
+    )
+    .join(" · ");
+}
+
+function describeOver(summary) {
+  return summary.over.length
+    ? chalk.red(` ⚠ over ${summary.over.join(", ")}`)
+    : "";
+}
+
+/**
+ * Asks which days to show
+ * @returns {Promise<{ firstDate: string, lastDate: string }|null>} null if cancelled
+ */
+async function chooseDateRange() {
+  const options = RANGE_CHOICES.map((days) => `Last ${days} days`).concat([
+    "Custom range",
+  ]);
+  const index = await createMenu("Which days?", options);
+  if (index === -1) return null;
+  if (index < RANGE_CHOICES.length) {
+    return getRecentDateRange(RANGE_CHOICES[index]);
+  }
+  const values = await runForm("Usage date range", [
+    {
+      name: "firstDate",
+      label: "From",
+      hint: "(YYYY-MM-DD)",
+      validate: validateDate,
+    },
+    {
+      name: "lastDate",
+      label: "To",
+      hint: "(YYYY-MM-DD)",
+      validate: (lastDate, { firstDate }) =>
+        validateDateRange(firstDate, lastDate),
+    },
+  ]);
+  return values && { firstDate: values.firstDate, lastDate: values.lastDate };
+}
+
+/**
+ * Asks for new thresholds and saves them for later runs and for `usage`
+ * @returns {Promise<boolean>} true if they were saved
+ */
+async function setThresholdsFlow() {
+  const current = loadUsageThresholds();
+  const describeCurrent = (name) =>
+    `(currently ${
+      typeof current[name] === "number"
+        ? formatMetric(name, current[name])
+        : "no limit"
+    }; leave empty for no limit)`;
+  const values = await runForm("Usage thresholds for the chosen range", [
+    {
+      name: "visits",
+      label: "Visits",
+      hint: describeCurrent("visits"),
+      optional: true,
+      parse: (text) => Number(text),
+      validate: (visits) =>
+        Number.isInteger(visits) && visits > 0
+          ? null
+          : "Enter a whole number of visits.",
+    },
+    ...["bandwidth", "storage"].map((name) => ({
+      name,
+      label: USAGE_METRICS[name].label,
+      hint: `e.g. 500GB ${describeCurrent(name)}`,
+      optional: true,
+      validate: validateSize,
+      format: (size) => size || "no limit",
+    })),
+  ]);
+  if (!values) return false;
+  saveUsageThresholds({
+    visits: values.visits,
+    bandwidth: values.bandwidth ? parseSize(values.bandwidth) : null,
+    storage: values.storage ? parseSize(values.storage) : null,
+  });
+  await showMessage(chalk.green("Usage thresholds saved."));
+  return true;
+}
+
+/**
+ * Writes the daily figures to a CSV, JSON or YAML file
+ * @param {Array<Object>} summaries - As from buildUsageReport
+ */
+async function exportUsageFlow(summaries) {
+  const file = (
+    await promptForField("a file name", "(ending in .csv, .json or .yaml)")
+  ).trim();
+  if (!file) return;
+  const format = EXPORT_FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    await showMessage(
+      chalk.red(`"${file}" does not end in .csv, .json or .yaml.`)
+    );
+    return;
+  }
+  try {
+    fs.writeFileSync(
+      file,
+      `${formatOutput(flattenUsageSeries(summaries), { format })}\n`
+    );
+    await showMessage(chalk.green(`Daily usage written to ${file}.`));
+  } catch (error) {
+    await showMessage(chalk.red(`Failed to write ${file}: ${error.message}`));
+  }
+}
+
+/**
+ * Adds up each week of a long range, so a chart of it still fits on screen
+ * @returns {Array<{ label: string, value: number }>}
+ */
+function groupForChart(dates, values) {
+  if (dates.length <= 31) {
+    return dates.map((date, index) => ({ label: date, value: values[index] }));
+  }
+  const weeks = [];
+  for (let start = 0; start < dates.length; start += 7) {
+    weeks.push({
+      label: `week of ${dates[start]}`,
+      value: values
+        .slice(start, start + 7)
+        .reduce((sum, value) => sum + value, 0),
+    });
+  }
+  return weeks;
+}
+
+function displayInstallUsage(summary, range, thresholds) {
+  clearScreen();
+  displayWelcome();
+  console.log(
+    chalk.green(
+      `Usage of "${summary.install}" (${summary.environment}), ${describeRange(
+        range
+      )}:`
+    )
+  );
+  console.log(chalk.gray(`Thresholds: ${describeThresholds(thresholds)}\n`));
+  Object.entries(USAGE_METRICS).forEach(([name, metric]) => {
+    const over = summary.over.includes(name);
+    console.log(
+      `${metric.label.padEnd(10)} ${(over ? chalk.red : chalk.white)(
+        formatMetric(name, summary.totals[name]).padStart(12)
+      )}${metric.cumulative ? "" : chalk.gray(" (latest)")}${
+        over ? chalk.red(" ⚠ over threshold") : ""
+      }`
+    );
+    console.log(chalk.cyan(`           ${sparkline(summary.series[name])}`));
+  });
+
+  const rows = groupForChart(summary.dates, summary.series.visits);
+  const max = Math.max(...rows.map((row) => row.value), 0);
+  const width = Math.max(...rows.map((row) => row.label.length), 0);
+  console.log(chalk.white("\nVisits:"));
+  rows.forEach((row) =>
+    console.log(
+      `${chalk.gray(row.label.padEnd(width))} ${chalk.cyan(
+        bar(row.value, max)
+      )} ${row.value.toLocaleString("en-US")}`
+    )
+  );
+  console.log("");
+}
+
+/**
+ * Shows one install's usage until the user goes back
+ * @param {Object} install
+ * @param {{ firstDate: string, lastDate: string }} [range] - Asked for when not given
+ */
+export async function installUsageFlow(install, range) {
+  let currentRange = range || (await chooseDateRange());
+  if (!currentRange) return;
+  while (true) {
+    displayLoading(`Loading usage for install: ${install.name}...`);
+    const thresholds = loadUsageThresholds();
+    let summary;
+    try {
+      [summary] = await buildUsageReport({
+        installId: install.id,
+        ...currentRange,
+        thresholds,
+      });
+    } catch (error) {
+      await showMessage(chalk.red(`Failed to load usage: ${error.message}`));
+      return;
+    }
+    displayInstallUsage(summary, currentRange, thresholds);
+    const options = [
+      "Change date range",
+      "Set thresholds",
+      "Export daily figures",
+      "← Back",
+    ];
+    const index = await createMenu("What would you like to do?", options, true);
+    if (index === 0) {
+      currentRange = (await chooseDateRange()) || currentRange;
+    } else if (index === 1) {
+      await setThresholdsFlow();
+    } else if (index === 2) {
+      await exportUsageFlow([summary]);
+    } else {
+      return;
+    }
+  }
+}
+
+function displayAccountUsage(account, summaries, range, thresholds) {
+  clearScreen();
+  displayWelcome();
+  console.log(
+    chalk.green(`Usage of ${account.name}, ${describeRange(range)}:`)
+  );
+  console.log(
+    chalk.white(
+      `Total: ${Object.keys(USAGE_METRICS)
+        .map(
+          (name) =>
+            `${formatMetric(
+              name,
+              summaries.reduce((sum, summary) => sum + summary.totals[name], 0)
+            )} ${USAGE_METRICS[name].label.toLowerCase()}`
+        )
+        .join(" · ")}`
+    )
+  );
+  console.log(chalk.gray(`Thresholds: ${describeThresholds(thresholds)}\n`));
+
+  const busiest = [...summaries]
+    .sort((a, b) => b.totals.visits - a.totals.visits)
+    .slice(0, CHART_INSTALLS);
+  const max = busiest.length ? busiest[0].totals.visits : 0;
+  const width = Math.max(...busiest.map((summary) => summary.install.length));
+  console.log(chalk.white("Visits by install:"));
+  busiest.forEach((summary) =>
+    console.log(
+      `${summary.install.padEnd(width)} ${chalk.cyan(
+        bar(summary.totals.visits, max)
+      )} ${formatMetric("visits", summary.totals.visits)}${describeOver(
+        summary
+      )}`
+    )
+  );
+  if (summaries.length > busiest.length) {
+    console.log(
+      chalk.gray(`…and ${summaries.length - busiest.length} more install(s)`)
+    );
+  }
+  console.log("");
+}
+
+/**
+ * Shows the usage of every install of an account, busiest first, until
+ * the user goes back
+ * @param {Object} account
+ */
+export async function accountUsageFlow(account) {
+  let range = getRecentDateRange(DEFAULT_USAGE_DAYS);
+  while (true) {
+    displayLoading(`Loading usage for account: ${account.name}...`);
+    const thresholds = loadUsageThresholds();
+    let summaries;
+    try {
+      summaries = await buildUsageReport({
+        accountId: account.id,
+        ...range,
+        thresholds,
+      });
+    } catch (error) {
+      await showMessage(chalk.red(`Failed to load usage: ${error.message}`));
+      return;
+    }
+    if (!summaries.length) {
+      await showMessage(chalk.yellow(`${account.name} has no installs.`));
+      return;
+    }
+
+    displayAccountUsage(account, summaries, range, thresholds);
+    const actions = [
+      "Change date range",
+      "Set thresholds",
+      "Export daily figures",
+      "← Back to account",
+    ];
+    const options = summaries
+      .map(
+        (summary) =>
+          `${summary.over.length ? "⚠ " : ""}${summary.install} (${
+            summary.environment
+          }) - ${Object.keys(USAGE_METRICS)
+            .map((name) => formatMetric(name, summary.totals[name]))
+            .join(" · ")}`
+      )
+      .concat(actions);
+    const index = await createMenu(
+      "Select an install for its daily figures:",
+      options,
+      true
+    );
+    const choice = options[index];
+    if (index === -1 || choice === "← Back to account") return;
+    if (choice === "Change date range") {
+      range = (await chooseDateRange()) || range;
+    } else if (choice === "Set thresholds") {
+      await setThresholdsFlow();
+    } else if (choice === "Export daily figures") {
+      await exportUsageFlow(summaries);
+    } else {
+      const summary = summaries[index];
+      await installUsageFlow(
+        { id: summary.installId, name: summary.install },
+        range
+      );
+    }
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * Usage metrics: visits, bandwidth and storage per install over a date
+ * range, with totals, terminal charts and flags for installs over the
+ * configured thresholds.
+ */
+import { fetchInstallUsage, fetchAccountUsage } from "./utils.js";
+import { loadConfig, saveConfig } from "./config.js";
+
+export const DEFAULT_USAGE_DAYS = 30;
+
+/**
+ * The metrics shown for each install. Visits and bandwidth add up over the
+ * range; storage is a level, so its total is the latest day's value.
+ */
+export const USAGE_METRICS = {
+  visits: {
+    label: "Visits",
+    unit: "count",
+    cumulative: true,
+    read: (day) => day.visit_count || 0,
+  },
+  bandwidth: {
+    label: "Bandwidth",
+    unit: "bytes",
+    cumulative: true,
+    read: (day) => day.network_total_bytes || 0,
+  },
+  storage: {
+    label: "Storage",
+    unit: "bytes",
+    cumulative: false,
+    read: (day) =>
+      (day.storage_file_bytes || 0) + (day.storage_database_bytes || 0),
+  },
+};
+
+const SPARK_CHARACTERS = ["▁", "▂", "▃", "▄", "▅", "▆", "▇", "█"];
+const BYTE_UNITS = ["B", "KB", "MB", "GB", "TB"];
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The last few days up to and including today
+ * @param {number} [days=DEFAULT_USAGE_DAYS]
+ * @param {Date} [today]
+ * @returns {{ firstDate: string, lastDate: string }}
+ */
+export function getRecentDateRange(
+  days = DEFAULT_USAGE_DAYS,
+  today = new Date()
+) {
+  return {
+    firstDate: toDateString(
+      new Date(today.getTime() - (days - 1) * 24 * 60 * 60 * 1000)
+    ),
+    lastDate: toDateString(today),
+  };
+}
+
+/**
+ * Reads the thresholds saved in the config file. Each is a total for the
+ * chosen range, or null for no limit.
+ * @returns {{ visits: number|null, bandwidth: number|null, storage: number|null }}
+ *   bandwidth and storage are in bytes
+ */
+export function loadUsageThresholds() {
+  return {
+    visits: null,
+    bandwidth: null,
+    storage: null,
+    ...loadConfig().usageThresholds,
+  };
+}
+
+/**
+ * Saves the thresholds used when none are given on the command line
+ * @param {{ visits: number|null, bandwidth: number|null, storage: number|null }} thresholds
+ */
+export function saveUsageThresholds(thresholds) {
+  const config = loadConfig();
+  config.usageThresholds = thresholds;
+  saveConfig(config);
+}
+
+/**
+ * Totals one install's daily metrics and checks them against the thresholds
+ * @param {Object} usage - As returned by fetchInstallUsage
+ * @param {Object} [thresholds] - As from loadUsageThresholds
+ * @returns {{ install: string, installId: string, environment: string, dates: string[], series: Object, totals: Object, over: string[] }}
+ *   series and totals are keyed by USAGE_METRICS name; over lists the metrics above their threshold
+ */
+export function summarizeUsage(usage, thresholds = {}) {
+  const metrics = usage.metrics || [];
+  const series = Object.fromEntries(
+    Object.entries(USAGE_METRICS).map(([name, metric]) => [
+      name,
+      metrics.map(metric.read),
+    ])
+  );
+  const totals = Object.fromEntries(
+    Object.entries(USAGE_METRICS).map(([name, metric]) => {
+      const values = series[name];
+      return [
+        name,
+        metric.cumulative
+          ? values.reduce((sum, value) => sum + value, 0)
+          : values[values.length - 1] || 0,
+      ];
+    })
+  );
+  return {
+    install: usage.install_name,
+    installId: usage.install_id,
+    environment: usage.environment,
+    dates: metrics.map((day) => day.date),
+    series,
+    totals,
+    over: Object.keys(USAGE_METRICS).filter(
+      (name) =>
+        typeof thresholds[name] === "number" && totals[name] > thresholds[name]
+    ),
+  };
+}
+
+/**
+ * Fetches and summarizes usage for one install or every install of an account
+ * @param {Object} options
+ * @param {string} [options.installId]
+ * @param {string} [options.accountId]
+ * @param {string} options.firstDate
+ * @param {string} options.lastDate
+ * @param {Object} [options.thresholds] - As from loadUsageThresholds
+ * @returns {Promise<Array<Object>>} As from summarizeUsage, installs over a threshold first, then by visits
+ */
+export async function buildUsageReport({
+  installId,
+  accountId,
+  firstDate,
+  lastDate,
+  thresholds = {},
+}) {
+  const usages = installId
+    ? [await fetchInstallUsage(installId, { firstDate, lastDate })]
+    : await fetchAccountUsage(accountId, { firstDate, lastDate });
+  return usages
+    .map((usage) => summarizeUsage(usage, thresholds))
+    .sort(
+      (a, b) =>
+        Number(b.over.length > 0) - Number(a.over.length > 0) ||
+        b.totals.visits - a.totals.visits
+    );
+}
+
+/**
+ * Draws a series as a one-line chart, e.g. "▁▂▄█▆▃"
+ * @param {number[]} values
+ * @returns {string}
+ */
+export function sparkline(values) {
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, max);
+  return values
+    .map((value) => {
+      if (max === min) return SPARK_CHARACTERS[max ? 3 : 0];
+      const level = Math.round(
+        ((value - min) / (max - min)) * (SPARK_CHARACTERS.length - 1)
+      );
+      return SPARK_CHARACTERS[level];
+    })
+    .join("");
+}
+
+/**
+ * Draws a horizontal bar whose length shows value as a share of max
+ * @param {number} value
+ * @param {number} max
+ * @param {number} [width=30] - Length of a full bar, in characters
+ * @returns {string}
+ */
+export function bar(value, max, width = 30) {
+  const length = max > 0 ? Math.round((value / max) * width) : 0;
+  // Anything above zero gets at least a sliver, so it does not look empty
+  return "█".repeat(value > 0 ? Math.max(1, length) : 0).padEnd(width, " ");
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. "1.5 GB"
+ */
+export function formatBytes(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit ? value.toFixed(1) : value} ${BYTE_UNITS[unit]}`;
+}
+
+/**
+ * Formats a total the way its metric is measured
+ * @param {string} name - A USAGE_METRICS name
+ * @param {number} value
+ * @returns {string}
+ */
+export function formatMetric(name, value) {
+  return USAGE_METRICS[name].unit === "bytes"
+    ? formatBytes(value)
+    : value.toLocaleString("en-US");
+}
+
+/**
+ * One row per install and day, for exporting the raw series
+ * @param {Array<Object>} summaries - As from summarizeUsage
+ * @returns {Array<{ install: string, environment: string, date: string, visits: number, bandwidth_bytes: number, storage_bytes: number }>}
+ */
+export function flattenUsageSeries(summaries) {
+  return summaries.flatMap((summary) =>
+    summary.dates.map((date, index) => ({
+      install: summary.install,
+      environment: summary.environment,
+      date,
+      visits: summary.series.visits[index],
+      bandwidth_bytes: summary.series.bandwidth[index],
+      storage_bytes: summary.series.storage[index],
+    }))
+  );
+}
@@ -2,190 +2,386 @@
  * Utility functions for working with the WP Engine API
  */
 import dotenv from "dotenv";
+import path from "path";
+import { WpeApiClient, DEFAULT_BASE_URL } from "./api-client.js";
+import { ResponseCache, DEFAULT_CACHE_TTL_SECONDS } from "./cache.js";
+import { resolveCredentials, getConfigDir } from "./config.js";
+import {
+  withAuditContext,
+  getAuditContext,
+  appendAuditEntry,
+} from "./audit.js";
+import { loadPolicy, enforceDelete, recordDryRun } from "./policy.js";
 
 // Load environment variables from .env file
 dotenv.config();
 
+let activeProfile = null;
+
+/**
+ * Selects the credential profile used for every following request
+ * @param {string|null} name - Profile name, or null to fall back to the default lookup
+ */
+export function setActiveProfile(name) {
+  activeProfile = name || null;
+}
+
+/**
+ * Returns the name of the profile requests are made with
+ * @returns {string|null} null when the credentials come from the environment
+ */
+export function getActiveProfile() {
+  return resolveCredentials(activeProfile || undefined).profile;
+}
+
+function encodeCredentials(userId, password) {
+  const auth = Buffer.from(`${userId}:${password}`).toString("base64");
+  return `Basic ${auth}`;
+}
+
 /**
  * Creates a Basic Authentication header for WP Engine API requests
  * @returns The Base64 encoded authentication string
+ * @throws {MissingCredentialsError} If no credentials are configured
  */
 export function createAuthHeader() {
-  const API_USER_ID = process.env.WP_ENGINE_API_USER_ID || "";
-  const API_PASSWORD = process.env.WP_ENGINE_API_PASSWORD || "";
+  const { userId, password } = resolveCredentials(activeProfile || undefined);
+  return encodeCredentials(userId, password);
+}
 
-  if (!API_USER_ID || !API_PASSWORD) {
-    console.error(
-      "Error: WP Engine API credentials not found in environment variables."
-    );
-    console.error(
-      "Please create a .env file with WP_ENGINE_API_USER_ID and WP_ENGINE_API_PASSWORD."
-    );
-    process.exit(1);
+let apiClient = null;
+
+/**
+ * Returns the API client shared by every helper, creating it on first use
+ * @returns {WpeApiClient}
+ */
+export function getApiClient() {
+  if (!apiClient) {
+    // WPE_CACHE_TTL sets how many seconds cached responses stay fresh
+    const ttlSeconds =
+      Number(process.env.WPE_CACHE_TTL) || DEFAULT_CACHE_TTL_SECONDS;
+    apiClient = new WpeApiClient({
+      // Point the tool at another API, such as the bundled mock server
+      baseUrl: process.env.WPE_API_BASE_URL || DEFAULT_BASE_URL,
+      getAuthHeader: createAuthHeader,
+      cache: new ResponseCache({
+        dir: path.join(getConfigDir(), "cache"),
+        ttlMs: ttlSeconds * 1000,
+      }),
+      getCacheNamespace,
+      onMutation: recordMutation,
+    });
   }
+  return apiClient;
+}
 
-  // Create the authorization header
-  const auth = Buffer.from(`${API_USER_ID}:${API_PASSWORD}`).toString("base64");
-  return `Basic ${auth}`;
+/**
+ * Keys cached responses by profile, API user and API, so switching profiles
+ * (or pointing WPE_API_BASE_URL at the mock server) never shows other data
+ */
+function getCacheNamespace() {
+  const { profile, userId } = resolveCredentials(activeProfile || undefined);
+  return `${profile || "env"}:${userId}@${getApiClient().baseUrl}`;
 }
 
 /**
- * Fetches accounts from the WP Engine API
- * @returns {Promise<Array>} Array of account objects
+ * Writes an audit log entry for a finished mutating request, combining it
+ * with who made it and the action details set by the helper and its caller
  */
-export async function fetchAccounts() {
-  try {
-    const response = await fetch("https://api.wpengineapi.com/v1/accounts", {
-      headers: { Authorization: createAuthHeader() },
-    });
+function recordMutation({ response, ...request }) {
+  const { profile, userId } = resolveCredentials(activeProfile || undefined);
+  const {
+    source = null,
+    command = null,
+    action = null,
+    target = null,
+    confirmation = null,
+    reason = null,
+  } = getAuditContext();
+  appendAuditEntry({
+    profile: profile || null,
+    userId,
+    source,
+    command,
+    action,
+    // A create only learns the new resource's ID from the response
+    target:
+      target && !target.id && response && response.id
+        ? { ...target, id: response.id }
+        : target,
+    ...request,
+    confirmation,
+    reason,
+  });
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+/**
+ * Runs an API call with the action and target its audit entries should record.
+ * A name the caller supplied with withAuditContext({ targetName }) fills in a
+ * target the helper only knows by ID.
+ */
+function audited(action, target, call) {
+  const { targetName = null } = getAuditContext();
+  return withAuditContext(
+    { action, target: { name: targetName, ...target }, targetName: null },
+    call
+  );
+}
 
-    const data = await response.json();
-    return data.results || [];
-  } catch (error) {
-    console.error("Error fetching accounts:", error);
-    throw error;
-  }
+/**
+ * Turns reading from the response cache on or off (--no-cache).
+ * Fresh responses are still stored either way.
+ * @param {boolean} enabled
+ */
+export function setCacheEnabled(enabled) {
+  getApiClient().readFromCache = Boolean(enabled);
 }
 
 /**
- * Fetches all sites from the WP Engine API
- * @returns {Promise<Array>} Array of site objects
+ * Forgets every cached response for the active profile, so the next
+ * request of each kind goes to the API
  */
-export async function fetchSites() {
-  try {
-    const response = await fetch("https://api.wpengineapi.com/v1/sites", {
-      headers: { Authorization: createAuthHeader() },
-    });
+export function invalidateCache() {
+  const { cache } = getApiClient();
+  if (cache) cache.clear(getCacheNamespace());
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+/**
+ * Turns dry-run mode on or off. While it is on, every mutating helper records
+ * its request (see takeDryRunRequests) instead of sending it.
+ * @param {boolean} enabled
+ */
+export function setDryRun(enabled) {
+  getApiClient().dryRun = Boolean(enabled);
+}
 
-    const data = await response.json();
-    return data.results || [];
-  } catch (error) {
-    console.error("Error fetching sites:", error);
-    throw error;
-  }
+/**
+ * @returns {boolean} Whether dry-run mode is on
+ */
+export function isDryRun() {
+  return getApiClient().dryRun;
 }
 
 /**
- * Fetches sites for a specific account
+ * Returns the requests recorded in dry-run mode since the last call
+ * @returns {Array<{ method: string, url: string, headers: Object, body: * }>}
+ */
+export function takeDryRunRequests() {
+  return getApiClient().takeDryRunRequests();
+}
+
+/**
+ * Replaces the shared API client, e.g. to point the helpers at a local stand-in
+ * @param {WpeApiClient} client
+ */
+export function setApiClient(client) {
+  apiClient = client;
+}
+
+/**
+ * Checks that a user ID and password are accepted by the API
+ * @param {{ userId: string, password: string }} credentials
+ * @returns {Promise<void>}
+ * @throws {WpeApiError} If the API rejects the credentials
+ */
+export async function verifyCredentials({ userId, password }) {
+  const client = new WpeApiClient({
+    baseUrl: getApiClient().baseUrl,
+    getAuthHeader: () => encodeCredentials(userId, password),
+  });
+  await client.get("/accounts", { limit: 1 });
+}
+
+// ------------------- RESPONSE NORMALISATION ------------------- //
+
+/**
+ * Returns the ID of a related resource, whether the API sent it as
+ * a nested object (`{ account: { id } }`) or a bare ID string
+ */
+function getRelatedId(value) {
+  return value && typeof value === "object" ? value.id : value || null;
+}
+
+/**
+ * Gives every install the same shape, whichever endpoint it came from
+ * @param {Object} install - Install as returned by /installs or nested in /sites
+ * @param {Object} [site] - The site the install was nested in, if any
+ * @returns {Object} The install with `siteId` and `accountId` set
+ */
+export function normalizeInstall(install, site) {
+  return {
+    ...install,
+    siteId: getRelatedId(install.site) || (site && site.id) || null,
+    accountId:
+      getRelatedId(install.account) || (site && site.accountId) || null,
+    primary_domain: install.primary_domain || null,
+  };
+}
+
+/**
+ * Gives every site the same shape, whichever endpoint it came from
+ * @param {Object} site - Site as returned by /sites
+ * @returns {Object} The site with `accountId` set and its installs normalised
+ */
+export function normalizeSite(site) {
+  const normalized = {
+    ...site,
+    accountId: getRelatedId(site.account),
+  };
+  normalized.installs = (site.installs || []).map((install) =>
+    normalizeInstall(install, normalized)
+  );
+  return normalized;
+}
+
+// ------------------- READ HELPERS ------------------- //
+
+/**
+ * Fetches all accounts from the WP Engine API
+ * @param {Object} [options] - Pagination options, see WpeApiClient#getAllPages
+ * @returns {Promise<Array>} Array of account objects
+ */
+export async function fetchAccounts(options) {
+  return await getApiClient().getAllPages("/accounts", {}, options);
+}
+
+/**
+ * Fetches all sites from the WP Engine API
+ * @param {Object} [options] - Pagination options, see WpeApiClient#getAllPages
+ * @returns {Promise<Array>} Array of site objects
+ */
+export async function fetchSites(options) {
+  const sites = await getApiClient().getAllPages("/sites", {}, options);
+  return sites.map(normalizeSite);
+}
+
+/**
+ * Fetches sites for a specific account, filtered by the API
  * @param {string} accountId - The account ID to filter sites by
- * @returns {Promise<Array>} Array of site objects filtered by account
- */
-export async function fetchSitesByAccount(accountId) {
-  try {
-    // First, fetch all sites
-    const allSites = await fetchSites();
-
-    // Then filter sites by account ID
-    return allSites.filter((site) => {
-      // Check if the site belongs to the specified account
-      // Some sites may have an account property or we may need to check other properties
-      return (
-        site.account === accountId ||
-        (site.account && site.account.id === accountId) ||
-        site.accountId === accountId
-      );
-    });
-  } catch (error) {
-    console.error(`Error fetching sites for account ${accountId}:`, error);
-    throw error;
-  }
+ * @param {Object} [options] - Pagination options, see WpeApiClient#getAllPages
+ * @returns {Promise<Array>} Array of site objects in the account
+ */
+export async function fetchSitesByAccount(accountId, options) {
+  const sites = await getApiClient().getAllPages(
+    "/sites",
+    { account_id: accountId },
+    options
+  );
+  return sites.map(normalizeSite);
+}
+
+/**
+ * Fetches a single site, including a summary of its installs
+ * @param {string} siteId - The ID of the site
+ * @returns {Promise<Object>} The site object
+ */
+export async function fetchSite(siteId) {
+  const site = await getApiClient().get(`/sites/${siteId}`);
+  return normalizeSite(site);
 }
 
 /**
  * Fetches all installs from the WP Engine API
+ * @param {Object} [options] - Pagination options, see WpeApiClient#getAllPages
  * @returns {Promise<Array>} Array of install objects
  */
-export async function fetchInstalls() {
-  try {
-    const response = await fetch("https://api.wpengineapi.com/v1/installs", {
-      headers: { Authorization: createAuthHeader() },
-    });
+export async function fetchInstalls(options) {
+  const installs = await getApiClient().getAllPages("/installs", {}, options);
+  return installs.map((install) => normalizeInstall(install));
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+/**
+ * Fetches installs for a specific account, filtered by the API
+ * @param {string} accountId - The account ID to filter installs by
+ * @param {Object} [options] - Pagination options, see WpeApiClient#getAllPages
+ * @returns {Promise<Array>} Array of install objects in the account
+ */
+export async function fetchInstallsByAccount(accountId, options) {
+  const installs = await getApiClient().getAllPages(
+    "/installs",
+    { account_id: accountId },
+    options
+  );
+  return installs.map((install) => normalizeInstall(install));
+}
 
-    const data = await response.json();
-    return data.results || [];
-  } catch (error) {
-    console.error("Error fetching installs:", error);
-    throw error;
-  }
+/**
+ * Fetches installs for a specific site from the site's `installs` sub-resource.
+ * These are summaries; use fetchInstall for fields such as the primary domain.
+ * @param {string} siteId - The site ID to fetch installs for
+ * @param {Object} [options]
+ * @param {number} [options.maxItems] - Return at most this many installs
+ * @returns {Promise<Array>} Array of install objects on the site
+ */
+export async function fetchInstallsBySite(siteId, { maxItems } = {}) {
+  const site = await fetchSite(siteId);
+  return maxItems ? site.installs.slice(0, maxItems) : site.installs;
 }
 
 /**
- * Fetches installs for a specific site
- * @param {string} siteId - The site ID to filter installs by
- * @returns {Promise<Array>} Array of install objects filtered by site
+ * Fetches a single install with all of its details
+ * @param {string} installId - The ID of the install
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Bypass the response cache
+ * @returns {Promise<Object>} The install object
  */
-export async function fetchInstallsBySite(siteId) {
-  try {
-    // First, fetch all installs
-    const allInstalls = await fetchInstalls();
+export async function fetchInstall(installId, { fresh = false } = {}) {
+  const install = await getApiClient().get(
+    `/installs/${installId}`,
+    undefined,
+    { fresh }
+  );
+  return normalizeInstall(install);
+}
 
-    // Then filter installs by site ID
-    return allInstalls.filter((install) => {
-      // Check if the install belongs to the specified site
-      return (
-        install.site === siteId ||
-        (install.site && install.site.id === siteId) ||
-        install.siteId === siteId
-      );
-    });
-  } catch (error) {
-    console.error(`Error fetching installs for site ${siteId}:`, error);
-    throw error;
-  }
+// ------------------- WRITE HELPERS ------------------- //
+
+/**
+ * Checks a delete against the policy file before anything is sent. A reason
+ * for deleting a protected install comes from withAuditContext({ reason }).
+ * In dry-run mode a permitted delete is remembered, for requireDryRun.
+ * @param {Object} policy - As returned by loadPolicy
+ * @param {string} action - "delete-install" or "delete-site"
+ * @param {{ id: string, name: string }} target
+ * @param {Array<Object>} installs - The installs the delete removes
+ * @throws {PolicyViolationError}
+ */
+function checkDeletePolicy(policy, action, target, installs) {
+  const dryRun = isDryRun();
+  enforceDelete(policy, {
+    action,
+    target,
+    installs,
+    dryRun,
+    reason: getAuditContext().reason,
+  });
+  if (dryRun) recordDryRun(action, target.id);
 }
 
 /**
- * Delete an install by ID
+ * Delete an install by ID. Refused when the policy file does not allow it.
  * @param {string} installId - The ID of the install to delete
  * @returns {Promise<Object>} The response from the API
  */
 export async function deleteInstall(installId) {
-  try {
-    const credentials = createAuthHeader();
-
-    if (!credentials) {
-      throw new Error(
-        "API credentials not found. Please check your .env file."
-      );
-    }
-
-    const response = await fetch(
-      `https://api.wpengineapi.com/v1/installs/${installId}`,
-      {
-        method: "DELETE",
-        headers: {
-          Authorization: credentials,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `Failed to delete install: ${response.status} ${
-          response.statusText
-        }\n${JSON.stringify(errorData, null, 2)}`
-      );
-    }
-
-    return { success: true };
-  } catch (error) {
-    console.error("Error deleting install:", error);
-    throw error;
-  }
+  const policy = loadPolicy();
+  // Protection rules match on the install's name and environment, and the
+  // audit entry needs the name when the caller did not supply it
+  const install =
+    policy || !getAuditContext().targetName
+      ? await fetchInstall(installId)
+      : null;
+  if (policy) checkDeletePolicy(policy, "delete-install", install, [install]);
+  await audited(
+    "delete-install",
+    {
+      type: "install",
+      id: installId,
+      ...(install && { name: install.name }),
+    },
+    () => getApiClient().delete(`/installs/${installId}`)
+  );
+  return { success: true };
 }
 
 /**
@@ -196,47 +392,18 @@ export async function deleteInstall(installId) {
  * @returns {Promise<Object>} The newly created install
  */
 export async function createInstall(siteId, accountId, installData) {
-  try {
-    const credentials = createAuthHeader();
-
-    if (!credentials) {
-      throw new Error(
-        "API credentials not found. Please check your .env file."
-      );
-    }
+  // The API expects site_id and account_id
+  const requestBody = {
+    site_id: siteId,
+    account_id: accountId,
+    ...installData,
+  };
 
-    // The API expects site_id and account_id
-    const requestBody = {
-      site_id: siteId,
-      account_id: accountId,
-      ...installData,
-    };
-
-    console.log(`Request Body: ${JSON.stringify(requestBody)}`);
-
-    const response = await fetch(`https://api.wpengineapi.com/v1/installs`, {
-      method: "POST",
-      headers: {
-        Authorization: credentials,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `Failed to create install: ${response.status} ${
-          response.statusText
-        }\n${JSON.stringify(errorData, null, 2)}`
-      );
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error("Error creating install:", error);
-    throw error;
-  }
+  return await audited(
+    "create-install",
+    { type: "install", name: installData.name, siteId, accountId },
+    () => getApiClient().post("/installs", requestBody)
+  );
 }
 
 /**
@@ -246,44 +413,677 @@ export async function createInstall(siteId, accountId, installData) {
  * @returns {Promise<Object>} The newly created site
  */
 export async function createSite(accountId, siteData) {
-  try {
-    const credentials = createAuthHeader();
+  // The API expects account_id
+  const requestBody = {
+    account_id: accountId,
+    ...siteData,
+  };
+
+  return await audited(
+    "create-site",
+    { type: "site", name: siteData.name, accountId },
+    () => getApiClient().post("/sites", requestBody)
+  );
+}
+
+// ------------------- PROVISIONING ------------------- //
 
-    if (!credentials) {
-      throw new Error(
-        "API credentials not found. Please check your .env file."
+/**
+ * Install statuses meaning the install is usable, or will never become usable
+ */
+export const READY_INSTALL_STATUS = "active";
+export const FAILED_INSTALL_STATUSES = ["failed", "error"];
+
+/**
+ * Backup statuses meaning the backup finished, or will never finish
+ */
+export const COMPLETED_BACKUP_STATUS = "completed";
+export const FAILED_BACKUP_STATUSES = ["failed", "error"];
+
+/**
+ * Thrown when something being waited on ends up in a failed state or does
+ * not finish before the wait times out
+ */
+export class WaitError extends Error {
+  constructor(message, { id, status, elapsedMs }) {
+    super(message);
+    this.name = "WaitError";
+    this.id = id;
+    this.status = status;
+    this.elapsedMs = elapsedMs;
+  }
+}
+
+/**
+ * Sleeps, waking early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function waitOrAbort(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener(
+        "abort",
+        () => {
+          clearTimeout(timer);
+          resolve();
+        },
+        { once: true }
       );
     }
+  });
+}
 
-    // The API expects account_id
-    const requestBody = {
-      account_id: accountId,
-      ...siteData,
-    };
-
-    console.log(`Request Body: ${JSON.stringify(requestBody)}`);
-
-    const response = await fetch(`https://api.wpengineapi.com/v1/sites`, {
-      method: "POST",
-      headers: {
-        Authorization: credentials,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-    });
+/**
+ * Loads a resource repeatedly until its status is the ready one
+ * @param {() => Promise<Object>} load - Fetches the resource, bypassing the cache
+ * @param {Object} settings
+ * @param {(resource: Object) => string} settings.describe - Names the resource in errors, e.g. 'Install "acme"'
+ * @param {string} settings.readyStatus
+ * @param {string[]} settings.failedStatuses
+ * @param {number} settings.timeoutMs
+ * @param {number} settings.intervalMs
+ * @param {number} [settings.initialDelayMs=0] - Wait this long before the first poll
+ * @param {(resource: Object, elapsedMs: number) => void} [settings.onPoll]
+ * @param {AbortSignal} [settings.signal]
+ * @returns {Promise<Object|null>} The ready resource, or null if the wait was aborted
+ * @throws {WaitError}
+ */
+async function pollUntilReady(
+  load,
+  {
+    describe,
+    readyStatus,
+    failedStatuses,
+    timeoutMs,
+    intervalMs,
+    initialDelayMs = 0,
+    onPoll,
+    signal,
+  }
+) {
+  const startedAt = Date.now();
+  if (initialDelayMs) await waitOrAbort(initialDelayMs, signal);
+  while (!(signal && signal.aborted)) {
+    const resource = await load();
+    const elapsedMs = Date.now() - startedAt;
+    if (onPoll) onPoll(resource, elapsedMs);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `Failed to create site: ${response.status} ${
-          response.statusText
-        }\n${JSON.stringify(errorData, null, 2)}`
+    const details = { id: resource.id, status: resource.status, elapsedMs };
+    if (resource.status === readyStatus) return resource;
+    if (failedStatuses.includes(resource.status)) {
+      throw new WaitError(
+        `${describe(resource)} failed (status: ${resource.status})`,
+        details
+      );
+    }
+    if (elapsedMs >= timeoutMs) {
+      throw new WaitError(
+        `${describe(resource)} was still ${
+          resource.status || "in progress"
+        } after ${Math.round(elapsedMs / 1000)}s`,
+        details
       );
     }
+    // The last poll lands on the timeout rather than a whole interval past it
+    await waitOrAbort(Math.min(intervalMs, timeoutMs - elapsedMs), signal);
+  }
+  return null;
+}
+
+/**
+ * Polls an install until it is active, e.g. after creating it or copying to it
+ * @param {string} installId - The ID of the install
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=900000] - Give up after this long (default 15 minutes)
+ * @param {number} [options.intervalMs=5000] - Time between polls
+ * @param {number} [options.initialDelayMs=0] - Wait before the first poll, for installs that are still active when the wait starts
+ * @param {(install: Object, elapsedMs: number) => void} [options.onPoll] - Called with each status seen
+ * @param {AbortSignal} [options.signal] - Stops waiting without an error
+ * @returns {Promise<Object|null>} The active install, or null if the wait was aborted
+ * @throws {WaitError}
+ */
+export async function waitForInstall(
+  installId,
+  {
+    timeoutMs = 15 * 60 * 1000,
+    intervalMs = 5000,
+    initialDelayMs,
+    onPoll,
+    signal,
+  } = {}
+) {
+  return pollUntilReady(() => fetchInstall(installId, { fresh: true }), {
+    describe: (install) => `Install "${install.name}"`,
+    readyStatus: READY_INSTALL_STATUS,
+    failedStatuses: FAILED_INSTALL_STATUSES,
+    timeoutMs,
+    intervalMs,
+    initialDelayMs,
+    onPoll,
+    signal,
+  });
+}
+
+// ------------------- INSTALL MANAGEMENT HELPERS ------------------- //
+
+/**
+ * The cache layers that can be purged on an install
+ */
+export const CACHE_TYPES = ["object", "page", "cdn"];
+
+/**
+ * Fetches the domains attached to an install
+ * @param {string} installId - The ID of the install
+ * @returns {Promise<Array>} Array of domain objects
+ */
+export async function fetchDomains(installId) {
+  return await getApiClient().getAllPages(`/installs/${installId}/domains`);
+}
+
+/**
+ * Adds a domain to an install
+ * @param {string} installId - The ID of the install
+ * @param {Object} domainData - The domain to add
+ * @param {string} domainData.name - The domain name, e.g. "example.com"
+ * @param {boolean} [domainData.primary] - Whether to make it the primary domain
+ * @returns {Promise<Object>} The newly added domain
+ */
+export async function addDomain(installId, domainData) {
+  return await audited(
+    "add-domain",
+    { type: "domain", name: domainData.name, installId },
+    () => getApiClient().post(`/installs/${installId}/domains`, domainData)
+  );
+}
+
+/**
+ * Makes one of an install's domains its primary domain
+ * @param {string} installId - The ID of the install
+ * @param {string} domainId - The ID of the domain
+ * @returns {Promise<Object>} The updated domain
+ */
+export async function setPrimaryDomain(installId, domainId) {
+  return await audited(
+    "set-primary-domain",
+    { type: "domain", id: domainId, installId },
+    () =>
+      getApiClient().patch(`/installs/${installId}/domains/${domainId}`, {
+        primary: true,
+      })
+  );
+}
+
+/**
+ * Removes a domain from an install
+ * @param {string} installId - The ID of the install
+ * @param {string} domainId - The ID of the domain
+ * @returns {Promise<Object>} The response from the API
+ */
+export async function deleteDomain(installId, domainId) {
+  await audited(
+    "delete-domain",
+    { type: "domain", id: domainId, installId },
+    () => getApiClient().delete(`/installs/${installId}/domains/${domainId}`)
+  );
+  return { success: true };
+}
+
+/**
+ * Fetches the backups of an install
+ * @param {string} installId - The ID of the install
+ * @returns {Promise<Array>} Array of backup objects
+ */
+export async function fetchBackups(installId) {
+  return await getApiClient().getAllPages(`/installs/${installId}/backups`);
+}
+
+/**
+ * Starts a backup of an install
+ * @param {string} installId - The ID of the install
+ * @param {Object} backupData
+ * @param {string} backupData.description - Shown in the backup list
+ * @param {string[]} backupData.notificationEmails - Addresses emailed when the backup completes
+ * @returns {Promise<Object>} The backup, usually still in progress
+ */
+export async function createBackup(
+  installId,
+  { description, notificationEmails }
+) {
+  return await audited(
+    "create-backup",
+    { type: "install", id: installId },
+    () =>
+      getApiClient().post(`/installs/${installId}/backups`, {
+        description,
+        notification_emails: notificationEmails,
+      })
+  );
+}
+
+/**
+ * Fetches a single backup, e.g. to see whether it has completed
+ * @param {string} installId - The ID of the install
+ * @param {string} backupId - The ID of the backup
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh=false] - Bypass the response cache
+ * @returns {Promise<Object>} The backup object
+ */
+export async function fetchBackup(installId, backupId, { fresh = false } = {}) {
+  return await getApiClient().get(
+    `/installs/${installId}/backups/${backupId}`,
+    undefined,
+    { fresh }
+  );
+}
+
+/**
+ * Polls a backup until it has completed
+ * @param {string} installId - The ID of the install
+ * @param {string} backupId - The ID of the backup
+ * @param {Object} [options] - As for waitForInstall
+ * @returns {Promise<Object|null>} The completed backup, or null if the wait was aborted
+ * @throws {WaitError}
+ */
+export async function waitForBackup(
+  installId,
+  backupId,
+  { timeoutMs = 30 * 60 * 1000, intervalMs = 5000, onPoll, signal } = {}
+) {
+  return pollUntilReady(
+    () => fetchBackup(installId, backupId, { fresh: true }),
+    {
+      describe: () => `Backup ${backupId}`,
+      readyStatus: COMPLETED_BACKUP_STATUS,
+      failedStatuses: FAILED_BACKUP_STATUSES,
+      timeoutMs,
+      intervalMs,
+      onPoll,
+      signal,
+    }
+  );
+}
+
+/**
+ * Purges one of an install's cache layers
+ * @param {string} installId - The ID of the install
+ * @param {string} type - One of CACHE_TYPES
+ * @returns {Promise<Object>} The response from the API
+ */
+export async function purgeCache(installId, type) {
+  await audited("purge-cache", { type: "install", id: installId }, () =>
+    getApiClient().post(`/installs/${installId}/purge_cache`, { type })
+  );
+  return { success: true };
+}
+
+/**
+ * Fetches the SSH/SFTP users of an install
+ * @param {string} installId - The ID of the install
+ * @returns {Promise<Array>} Array of SFTP user objects
+ */
+export async function fetchSftpUsers(installId) {
+  return await getApiClient().getAllPages(`/installs/${installId}/sftp_users`);
+}
 
-    return await response.json();
-  } catch (error) {
-    console.error("Error creating site:", error);
-    throw error;
+// ------------------- SITE MANAGEMENT HELPERS ------------------- //
+
+/**
+ * Updates a site's details
+ * @param {string} siteId - The ID of the site
+ * @param {Object} siteData - The fields to change, e.g. { name }
+ * @returns {Promise<Object>} The updated site
+ */
+export async function updateSite(siteId, siteData) {
+  const site = await audited("update-site", { type: "site", id: siteId }, () =>
+    getApiClient().patch(`/sites/${siteId}`, siteData)
+  );
+  return normalizeSite(site);
+}
+
+/**
+ * Delete a site by ID. A site that still has installs is only deleted
+ * when `cascade` is set, in which case its installs are deleted first.
+ * Refused when the policy file does not allow deleting any of them.
+ * @param {string} siteId - The ID of the site to delete
+ * @param {Object} [options]
+ * @param {boolean} [options.cascade=false] - Delete the site's installs too
+ * @returns {Promise<Object>} The response from the API
+ */
+export async function deleteSite(siteId, { cascade = false } = {}) {
+  const site = await fetchSite(siteId);
+  if (site.installs.length && !cascade) {
+    throw new Error(
+      `Site "${site.name}" still has ${site.installs.length} install(s). Delete them first or confirm a cascade delete.`
+    );
   }
+  // Check every install up front, so a refusal leaves the site untouched
+  const policy = loadPolicy();
+  if (policy) checkDeletePolicy(policy, "delete-site", site, site.installs);
+  await audited(
+    "delete-site",
+    { type: "site", id: siteId, name: site.name },
+    async () => {
+      for (const install of site.installs) {
+        await withAuditContext({ targetName: install.name }, () =>
+          deleteInstall(install.id)
+        );
+      }
+      await getApiClient().delete(`/sites/${siteId}`);
+    }
+  );
+  return { success: true, deletedInstalls: site.installs.length };
+}
+
+// ------------------- ACCOUNT USER HELPERS ------------------- //
+
+/**
+ * Roles that can be given to account users. "owner" is also reported by the
+ * API but can only be transferred in the User Portal. Partial users only see
+ * the installs listed in their install_ids.
+ */
+export const ACCOUNT_USER_ROLES = [
+  "full",
+  "full,billing",
+  "partial",
+  "partial,billing",
+];
+
+/**
+ * Whether a role only gives access to chosen installs
+ * @param {string} roles - e.g. "partial,billing"
+ * @returns {boolean}
+ */
+export function isPartialRole(roles) {
+  return (roles || "").split(",").includes("partial");
+}
+
+/**
+ * Fetches the users of an account, with their roles and install access
+ * @param {string} accountId
+ * @returns {Promise<Array>} Array of account user objects
+ */
+export async function fetchAccountUsers(accountId) {
+  return await getApiClient().getAllPages(
+    `/accounts/${accountId}/account_users`
+  );
+}
+
+/**
+ * Invites a user to an account. They get an email to accept the invitation.
+ * @param {string} accountId
+ * @param {Object} userData
+ * @param {string} userData.first_name
+ * @param {string} userData.last_name
+ * @param {string} userData.email
+ * @param {string} userData.roles - One of ACCOUNT_USER_ROLES
+ * @param {string[]} [userData.install_ids] - Required for partial roles
+ * @returns {Promise<Object>} The new account user
+ */
+export async function inviteAccountUser(accountId, userData) {
+  const response = await audited(
+    "invite-account-user",
+    { type: "account-user", name: userData.email, accountId },
+    () =>
+      getApiClient().post(`/accounts/${accountId}/account_users`, {
+        user: { account_id: accountId, ...userData },
+      })
+  );
+  // The API wraps the new user with a message
+  return (response && response.account_user) || response;
+}
+
+/**
+ * Changes an account user's role and, for partial roles, their installs
+ * @param {string} accountId
+ * @param {string} userId
+ * @param {{ roles: string, install_ids?: string[] }} changes
+ * @returns {Promise<Object>} The updated account user
+ */
+export async function updateAccountUser(accountId, userId, changes) {
+  const response = await audited(
+    "update-account-user",
+    { type: "account-user", id: userId, accountId },
+    () =>
+      getApiClient().patch(
+        `/accounts/${accountId}/account_users/${userId}`,
+        changes
+      )
+  );
+  return (response && response.account_user) || response;
+}
+
+/**
+ * Removes a user from an account
+ * @param {string} accountId
+ * @param {string} userId
+ * @returns {Promise<Object>} The response from the API
+ */
+export async function removeAccountUser(accountId, userId) {
+  return await audited(
+    "remove-account-user",
+    { type: "account-user", id: userId, accountId },
+    () =>
+      getApiClient().delete(`/accounts/${accountId}/account_users/${userId}`)
+  );
+}
+
+// ------------------- USAGE HELPERS ------------------- //
+
+/**
+ * Fetches an install's daily usage: visits, bandwidth and storage
+ * @param {string} installId
+ * @param {Object} range
+ * @param {string} range.firstDate - First day to include, e.g. "2024-05-01"
+ * @param {string} range.lastDate - Last day to include
+ * @returns {Promise<{ install_id: string, install_name: string, environment: string, metrics: Array<Object> }>}
+ *   One entry in metrics per day, oldest first
+ */
+export async function fetchInstallUsage(installId, { firstDate, lastDate }) {
+  return await getApiClient().get(`/installs/${installId}/usage`, {
+    first_date: firstDate,
+    last_date: lastDate,
+  });
+}
+
+/**
+ * Fetches the daily usage of every install of an account
+ * @param {string} accountId
+ * @param {Object} range - As for fetchInstallUsage
+ * @returns {Promise<Array<Object>>} One entry per install, as from fetchInstallUsage
+ */
+export async function fetchAccountUsage(accountId, { firstDate, lastDate }) {
+  const usage = await getApiClient().get(`/accounts/${accountId}/usage`, {
+    first_date: firstDate,
+    last_date: lastDate,
+  });
+  return (usage && usage.installs) || [];
+}
+
+// ------------------- ENVIRONMENT COPY ------------------- //
+
+/**
+ * What an environment copy can include
+ */
+export const COPY_SCOPES = ["files", "database", "both"];
+
+/**
+ * Starts copying one install's files and/or database over another's
+ * @param {string} sourceId - The ID of the install to copy from
+ * @param {string} destinationId - The ID of the install to overwrite
+ * @param {string} scope - One of COPY_SCOPES
+ * @returns {Promise<Object>} The response from the API
+ */
+export async function copyInstall(sourceId, destinationId, scope) {
+  return await audited(
+    "copy-install",
+    { type: "install", id: destinationId, sourceId },
+    () =>
+      getApiClient().post(
+        `/installs/${destinationId}/copy`,
+        buildCopyBody(sourceId, scope)
+      )
+  );
+}
+
+function buildCopyBody(sourceId, scope) {
+  return {
+    source_install_id: sourceId,
+    files: scope !== "database",
+    database: scope !== "files",
+  };
+}
+
+/**
+ * Records, in dry-run mode, the copy that a new install would get once it
+ * exists. The install was never created, so the URL holds a placeholder
+ * named after it where its ID would go.
+ * @param {string} sourceId - The install to copy from
+ * @param {string} name - The name of the new install
+ * @param {string} scope - One of COPY_SCOPES
+ */
+export function recordDryRunCopyToNewInstall(sourceId, name, scope) {
+  const client = getApiClient();
+  client.recordDryRunRequest(
+    "POST",
+    `${client.baseUrl}/installs/{new install "${name}"}/copy`,
+    buildCopyBody(sourceId, scope)
+  );
+}
+
+/**
+ * Checks that an install can be copied into a new install of a site, so a
+ * wrong source is caught before the new install is created
+ * @param {string} sourceId - The install to copy from
+ * @param {string} siteId - The site the new install will belong to
+ * @returns {Promise<Object>} The source install
+ */
+export async function checkCopySource(sourceId, siteId) {
+  const source = await fetchInstall(sourceId);
+  if (source.siteId !== siteId) {
+    throw new Error(
+      `"${source.name}" belongs to a different site. Environments can only be copied within a site.`
+    );
+  }
+  return source;
+}
+
+/**
+ * Copies one install of a site over another, e.g. to promote staging to
+ * production. The destination is backed up first, and each step waits for
+ * the previous one to finish:
+ *
+ *   backup → wait for the backup → copy → wait for the destination to be active again
+ *
+ * @param {Object} params
+ * @param {string} params.sourceId - The install to copy from
+ * @param {string} params.destinationId - The install to overwrite
+ * @param {string} params.scope - One of COPY_SCOPES
+ * @param {string[]} [params.notificationEmails] - Emailed when the backup completes
+ * @param {boolean} [params.backup=true] - Back up the destination first. Only worth
+ *   skipping for a new, empty install.
+ * @param {(step: "backup"|"copy", resource: Object, elapsedMs: number) => void} [params.onProgress]
+ *   Called with each status seen while waiting
+ * @returns {Promise<{ source: Object, destination: Object, backup: Object|null }>}
+ * @throws {WaitError} If the backup or copy fails or times out
+ */
+export async function copyEnvironment({
+  sourceId,
+  destinationId,
+  scope,
+  notificationEmails,
+  backup: shouldBackUp = true,
+  onProgress = () => {},
+}) {
+  if (!COPY_SCOPES.includes(scope)) {
+    throw new Error(
+      `Cannot copy "${scope}". Expected one of: ${COPY_SCOPES.join(", ")}`
+    );
+  }
+  const [source, destination] = await Promise.all([
+    fetchInstall(sourceId),
+    fetchInstall(destinationId),
+  ]);
+  if (source.id === destination.id) {
+    throw new Error("The source and destination must be different installs");
+  }
+  if (source.siteId !== destination.siteId) {
+    throw new Error(
+      `"${source.name}" and "${destination.name}" belong to different sites. Environments can only be copied within a site.`
+    );
+  }
+
+  const backup = shouldBackUp
+    ? await withAuditContext({ targetName: destination.name }, () =>
+        createBackup(destination.id, {
+          description: `Before copying ${scope} from ${source.name}`,
+          notificationEmails,
+        })
+      )
+    : null;
+  // In dry-run mode nothing was started, so there is nothing to wait for
+  if (backup && backup.id) {
+    await waitForBackup(destination.id, backup.id, {
+      onPoll: (current, elapsedMs) => onProgress("backup", current, elapsedMs),
+    });
+  }
+
+  const copy = await withAuditContext({ targetName: destination.name }, () =>
+    copyInstall(source.id, destination.id, scope)
+  );
+  if (copy && copy.dryRun) {
+    return { source, destination, backup };
+  }
+  // The destination may still report active for a moment after the copy
+  // is accepted, so give it one interval to change state
+  const copied = await waitForInstall(destination.id, {
+    initialDelayMs: 5000,
+    onPoll: (current, elapsedMs) => onProgress("copy", current, elapsedMs),
+  });
+  return { source, destination: copied, backup };
+}
+
+// ------------------- BULK OPERATIONS ------------------- //
+
+export const BULK_CONCURRENCY = 4;
+
+/**
+ * Runs an operation for each item, a few at a time, and reports how each went.
+ * One failure does not stop the others.
+ * @param {Array} items
+ * @param {(item: *) => Promise<*>} operation - Usually a single API helper call
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=BULK_CONCURRENCY] - How many run at once
+ * @returns {Promise<Array<{ item: *, status: "done"|"failed", result: *, error: Error|null }>>}
+ *   One entry per item, in the order the items were given
+ */
+export async function runBulk(
+  items,
+  operation,
+  { concurrency = BULK_CONCURRENCY } = {}
+) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        const result = await operation(item);
+        results[index] = { item, status: "done", result, error: null };
+      } catch (error) {
+        results[index] = { item, status: "failed", result: null, error };
+      }
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.min(concurrency, items.length) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
 }
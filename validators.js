@@ -0,0 +1,215 @@
+/**
+ * Field validators shared by the interactive forms and the non-interactive
+ * commands. Each returns an error message, or null when the value is valid.
+ */
+import { ALL_ENVIRONMENTS } from "./constants.js";
+import { fetchInstallsByAccount } from "./utils.js";
+
+export const INSTALL_NAME_MIN_LENGTH = 3;
+export const INSTALL_NAME_MAX_LENGTH = 14;
+export const SITE_NAME_MAX_LENGTH = 100;
+export const GROUP_NAME_MAX_LENGTH = 40;
+export const TAG_MAX_LENGTH = 30;
+export const USAGE_MAX_DAYS = 366;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i;
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 ** 2,
+  gb: 1024 ** 3,
+  tb: 1024 ** 4,
+};
+
+/**
+ * Install names become hostnames (name.wpengine.com), so they are limited to
+ * lowercase letters and digits, start with a letter, and are 3–14 long.
+ * Names are unique across all of WP Engine; only the API can confirm that.
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function validateInstallName(name) {
+  if (!name) return "An install name is required.";
+  if (/[A-Z]/.test(name)) return "Install names must be lowercase.";
+  if (!/^[a-z0-9]+$/.test(name)) {
+    return "Install names may only contain letters and digits.";
+  }
+  if (!/^[a-z]/.test(name)) return "Install names must start with a letter.";
+  if (
+    name.length < INSTALL_NAME_MIN_LENGTH ||
+    name.length > INSTALL_NAME_MAX_LENGTH
+  ) {
+    return `Install names must be ${INSTALL_NAME_MIN_LENGTH}–${INSTALL_NAME_MAX_LENGTH} characters long (this one is ${name.length}).`;
+  }
+  return null;
+}
+
+/**
+ * @param {string} environment
+ * @returns {string|null}
+ */
+export function validateEnvironment(environment) {
+  return ALL_ENVIRONMENTS.includes(environment)
+    ? null
+    : `"${environment}" is not an environment. Expected one of: ${ALL_ENVIRONMENTS.join(
+        ", "
+      )}.`;
+}
+
+/**
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function validateSiteName(name) {
+  if (!name || !name.trim()) return "A site name is required.";
+  if (name.length > SITE_NAME_MAX_LENGTH) {
+    return `Site names can be at most ${SITE_NAME_MAX_LENGTH} characters long.`;
+  }
+  return null;
+}
+
+/**
+ * The optional group a site is filed under in the User Portal
+ * @param {string} [group]
+ * @returns {string|null}
+ */
+export function validateGroupName(group) {
+  if (group && group.length > GROUP_NAME_MAX_LENGTH) {
+    return `Group names can be at most ${GROUP_NAME_MAX_LENGTH} characters long.`;
+  }
+  return null;
+}
+
+/**
+ * @param {string[]} [tags]
+ * @returns {string|null}
+ */
+export function validateTags(tags = []) {
+  const tooLong = tags.find((tag) => tag.length > TAG_MAX_LENGTH);
+  if (tooLong) {
+    return `Tag "${tooLong}" is too long. Tags can be at most ${TAG_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * @param {string} email
+ * @returns {string|null}
+ */
+export function validateEmail(email) {
+  return EMAIL_PATTERN.test(email || "")
+    ? null
+    : `"${email || ""}" is not a valid email address.`;
+}
+
+/**
+ * A calendar date written as YYYY-MM-DD
+ * @param {string} date
+ * @returns {string|null}
+ */
+export function validateDate(date) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (
+    !DATE_PATTERN.test(date || "") ||
+    Number.isNaN(parsed.getTime()) ||
+    // Catches dates that roll over, such as 2024-02-30
+    parsed.toISOString().slice(0, 10) !== date
+  ) {
+    return `"${date || ""}" is not a date. Use YYYY-MM-DD, e.g. 2024-05-01.`;
+  }
+  return null;
+}
+
+/**
+ * A usage date range: valid dates, in order, not in the future and at most
+ * USAGE_MAX_DAYS long
+ * @param {string} firstDate
+ * @param {string} lastDate
+ * @param {Date} [today]
+ * @returns {string|null}
+ */
+export function validateDateRange(firstDate, lastDate, today = new Date()) {
+  const error = validateDate(firstDate) || validateDate(lastDate);
+  if (error) return error;
+  if (firstDate > lastDate) {
+    return `The range starts (${firstDate}) after it ends (${lastDate}).`;
+  }
+  if (lastDate > today.toISOString().slice(0, 10)) {
+    return `The range cannot end in the future (${lastDate}).`;
+  }
+  const days = (Date.parse(lastDate) - Date.parse(firstDate)) / 86400000 + 1;
+  if (days > USAGE_MAX_DAYS) {
+    return `The range can cover at most ${USAGE_MAX_DAYS} days (this one is ${days}).`;
+  }
+  return null;
+}
+
+/**
+ * A data size such as "500MB", "1.5 GB" or a plain number of bytes
+ * @param {string} size
+ * @returns {string|null}
+ */
+export function validateSize(size) {
+  return SIZE_PATTERN.test(String(size ?? "").trim())
+    ? null
+    : `"${
+        size ?? ""
+      }" is not a size. Use a number with an optional unit, e.g. 500MB or 50GB.`;
+}
+
+/**
+ * Converts a size accepted by validateSize into bytes
+ * @param {string} size
+ * @returns {number}
+ */
+export function parseSize(size) {
+  const [, amount, unit = "b"] = SIZE_PATTERN.exec(String(size).trim());
+  return Math.round(Number(amount) * SIZE_UNITS[unit.toLowerCase()]);
+}
+
+/**
+ * An http or https URL, such as a webhook to notify
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  return parsed && ["http:", "https:"].includes(parsed.protocol)
+    ? null
+    : `"${url || ""}" is not an http or https URL.`;
+}
+
+/**
+ * Splits a comma-separated list such as "client, wordpress" into tags
+ * @param {string} [text]
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+  return (text || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Checks a new install name against the installs of the account it is being
+ * added to. Only that account's list is fetched, and it comes from the
+ * response cache after the first name, so checking each name typed stays
+ * cheap. Names used in other accounts are only caught by the API.
+ * @param {string} name
+ * @param {string} accountId - The account the install will belong to
+ * @returns {Promise<string|null>}
+ */
+export async function checkInstallNameAvailable(name, accountId) {
+  const installs = await fetchInstallsByAccount(accountId);
+  return installs.some((install) => install.name === name)
+    ? `The install name "${name}" is already taken.`
+    : null;
+}
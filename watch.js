@@ -0,0 +1,369 @@
+/**
+ * Watch mode: polls the sites and installs of one or more accounts, compares
+ * each snapshot with the one before, and sends any changes to the terminal,
+ * a file and/or a webhook.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import chalk from "chalk";
+import {
+  fetchAccounts,
+  fetchSitesByAccount,
+  fetchInstallsByAccount,
+  fetchDomains,
+  invalidateCache,
+  runBulk,
+  waitOrAbort,
+} from "./utils.js";
+
+export const DEFAULT_WATCH_INTERVAL_SECONDS = 300;
+export const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * The kinds of change a watch reports
+ */
+export const CHANGE_TYPES = {
+  "site-added": "A site was added",
+  "site-removed": "A site was deleted",
+  "install-added": "An install was added",
+  "install-removed": "An install was deleted",
+  "primary-domain-changed": "An install's primary domain changed",
+  "domains-changed": "Domains were added to or removed from an install",
+  "php-version-changed": "An install's PHP version changed",
+};
+
+/**
+ * Records the current sites and installs of some accounts
+ * @param {Object} [options]
+ * @param {string[]} [options.accountIds] - Defaults to every account
+ * @param {boolean} [options.includeDomains=false] - Also record each install's
+ *   full domain list, at the cost of one request per install
+ * @returns {Promise<{ takenAt: string, accounts: Object, sites: Object, installs: Object }>}
+ *   accounts, sites and installs are keyed by ID
+ */
+export async function takeSnapshot({
+  accountIds,
+  includeDomains = false,
+} = {}) {
+  // Every poll must see the API's current state, not the cached one
+  invalidateCache();
+  const accounts = (await fetchAccounts()).filter(
+    (account) => !accountIds || accountIds.includes(account.id)
+  );
+  const missing = (accountIds || []).filter(
+    (id) => !accounts.some((account) => account.id === id)
+  );
+  if (missing.length) {
+    throw new Error(`No access to account(s): ${missing.join(", ")}`);
+  }
+
+  const snapshot = {
+    takenAt: new Date().toISOString(),
+    accounts: {},
+    sites: {},
+    installs: {},
+  };
+  for (const account of accounts) {
+    const [sites, installs] = await Promise.all([
+      fetchSitesByAccount(account.id),
+      fetchInstallsByAccount(account.id),
+    ]);
+    snapshot.accounts[account.id] = { id: account.id, name: account.name };
+    sites.forEach((site) => {
+      snapshot.sites[site.id] = {
+        id: site.id,
+        name: site.name,
+        accountId: account.id,
+      };
+    });
+    installs.forEach((install) => {
+      snapshot.installs[install.id] = {
+        id: install.id,
+        name: install.name,
+        environment: install.environment,
+        siteId: install.siteId,
+        accountId: account.id,
+        primary_domain: install.primary_domain,
+        php_version: install.php_version || null,
+      };
+    });
+  }
+
+  if (includeDomains) {
+    const installs = Object.values(snapshot.installs);
+    const results = await runBulk(installs, (install) =>
+      fetchDomains(install.id)
+    );
+    results.forEach(({ item, result }) => {
+      // A failed lookup leaves the list unknown rather than empty, so it is not reported as a change
+      snapshot.installs[item.id].domains = result
+        ? result.map((domain) => domain.name).sort()
+        : null;
+    });
+  }
+  return snapshot;
+}
+
+function describeInstall(snapshot, install) {
+  const account = snapshot.accounts[install.accountId];
+  const site = snapshot.sites[install.siteId];
+  return [account && account.name, site && site.name, install.name]
+    .filter(Boolean)
+    .join(" / ");
+}
+
+function describeSite(snapshot, site) {
+  const account = snapshot.accounts[site.accountId];
+  return [account && account.name, site.name].filter(Boolean).join(" / ");
+}
+
+/**
+ * Lists what changed between two snapshots
+ * @param {Object} previous - As from takeSnapshot
+ * @param {Object} current - As from takeSnapshot
+ * @returns {Array<{ type: string, accountId: string, siteId: string|null, installId: string|null, before: *, after: *, message: string }>}
+ *   type is one of CHANGE_TYPES
+ */
+export function diffSnapshots(previous, current) {
+  const changes = [];
+  const add = (type, snapshot, record, details) =>
+    changes.push({
+      type,
+      accountId: record.accountId,
+      siteId: record.siteId || (type.startsWith("site") ? record.id : null),
+      installId: type.startsWith("site") ? null : record.id,
+      before: null,
+      after: null,
+      ...details,
+    });
+  // Accounts that only one snapshot covers cannot be compared
+  const covered = (record) =>
+    previous.accounts[record.accountId] && current.accounts[record.accountId];
+
+  Object.values(current.sites)
+    .filter((site) => covered(site) && !previous.sites[site.id])
+    .forEach((site) =>
+      add("site-added", current, site, {
+        after: site.name,
+        message: `Site ${describeSite(current, site)} was added`,
+      })
+    );
+  Object.values(previous.sites)
+    .filter((site) => covered(site) && !current.sites[site.id])
+    .forEach((site) =>
+      add("site-removed", previous, site, {
+        before: site.name,
+        message: `Site ${describeSite(previous, site)} was deleted`,
+      })
+    );
+
+  Object.values(current.installs)
+    .filter((install) => covered(install) && !previous.installs[install.id])
+    .forEach((install) =>
+      add("install-added", current, install, {
+        after: install.name,
+        message: `Install ${describeInstall(current, install)} (${
+          install.environment
+        }) was added`,
+      })
+    );
+  Object.values(previous.installs)
+    .filter((install) => covered(install) && !current.installs[install.id])
+    .forEach((install) =>
+      add("install-removed", previous, install, {
+        before: install.name,
+        message: `Install ${describeInstall(previous, install)} (${
+          install.environment
+        }) was deleted`,
+      })
+    );
+
+  Object.values(current.installs)
+    .filter((install) => previous.installs[install.id])
+    .forEach((install) => {
+      const before = previous.installs[install.id];
+      const name = describeInstall(current, install);
+      if (before.primary_domain !== install.primary_domain) {
+        add("primary-domain-changed", current, install, {
+          before: before.primary_domain,
+          after: install.primary_domain,
+          message: `Primary domain of ${name} changed from ${
+            before.primary_domain || "none"
+          } to ${install.primary_domain || "none"}`,
+        });
+      }
+      if (before.domains && install.domains) {
+        const added = install.domains.filter(
+          (domain) => !before.domains.includes(domain)
+        );
+        const removed = before.domains.filter(
+          (domain) => !install.domains.includes(domain)
+        );
+        if (added.length || removed.length) {
+          add("domains-changed", current, install, {
+            before: before.domains,
+            after: install.domains,
+            message: `Domains of ${name} changed: ${[
+              ...added.map((domain) => `+${domain}`),
+              ...removed.map((domain) => `-${domain}`),
+            ].join(", ")}`,
+          });
+        }
+      }
+      if (before.php_version !== install.php_version) {
+        add("php-version-changed", current, install, {
+          before: before.php_version,
+          after: install.php_version,
+          message: `PHP version of ${name} changed from ${
+            before.php_version || "unknown"
+          } to ${install.php_version || "unknown"}`,
+        });
+      }
+    });
+  return changes;
+}
+
+/**
+ * Prints each change on its own line
+ * @returns {(changes: Array<Object>, detectedAt: string) => void}
+ */
+export function createTerminalNotifier() {
+  return (changes, detectedAt) =>
+    changes.forEach((change) => {
+      const color = change.type.endsWith("removed") ? chalk.red : chalk.yellow;
+      console.log(
+        `${chalk.gray(detectedAt)} ${color(change.type)} ${change.message}`
+      );
+    });
+}
+
+/**
+ * Appends each change to a file as a line of JSON
+ * @param {string} filePath
+ * @returns {(changes: Array<Object>, detectedAt: string) => void}
+ */
+export function createFileNotifier(filePath) {
+  return (changes, detectedAt) =>
+    fs.appendFileSync(
+      filePath,
+      changes
+        .map((change) => `${JSON.stringify({ detectedAt, ...change })}\n`)
+        .join("")
+    );
+}
+
+/**
+ * Posts the changes of each poll to a URL as JSON. With a secret, the body
+ * is signed with HMAC-SHA256 in an X-WPE-CLI-Signature header, so the
+ * receiver can check where it came from.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.secret]
+ * @param {typeof fetch} [options.fetch] - For tests
+ * @returns {(changes: Array<Object>, detectedAt: string) => Promise<void>}
+ */
+export function createWebhookNotifier(
+  url,
+  { secret, fetch: send = fetch } = {}
+) {
+  return async (changes, detectedAt) => {
+    const body = JSON.stringify({ detectedAt, changes });
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "wpe-site-management-cli watch",
+    };
+    if (secret) {
+      headers["X-WPE-CLI-Signature"] = `sha256=${crypto
+        .createHmac("sha256", secret)
+        .update(body)
+        .digest("hex")}`;
+    }
+    const response = await send(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook ${url} answered ${response.status}`);
+    }
+  };
+}
+
+/**
+ * Reads a snapshot saved by an earlier run
+ * @param {string} filePath
+ * @returns {Object|null} null if the file does not exist yet
+ */
+export function loadSnapshot(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * @param {string} filePath
+ * @param {Object} snapshot
+ */
+export function saveSnapshot(filePath, snapshot) {
+  fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + "\n");
+}
+
+/**
+ * Polls until aborted, sending the changes found by each poll to every
+ * notifier. A failed poll or notifier is reported and the watch carries on.
+ * @param {Object} options
+ * @param {string[]} [options.accountIds] - Defaults to every account
+ * @param {boolean} [options.includeDomains=false]
+ * @param {number} [options.intervalMs]
+ * @param {Array<Function>} options.notifiers - As from the create*Notifier functions
+ * @param {Object} [options.previous] - A snapshot to compare the first poll with
+ * @param {(snapshot: Object) => void} [options.onSnapshot] - Called after each poll, e.g. to save it
+ * @param {(message: string) => void} [options.onError]
+ * @param {boolean} [options.once=false] - Poll once and stop
+ * @param {AbortSignal} [options.signal] - Stops the watch
+ * @returns {Promise<number>} How many changes were found
+ */
+export async function watchFleet({
+  accountIds,
+  includeDomains = false,
+  intervalMs = DEFAULT_WATCH_INTERVAL_SECONDS * 1000,
+  notifiers,
+  previous = null,
+  onSnapshot,
+  onError = (message) => console.error(chalk.red(message)),
+  once = false,
+  signal,
+}) {
+  let last = previous;
+  let changeCount = 0;
+  while (!(signal && signal.aborted)) {
+    let snapshot;
+    try {
+      snapshot = await takeSnapshot({ accountIds, includeDomains });
+    } catch (error) {
+      onError(`Poll failed: ${error.message}`);
+    }
+    if (snapshot) {
+      const changes = last ? diffSnapshots(last, snapshot) : [];
+      if (changes.length) {
+        changeCount += changes.length;
+        for (const notify of notifiers) {
+          try {
+            await notify(changes, snapshot.takenAt);
+          } catch (error) {
+            onError(`Notification failed: ${error.message}`);
+          }
+        }
+      }
+      last = snapshot;
+      if (onSnapshot) onSnapshot(snapshot);
+    }
+    if (once) break;
+    await waitOrAbort(intervalMs, signal);
+  }
+  return changeCount;
+}